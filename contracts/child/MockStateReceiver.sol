@@ -0,0 +1,35 @@
+pragma solidity 0.6.6;
+
+import {RLPReader} from "../lib/RLPReader.sol";
+
+/**
+* @notice Mock State Receiver contract to simulate bor state syncs while testing
+* @dev Follows the StateReceiver genesis contract at 0x0000000000000000000000000000000000001001,
+* without the system caller check
+*/
+contract MockStateReceiver {
+    using RLPReader for bytes;
+    using RLPReader for RLPReader.RLPItem;
+
+    uint256 public lastStateId;
+
+    event StateCommitted(uint256 indexed stateId, bool success);
+
+    /**
+     * @notice Calls onStateReceive of the receiver of a state sync
+     * @param recordBytes RLP encoded (stateId, receiver, data) of the StateSynced event
+     * @return success false when the receiver reverted, the state id is committed either way
+     */
+    function commitState(uint256, bytes calldata recordBytes) external returns (bool success) {
+        RLPReader.RLPItem[] memory dataList = recordBytes.toRlpItem().toList();
+        uint256 stateId = dataList[0].toUint();
+        require(lastStateId + 1 == stateId, "StateIds are not sequential");
+        lastStateId++;
+
+        address receiver = dataList[1].toAddress();
+        bytes memory stateData = dataList[2].toBytes();
+        // solium-disable-next-line security/no-low-level-calls
+        (success, ) = receiver.call(abi.encodeWithSignature("onStateReceive(uint256,bytes)", stateId, stateData));
+        emit StateCommitted(stateId, success);
+    }
+}
@@ -0,0 +1,71 @@
+pragma solidity 0.6.6;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import {ILendingPool} from "./RootChainManager/ATokenRootChainManager.sol";
+import {DummyAToken} from "./RootToken/DummyAToken.sol";
+
+/**
+* @notice Mock Aave LendingPool contract to control the liquidity index while testing
+* Deposits and withdrawals of a reserve initialized with initReserve mint and burn its DummyAToken 1:1
+*/
+contract MockLendingPool is ILendingPool {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant P27 = 1e27;
+
+    mapping(address => uint256) internal reserveNormalizedIncome;
+    mapping(address => address) public reserveAToken;
+
+    /**
+     * @notice Set the liquidity index of a reserve
+     * @param asset underlying asset of the reserve
+     * @param income liquidity index in 27 decimal precision, 0 resets it to 1e27
+     */
+    function setReserveNormalizedIncome(address asset, uint256 income) external {
+        reserveNormalizedIncome[asset] = income;
+    }
+
+    /**
+     * @notice Set the aToken minted for deposits of an asset
+     * @param asset underlying asset of the reserve
+     * @param aToken DummyAToken of the reserve, created with this pool
+     */
+    function initReserve(address asset, address aToken) external {
+        reserveAToken[asset] = aToken;
+    }
+
+    function getReserveNormalizedIncome(address asset) external view override returns (uint256) {
+        uint256 income = reserveNormalizedIncome[asset];
+        return income == 0 ? P27 : income;
+    }
+
+    /**
+     * @notice Move the asset to its aToken and mint as many aTokens to onBehalfOf, like the Aave LendingPool
+     */
+    function deposit(
+        address asset,
+        uint256 amount,
+        address onBehalfOf,
+        uint16
+    ) external override {
+        address aToken = reserveAToken[asset];
+        require(aToken != address(0), "MockLendingPool: RESERVE_NOT_INITIALIZED");
+        IERC20(asset).safeTransferFrom(msg.sender, aToken, amount);
+        DummyAToken(aToken).mint(onBehalfOf, amount);
+    }
+
+    /**
+     * @notice Burn aTokens of the caller and send as much of the asset to `to`, like the Aave LendingPool
+     */
+    function withdraw(
+        address asset,
+        uint256 amount,
+        address to
+    ) external override returns (uint256) {
+        address aToken = reserveAToken[asset];
+        require(aToken != address(0), "MockLendingPool: RESERVE_NOT_INITIALIZED");
+        DummyAToken(aToken).burn(msg.sender, to, amount);
+        return amount;
+    }
+}
@@ -20,6 +20,19 @@ import {ICheckpointManager} from "../ICheckpointManager.sol";
 
 interface ILendingPool {
     function getReserveNormalizedIncome(address _asset) external view returns (uint256);
+
+    function deposit(
+        address asset,
+        uint256 amount,
+        address onBehalfOf,
+        uint16 referralCode
+    ) external;
+
+    function withdraw(
+        address asset,
+        uint256 amount,
+        address to
+    ) external returns (uint256);
 }
 
 interface IAToken {
@@ -28,6 +41,18 @@ interface IAToken {
     function UNDERLYING_ASSET_ADDRESS() external view returns (address);
 }
 
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
 interface IERC20Meta {
     function name() external view returns (string memory);
 
@@ -47,6 +72,11 @@ struct AppStorage {
     bytes32 childTokenBytecodeHash;
     address owner;
     address mapper;
+    address guardian;
+    bool depositsPaused;
+    bool exitsPaused;
+    bool mappingsPaused;
+    mapping(address => bool) tokenPaused;
 }
 
 contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, ContextMixin {
@@ -132,6 +162,12 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
         _;
     }
 
+    modifier onlyOwnerOrGuardian() {
+        address sender = msgSender();
+        require(sender == s.owner || sender == s.guardian, "Is not owner or guardian");
+        _;
+    }
+
     modifier onlyStateSender() {
         require(msgSender() == address(s.stateSender), "Is not state sender");
         _;
@@ -182,6 +218,79 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
         s.mapper = _newMapper;
     }
 
+    event SetGuardian(address indexed _previousGuardian, address indexed _newGuardian);
+
+    /**
+     * @notice Set the guardian, who can pause and unpause the bridge along with the owner, callable only by owner
+     * @param _newGuardian address of the guardian, zero to leave pausing to the owner only
+     */
+    function setGuardian(address _newGuardian) external onlyOwner {
+        emit SetGuardian(s.guardian, _newGuardian);
+        s.guardian = _newGuardian;
+    }
+
+    function guardian() external view returns (address) {
+        return s.guardian;
+    }
+
+    event SetDepositsPaused(bool _paused);
+    event SetExitsPaused(bool _paused);
+    event SetMappingsPaused(bool _paused);
+    event SetTokenPaused(address indexed _rootToken, bool _paused);
+
+    /**
+     * @notice Pause or unpause deposits of all tokens, callable only by owner or guardian
+     * @param _paused true to pause
+     */
+    function setDepositsPaused(bool _paused) external onlyOwnerOrGuardian {
+        s.depositsPaused = _paused;
+        emit SetDepositsPaused(_paused);
+    }
+
+    /**
+     * @notice Pause or unpause exits of all tokens, callable only by owner or guardian
+     * @param _paused true to pause
+     */
+    function setExitsPaused(bool _paused) external onlyOwnerOrGuardian {
+        s.exitsPaused = _paused;
+        emit SetExitsPaused(_paused);
+    }
+
+    /**
+     * @notice Pause or unpause mapping and remapping of tokens, callable only by owner or guardian
+     * @param _paused true to pause
+     */
+    function setMappingsPaused(bool _paused) external onlyOwnerOrGuardian {
+        s.mappingsPaused = _paused;
+        emit SetMappingsPaused(_paused);
+    }
+
+    /**
+     * @notice Pause or unpause deposits and exits of a single token, callable only by owner or guardian
+     * @param _rootToken address of the aToken
+     * @param _paused true to pause
+     */
+    function setTokenPaused(address _rootToken, bool _paused) external onlyOwnerOrGuardian {
+        s.tokenPaused[_rootToken] = _paused;
+        emit SetTokenPaused(_rootToken, _paused);
+    }
+
+    function depositsPaused() external view returns (bool) {
+        return s.depositsPaused;
+    }
+
+    function exitsPaused() external view returns (bool) {
+        return s.exitsPaused;
+    }
+
+    function mappingsPaused() external view returns (bool) {
+        return s.mappingsPaused;
+    }
+
+    function tokenPaused(address _rootToken) external view returns (bool) {
+        return s.tokenPaused[_rootToken];
+    }
+
     /**
      * @notice Set the child chain manager, callable only by admins
      * @dev This should be the contract responsible to receive deposit bytes on child chain
@@ -239,6 +348,7 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
      * @param rootToken address of token on root chain
      */
     function mapToken(address rootToken) external onlyMapper {
+        require(!s.mappingsPaused, "ATokenRootChainManager: MAPPINGS_PAUSED");
         // explicit check if token is already mapped to avoid accidental remaps
         require(s.rootToChildToken[rootToken] == address(0), "ATokenRootChainManager: ALREADY_MAPPED");
         address childToken = childTokenAddress(rootToken);
@@ -251,6 +361,7 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
      * @param rootToken address of token on root chain
      */
     function remapToken(address rootToken) external onlyMapper {
+        require(!s.mappingsPaused, "ATokenRootChainManager: MAPPINGS_PAUSED");
         address childToken = childTokenAddress(rootToken);
         // cleanup old mapping
         address oldChildToken = s.rootToChildToken[rootToken];
@@ -294,24 +405,84 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
         address rootToken,
         bytes memory depositData
     ) public {
-        require(s.rootToChildToken[rootToken] != address(0x0), "ATokenRootChainManager: TOKEN_NOT_MAPPED");
-        require(user != address(0), "ATokenRootChainManager: INVALID_USER");
+        _checkDeposit(user, rootToken);
+        uint256 aTokenValue = abi.decode(depositData, (uint256));
+        IERC20(rootToken).safeTransferFrom(msgSender(), address(this), aTokenValue);
+        _depositFor(user, rootToken, aTokenValue);
+    }
 
+    /**
+     * @notice Move tokens from root to child chain, approving them with an EIP-2612 permit in the same transaction
+     * @dev The rootToken has to implement permit, as Aave v2 aTokens do. The permit is for the deposited aToken value.
+     * It is not used when the depositor already allows that value, so that a permit submitted by someone else first
+     * does not make the deposit revert
+     * @param user address of account that should receive this deposit on child chain
+     * @param rootToken address of token that is being deposited
+     * @param depositData bytes data that is sent to predicate and child token contracts to handle deposit
+     * @param deadline timestamp until which the permit is valid
+     * @param v v of the permit signature of the depositor
+     * @param r r of the permit signature of the depositor
+     * @param s_ s of the permit signature of the depositor
+     */
+    function depositWithPermit(
+        address user,
+        address rootToken,
+        bytes calldata depositData,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s_
+    ) external {
         uint256 aTokenValue = abi.decode(depositData, (uint256));
-        address depositor = msgSender();
-        emit LockedERC20(depositor, user, rootToken, aTokenValue);
-        IERC20(rootToken).safeTransferFrom(depositor, address(this), aTokenValue);
-
-        uint256 maTokenValue = getMATokenValue(rootToken, aTokenValue);
-        // replace aTokenValue with maTokenValue in depositData
-        // assembly increases start of bytes array and reduces the size by one uint256
-        uint256 depositDataLength = depositData.length;
-        assembly {
-            depositData := add(depositData, 32)
-            mstore(depositData, sub(depositDataLength, 32))
+        if (IERC20(rootToken).allowance(msgSender(), address(this)) < aTokenValue) {
+            IERC20Permit(rootToken).permit(msgSender(), address(this), aTokenValue, deadline, v, r, s_);
         }
-        depositData = abi.encodePacked(maTokenValue, depositData);
-        bytes memory syncData = abi.encode(user, rootToken, depositData);
+        depositFor(user, rootToken, depositData);
+    }
+
+    /**
+     * @notice Supply the underlying asset of an aToken to Aave and move the received aTokens from root to child chain
+     * @dev The underlying asset and the LendingPool are read from the aToken. The maToken value synced to
+     * child chain is the one of the aTokens minted to this contract by the LendingPool
+     * @param user address of account that should receive this deposit on child chain
+     * @param rootToken address of the aToken, it has to be mapped
+     * @param amount amount of the underlying asset to supply, approved to this contract by the depositor
+     */
+    function depositUnderlyingFor(
+        address user,
+        address rootToken,
+        uint256 amount
+    ) external {
+        _checkDeposit(user, rootToken);
+        IERC20 underlying = IERC20(IAToken(rootToken).UNDERLYING_ASSET_ADDRESS());
+        ILendingPool pool = IAToken(rootToken).POOL();
+        underlying.safeTransferFrom(msgSender(), address(this), amount);
+        underlying.safeApprove(address(pool), amount);
+        uint256 aTokenBalance = IERC20(rootToken).balanceOf(address(this));
+        pool.deposit(address(underlying), amount, address(this), 0);
+        _depositFor(user, rootToken, IERC20(rootToken).balanceOf(address(this)).sub(aTokenBalance));
+    }
+
+    function _checkDeposit(address user, address rootToken) private view {
+        require(!s.depositsPaused, "ATokenRootChainManager: DEPOSITS_PAUSED");
+        require(!s.tokenPaused[rootToken], "ATokenRootChainManager: TOKEN_PAUSED");
+        require(s.rootToChildToken[rootToken] != address(0x0), "ATokenRootChainManager: TOKEN_NOT_MAPPED");
+        require(user != address(0), "ATokenRootChainManager: INVALID_USER");
+    }
+
+    /**
+     * @notice Sync the maToken value of aTokens locked in this contract to child chain, minting it to the user
+     * @param user address of account that should receive this deposit on child chain
+     * @param rootToken address of the locked aToken
+     * @param aTokenAmount amount of aTokens locked by the deposit
+     */
+    function _depositFor(
+        address user,
+        address rootToken,
+        uint256 aTokenAmount
+    ) internal {
+        emit LockedERC20(msgSender(), user, rootToken, aTokenAmount);
+        bytes memory syncData = abi.encode(user, rootToken, abi.encode(getMATokenValue(rootToken, aTokenAmount)));
         s.stateSender.syncState(s.childChainManagerAddress, abi.encode(DEPOSIT, syncData));
     }
 
@@ -388,8 +559,11 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
      *  7 - receiptProof - Merkle proof of the reference receipt
      *  8 - branchMask - 32 bits denoting the path of receipt in merkle tree
      *  9 - receiptLogIndex - Log Index to read from the receipt
+     * 10 - redeemUnderlying - Optional, non zero to withdraw the aTokens from Aave and receive the underlying asset,
+     *      only the withdrawer can exit to the underlying asset
      */
     function exit(bytes calldata inputData) external {
+        require(!s.exitsPaused, "ATokenRootChainManager: EXITS_PAUSED");
         RLPReader.RLPItem[] memory inputDataRLPList = inputData.toRlpItem().toList();
 
         // checking if exit has already been processed
@@ -418,6 +592,7 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
         // log should be emmited only by the child token
         address rootToken = s.childToRootToken[childToken];
         require(rootToken != address(0), "ATokenRootChainManager: TOKEN_NOT_MAPPED");
+        require(!s.tokenPaused[rootToken], "ATokenRootChainManager: TOKEN_PAUSED");
 
         // branch mask can be maximum 32 bits
         require(
@@ -446,13 +621,19 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
             inputDataRLPList[1].toBytes() // blockProof
         );
 
-        exitTokens(msgSender(), s.childToRootToken[childToken], logRLP.toRlpBytes());
+        exitTokens(
+            msgSender(),
+            s.childToRootToken[childToken],
+            logRLP.toRlpBytes(),
+            inputDataRLPList.length > 10 && inputDataRLPList[10].toUint() != 0 // redeemUnderlying
+        );
     }
 
     function exitTokens(
-        address,
+        address sender,
         address rootToken,
-        bytes memory log
+        bytes memory log,
+        bool redeemUnderlying
     ) private {
         RLPReader.RLPItem[] memory logRLPList = log.toRlpItem().toList();
         RLPReader.RLPItem[] memory logTopicRLPList = logRLPList[1].toList(); // topics
@@ -472,7 +653,13 @@ contract ATokenRootChainManager is ICheckpointManager, NativeMetaTransaction, Co
         uint256 maTokenValue = logRLPList[2].toUint(); // log data field
         uint256 aTokenValue = getATokenValue(rootToken, maTokenValue);
 
-        IERC20(rootToken).safeTransfer(withdrawer, aTokenValue);
+        if (redeemUnderlying) {
+            require(sender == withdrawer, "ATokenRootChainManager: ONLY_WITHDRAWER_CAN_REDEEM");
+            // the LendingPool burns the aTokens of this contract and sends the underlying asset to the withdrawer
+            IAToken(rootToken).POOL().withdraw(IAToken(rootToken).UNDERLYING_ASSET_ADDRESS(), aTokenValue, withdrawer);
+        } else {
+            IERC20(rootToken).safeTransfer(withdrawer, aTokenValue);
+        }
     }
 
     function _checkBlockMembershipInCheckpoint(
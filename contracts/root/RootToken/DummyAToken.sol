@@ -0,0 +1,49 @@
+pragma solidity 0.6.6;
+
+import {ILendingPool, IAToken} from "../RootChainManager/ATokenRootChainManager.sol";
+import {DummyERC20} from "./DummyERC20.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+
+/**
+* @notice Dummy aToken exposing the pool and underlying asset read by ATokenRootChainManager
+* Balances do not accrue interest, the conversion is driven by the pool liquidity index
+*/
+contract DummyAToken is DummyERC20, IAToken {
+    using SafeERC20 for IERC20;
+
+    ILendingPool public override POOL;
+    address public override UNDERLYING_ASSET_ADDRESS;
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        ILendingPool pool_,
+        address underlyingAsset_
+    ) public DummyERC20(name_, symbol_) {
+        POOL = pool_;
+        UNDERLYING_ASSET_ADDRESS = underlyingAsset_;
+    }
+
+    /**
+     * @notice Mint aTokens for a deposit, callable only by the pool
+     * @param user receiver of the aTokens
+     * @param amount amount of the underlying asset deposited
+     */
+    function mint(address user, uint256 amount) external {
+        require(msg.sender == address(POOL), "CALLER_MUST_BE_LENDING_POOL");
+        _mint(user, amount);
+    }
+
+    /**
+     * @notice Burn aTokens for a withdrawal and send the underlying asset, callable only by the pool
+     * @param user owner of the aTokens
+     * @param receiverOfUnderlying receiver of the underlying asset
+     * @param amount amount of aTokens burnt
+     */
+    function burn(address user, address receiverOfUnderlying, uint256 amount) external {
+        require(msg.sender == address(POOL), "CALLER_MUST_BE_LENDING_POOL");
+        _burn(user, amount);
+        IERC20(UNDERLYING_ASSET_ADDRESS).safeTransfer(receiverOfUnderlying, amount);
+    }
+}
@@ -0,0 +1,71 @@
+pragma solidity 0.6.6;
+
+import {SafeMath} from "@openzeppelin/contracts/math/SafeMath.sol";
+import {ILendingPool} from "../RootChainManager/ATokenRootChainManager.sol";
+import {DummyAToken} from "./DummyAToken.sol";
+
+/**
+* @notice Dummy aToken with the EIP-2612 permit of Aave v2 aTokens
+* Domain separator, typehash and nonces are named as on the Aave v2 AToken
+*/
+contract DummyPermitAToken is DummyAToken {
+    using SafeMath for uint256;
+
+    bytes32 public constant EIP712_DOMAIN =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes public constant EIP712_REVISION = bytes("1");
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    bytes32 public DOMAIN_SEPARATOR;
+    mapping(address => uint256) public _nonces;
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        ILendingPool pool_,
+        address underlyingAsset_
+    ) public DummyAToken(name_, symbol_, pool_, underlyingAsset_) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(EIP712_DOMAIN, keccak256(bytes(name_)), keccak256(EIP712_REVISION), chainId, address(this))
+        );
+    }
+
+    /**
+     * @notice Approves spender with a signature of owner
+     * @param owner owner of the tokens
+     * @param spender spender of the tokens
+     * @param value allowance
+     * @param deadline timestamp until which the signature is valid
+     * @param v v of the signature
+     * @param r r of the signature
+     * @param s s of the signature
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(owner != address(0), "INVALID_OWNER");
+        require(block.timestamp <= deadline, "INVALID_EXPIRATION");
+        uint256 currentValidNonce = _nonces[owner];
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR,
+                keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, currentValidNonce, deadline))
+            )
+        );
+        require(owner == ecrecover(digest, v, r, s), "INVALID_SIGNATURE");
+        _nonces[owner] = currentValidNonce.add(1);
+        _approve(owner, spender, value);
+    }
+}
@@ -6,10 +6,12 @@ import {IStateSender} from "../StateSender/IStateSender.sol";
 * @notice Dummy State Sender contract to simulate plasma state sender while testing
 */
 contract DummyStateSender is IStateSender {
+    uint256 public counter;
+
     /**
      * @notice Event emitted when when syncState is called
      * @dev Heimdall bridge listens to this event and sends the data to receiver contract on child chain
-     * @param id Id of the sync, increamented for each event in case of actual state sender contract
+     * @param id Id of the sync, increamented for each event like in the actual state sender contract
      * @param contractAddress the contract receiving data on child chain
      * @param data bytes data to be sent
      */
@@ -26,6 +28,7 @@ contract DummyStateSender is IStateSender {
      * @param data bytes data to be sent
      */
     function syncState(address receiver, bytes calldata data) external override {
-        emit StateSynced(1, receiver, data);
+        counter++;
+        emit StateSynced(counter, receiver, data);
     }
 }
@@ -16,6 +16,14 @@ task('accounts', 'Prints the list of accounts', async () => {
   }
 })
 
+// aToken bridge operations: map, remap, deposit, deposit-underlying, preview-deposit, exit, exit-status, exit-batch,
+// preview-withdraw, convert, status, solvency, audit-mapping, track-deposit, relayer, index, set-owner,
+// set-mapper, set-guardian, pause, set-child-token-implementation and upgrade
+require('./tasks/bridge')
+
+// networks sign with the SECRET account, the config still loads without it for the tests running tasks
+const accounts = process.env.SECRET ? [process.env.SECRET] : []
+
 // You have to export an object to set up your config
 // This object can have the following optional entries:
 // defaultNetwork, networks, solc, and paths.
@@ -26,26 +34,30 @@ module.exports = {
       blockGasLimit: 1350000000,
       gas: 1300000000
     },
+    // root chain of scripts/test-chains.js, for the tests running tasks, signing with the accounts of its node
+    testRoot: {
+      url: 'http://localhost:9545'
+    },
     matic: {
       url: 'https://rpc-mainnet.matic.network',
-      accounts: [process.env.SECRET],
+      accounts,
       blockGasLimit: 20000000,
       gasPrice: 1000000000
     },
     mumbai: {
       url: 'https://rpc-mumbai.matic.today',
-      accounts: [process.env.SECRET],
+      accounts,
       blockGasLimit: 20000000,
       gasPrice: 1000000000
     },
     kovan: {
-      url: process.env.KOVAN_URL,
-      accounts: [process.env.SECRET],
+      url: process.env.KOVAN_URL || '',
+      accounts,
       gasPrice: 5000000000
     },
     mainnet: {
-      url: process.env.MAINNET_URL,
-      accounts: [process.env.SECRET],
+      url: process.env.MAINNET_URL || '',
+      accounts,
       blockGasLimit: 12000000,
       gasPrice: 120000000000
     }
@@ -0,0 +1,140 @@
+import { keccak256, setLengthLeft, toBuffer, zeros } from 'ethereumjs-util'
+
+import { toBN, toNumber } from './encoding'
+import { CheckpointManagerLike, HeaderBlock, Quantity, RpcBlock } from './types'
+
+// RootChain header block numbers grow by 10000 per checkpoint
+export const CHECKPOINT_INTERVAL = 10000
+
+/**
+ * Leaf of a block in the Merkle tree of its checkpoint
+ * @param block block with its number, timestamp and trie roots
+ */
+export function getBlockHeader (block: RpcBlock<unknown>): Buffer {
+  return keccak256(Buffer.concat([
+    setLengthLeft(toBN(block.number).toArrayLike(Buffer), 32),
+    setLengthLeft(toBN(block.timestamp).toArrayLike(Buffer), 32),
+    toBuffer(block.transactionsRoot),
+    toBuffer(block.receiptsRoot)
+  ]))
+}
+
+/**
+ * Merkle tree of the block headers of a checkpoint, padded with zero leaves to a power of two
+ */
+export class MerkleTree {
+  readonly layers: Buffer[][]
+
+  constructor (leaves: Buffer[]) {
+    if (leaves.length < 1) {
+      throw new Error('At least 1 leaf needed')
+    }
+    const depth = Math.ceil(Math.log2(leaves.length))
+    if (depth > 20) {
+      throw new Error('Depth must be 20 or less')
+    }
+    const padded = leaves.concat(Array.from(Array(2 ** depth - leaves.length), () => zeros(32)))
+    this.layers = [padded]
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const nodes = this.layers[this.layers.length - 1]
+      const layer = []
+      for (let i = 0; i < nodes.length; i += 2) {
+        layer.push(keccak256(Buffer.concat([nodes[i], nodes[i + 1]])))
+      }
+      this.layers.push(layer)
+    }
+  }
+
+  getRoot (): Buffer {
+    return this.layers[this.layers.length - 1][0]
+  }
+
+  /**
+   * Siblings of a leaf from the bottom up
+   * @param index index of the leaf
+   */
+  getProof (index: number): Buffer[] {
+    if (index < 0 || index >= this.layers[0].length) {
+      throw new Error(`Leaf ${index} is not in the tree`)
+    }
+    return this.layers.slice(0, -1).map((layer, depth) => layer[(index >> depth) ^ 1])
+  }
+
+  /**
+   * Checks the proof of a leaf against a root
+   * @param leaf proven leaf
+   * @param index index of the leaf
+   * @param root root of the tree
+   * @param proof siblings of the leaf from the bottom up
+   */
+  static verify (leaf: Buffer, index: number, root: Buffer, proof: Buffer[]): boolean {
+    const hash = proof.reduce((node, sibling, depth) => (index >> depth) % 2 === 0
+      ? keccak256(Buffer.concat([node, sibling]))
+      : keccak256(Buffer.concat([sibling, node])), leaf)
+    return hash.equals(root)
+  }
+}
+
+export interface CheckpointLookup {
+  headerNumber: number
+  headerBlock: HeaderBlock
+  // false when the first header block not submitted yet was found
+  checkpointed: boolean
+}
+
+/**
+ * First header block that is not submitted yet (end of 0) or ends at or after a child block,
+ * searched with `headerBlocks` only
+ * @param checkpointManager checkpoint manager on root chain
+ * @param blockNumber child block number
+ * @param interval difference between two consecutive header block numbers
+ */
+export async function lookupHeaderBlock (checkpointManager: CheckpointManagerLike, blockNumber: number, interval: number = CHECKPOINT_INTERVAL): Promise<CheckpointLookup> {
+  const cache: { [k: number]: HeaderBlock } = {}
+  const getHeaderBlock = async (k: number): Promise<HeaderBlock> => {
+    if (!cache[k]) {
+      cache[k] = await checkpointManager.headerBlocks(k * interval)
+    }
+    return cache[k]
+  }
+  const coversBlock = async (k: number): Promise<boolean> => {
+    const end = toNumber((await getHeaderBlock(k)).end)
+    return end === 0 || end >= blockNumber
+  }
+
+  let high = 1
+  while (!(await coversBlock(high))) {
+    high *= 2
+  }
+  let low = Math.floor(high / 2) + 1
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    if (await coversBlock(mid)) {
+      high = mid
+    } else {
+      low = mid + 1
+    }
+  }
+
+  const headerBlock = await getHeaderBlock(high)
+  return {
+    headerNumber: high * interval,
+    headerBlock,
+    checkpointed: toNumber(headerBlock.end) !== 0 && toNumber(headerBlock.start) <= blockNumber
+  }
+}
+
+/**
+ * Header block containing a child block
+ * @param checkpointManager checkpoint manager on root chain
+ * @param blockNumber child block number
+ * @param interval difference between two consecutive header block numbers
+ */
+export async function findHeaderBlock (checkpointManager: CheckpointManagerLike, blockNumber: Quantity, interval: number = CHECKPOINT_INTERVAL): Promise<{ headerNumber: number, headerBlock: HeaderBlock }> {
+  const number = toNumber(blockNumber)
+  const { headerNumber, headerBlock, checkpointed } = await lookupHeaderBlock(checkpointManager, number, interval)
+  if (!checkpointed) {
+    throw new Error(`Block ${number} has not been checkpointed yet`)
+  }
+  return { headerNumber, headerBlock }
+}
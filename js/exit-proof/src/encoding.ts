@@ -0,0 +1,122 @@
+import Common from '@ethereumjs/common'
+import { AccessListEIP2930Transaction, FeeMarketEIP1559Transaction, Transaction } from '@ethereumjs/tx'
+import { BN, bnToUnpaddedBuffer, rlp, toBuffer } from 'ethereumjs-util'
+
+import { AccessListItem, Quantity, RpcReceipt, RpcTransaction } from './types'
+
+// bor mainnet
+export const DEFAULT_CHAIN_ID = 137
+
+export function toBN (value: Quantity): BN {
+  if (typeof value === 'number') {
+    return new BN(value)
+  }
+  return value.startsWith('0x') ? new BN(value.slice(2), 16) : new BN(value, 10)
+}
+
+export function toNumber (value: Quantity): number {
+  return toBN(value).toNumber()
+}
+
+// minimal big endian bytes, empty for zero as RLP encodes quantities
+export function toQuantityBuffer (value: Quantity): Buffer {
+  return bnToUnpaddedBuffer(toBN(value))
+}
+
+// key of a transaction or receipt in the tries of its block
+export function getTrieKey (transactionIndex: Quantity): Buffer {
+  return rlp.encode(toNumber(transactionIndex))
+}
+
+// EIP-2718 transaction types
+export const LEGACY_TX_TYPE = 0
+export const ACCESS_LIST_TX_TYPE = 1
+export const DYNAMIC_FEE_TX_TYPE = 2
+
+function getCommon (chainId: number): Common {
+  return Common.forCustomChain('mainnet', { name: `chain-${chainId}`, chainId, networkId: chainId }, 'london')
+}
+
+/**
+ * EIP-2718 type of a transaction or receipt
+ * @param value transaction or receipt, legacy when it has no type
+ */
+export function getTxType (value: { type?: Quantity }): number {
+  return value.type === undefined || value.type === null ? LEGACY_TX_TYPE : toNumber(value.type)
+}
+
+function toAccessList (accessList: AccessListItem[] = []): Array<[Buffer, Buffer[]]> {
+  return accessList.map(({ address, storageKeys }) => [toBuffer(address), storageKeys.map(key => toBuffer(key))])
+}
+
+/**
+ * Signed transaction as stored in the transactions trie of its block,
+ * prefixed with its type unless it is a legacy transaction
+ * @param tx transaction with its signature
+ * @param chainId chain id the transaction was signed for, checked against its EIP-155 `v` or `chainId`
+ */
+export function getTxBytes (tx: RpcTransaction, chainId: number = DEFAULT_CHAIN_ID): Buffer {
+  const opts = { common: getCommon(chainId) }
+  const fields = {
+    nonce: toBN(tx.nonce),
+    gasLimit: toBN(tx.gas),
+    to: tx.to === null ? undefined : tx.to,
+    value: toBN(tx.value),
+    data: tx.input,
+    v: toBN(tx.v),
+    r: tx.r,
+    s: tx.s
+  }
+  const type = getTxType(tx)
+  switch (type) {
+    case LEGACY_TX_TYPE:
+      return Transaction.fromTxData({ ...fields, gasPrice: toBN(tx.gasPrice as Quantity) }, opts).serialize()
+    case ACCESS_LIST_TX_TYPE:
+      return AccessListEIP2930Transaction.fromTxData({
+        ...fields,
+        chainId: toBN(tx.chainId === undefined ? chainId : tx.chainId),
+        gasPrice: toBN(tx.gasPrice as Quantity),
+        accessList: toAccessList(tx.accessList)
+      }, opts).serialize()
+    case DYNAMIC_FEE_TX_TYPE:
+      return FeeMarketEIP1559Transaction.fromTxData({
+        ...fields,
+        chainId: toBN(tx.chainId === undefined ? chainId : tx.chainId),
+        maxFeePerGas: toBN(tx.maxFeePerGas as Quantity),
+        maxPriorityFeePerGas: toBN(tx.maxPriorityFeePerGas as Quantity),
+        accessList: toAccessList(tx.accessList)
+      }, opts).serialize()
+    default:
+      throw new Error(`Transaction ${tx.hash} has unsupported type ${type}`)
+  }
+}
+
+// status of a receipt, `root` before byzantium
+function getReceiptStatus (receipt: RpcReceipt): Buffer {
+  const { status } = receipt
+  if (status === undefined || status === null) {
+    return toBuffer(receipt.root)
+  }
+  const success = typeof status === 'boolean' ? status : toNumber(status) === 1
+  return success ? Buffer.from([1]) : Buffer.alloc(0)
+}
+
+/**
+ * Receipt as stored in the receipts trie of its block,
+ * prefixed with the type of its transaction unless it is a legacy receipt
+ * @param receipt receipt with its logs bloom and logs
+ */
+export function getReceiptBytes (receipt: RpcReceipt): Buffer {
+  const encoded = rlp.encode([
+    getReceiptStatus(receipt),
+    toQuantityBuffer(receipt.cumulativeGasUsed),
+    toBuffer(receipt.logsBloom),
+    receipt.logs.map(log => [
+      toBuffer(log.address),
+      log.topics.map(topic => toBuffer(topic)),
+      toBuffer(log.data)
+    ])
+  ])
+  const type = getTxType(receipt)
+  return type === LEGACY_TX_TYPE ? encoded : Buffer.concat([Buffer.from([type]), encoded])
+}
@@ -0,0 +1,5 @@
+export * from './types'
+export { ACCESS_LIST_TX_TYPE, DEFAULT_CHAIN_ID, DYNAMIC_FEE_TX_TYPE, LEGACY_TX_TYPE, getReceiptBytes, getTrieKey, getTxBytes, getTxType, toBN, toNumber } from './encoding'
+export { buildTrie, getBranchMask, getReceiptProof, getTrieProof, getTxProof, verifyReceiptProof, verifyTrieProof, verifyTxProof } from './proofs'
+export { CHECKPOINT_INTERVAL, CheckpointLookup, MerkleTree, findHeaderBlock, getBlockHeader, lookupHeaderBlock } from './checkpoint'
+export { ExitPayload, ExitPayloadOptions, buildExitPayload, encodeExitPayload, getBlockProof, getBurnLogIndex, getCheckpointManager, getExitPayload } from './payload'
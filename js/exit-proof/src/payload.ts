@@ -0,0 +1,185 @@
+import { Contract, providers } from 'ethers'
+import { BN, bufferToHex, rlp, toBuffer } from 'ethereumjs-util'
+
+import { CHECKPOINT_INTERVAL, MerkleTree, findHeaderBlock, getBlockHeader } from './checkpoint'
+import { getReceiptBytes, toNumber } from './encoding'
+import { getBranchMask, getReceiptProof } from './proofs'
+import { CheckpointManagerLike, HeaderBlock, JsonRpcSender, RpcBlock, RpcReceipt } from './types'
+
+const ERC20_TRANSFER_EVENT_SIG = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+const ZERO_ADDRESS_TOPIC = '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+const checkpointManagerAbi = [
+  'function headerBlocks(uint256) view returns (bytes32 root, uint256 start, uint256 end, uint256 createdAt, address proposer)'
+]
+
+// blocks or receipts are fetched this many at a time
+const BATCH_SIZE = 10
+
+export interface ExitPayloadOptions {
+  // provider of the root chain, reads the checkpoint manager when given by address
+  rootProvider?: providers.Provider
+  // JSON-RPC provider of the child chain
+  childProvider: JsonRpcSender
+  // address or contract of the checkpoint manager, RootChain on mainnet
+  checkpointManager: string | CheckpointManagerLike
+  // difference between two consecutive header block numbers
+  checkpointInterval?: number
+  // index in the receipt of the exited log, the maToken burn (Transfer to 0x0) by default
+  logIndex?: number
+  // exit to the underlying asset of an aToken instead, ATokenRootChainManager only
+  redeemUnderlying?: boolean
+}
+
+export interface ExitPayload {
+  headerNumber: number
+  blockProof: Buffer
+  blockNumber: number
+  timestamp: number
+  transactionsRoot: Buffer
+  receiptsRoot: Buffer
+  receipt: Buffer
+  receiptProofParentNodes: Buffer
+  branchMask: Buffer
+  logIndex: number
+  redeemUnderlying: boolean
+}
+
+/**
+ * Index of the maToken burn (Transfer to 0x0) log in a receipt
+ * @param receipt receipt of the burn transaction
+ */
+export function getBurnLogIndex (receipt: RpcReceipt): number {
+  const logIndex = receipt.logs.findIndex(log =>
+    log.topics[0].toLowerCase() === ERC20_TRANSFER_EVENT_SIG &&
+    log.topics[2] !== undefined &&
+    log.topics[2].toLowerCase() === ZERO_ADDRESS_TOPIC
+  )
+  if (logIndex < 0) {
+    throw new Error(`No burn log found in transaction ${receipt.transactionHash}`)
+  }
+  return logIndex
+}
+
+async function inBatches<T, R> (items: T[], fetch: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = []
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    results.push(...await Promise.all(items.slice(i, i + BATCH_SIZE).map(fetch)))
+  }
+  return results
+}
+
+function getBlock (childProvider: JsonRpcSender, blockNumber: number, withTransactions: boolean = false): Promise<RpcBlock<any>> {
+  return childProvider.send('eth_getBlockByNumber', ['0x' + blockNumber.toString(16), withTransactions])
+}
+
+/**
+ * Checkpoint manager reading header blocks from its contract when given by address
+ * @param checkpointManager address or contract of the checkpoint manager
+ * @param rootProvider provider of the root chain
+ */
+export function getCheckpointManager (checkpointManager: string | CheckpointManagerLike, rootProvider?: providers.Provider): CheckpointManagerLike {
+  if (typeof checkpointManager !== 'string') {
+    return checkpointManager
+  }
+  if (!rootProvider) {
+    throw new Error('rootProvider is needed to read the checkpoint manager at ' + checkpointManager)
+  }
+  const contract = new Contract(checkpointManager, checkpointManagerAbi, rootProvider)
+  return {
+    headerBlocks: async headerNumber => {
+      const { root, start, end } = await contract.headerBlocks(headerNumber)
+      return { root, start: start.toString(), end: end.toString() }
+    }
+  }
+}
+
+/**
+ * Merkle proof of a block within the checkpoint containing it
+ * @param block child block
+ * @param headerBlock checkpoint containing the block
+ * @param childProvider JSON-RPC provider of the child chain
+ */
+export async function getBlockProof (block: RpcBlock<unknown>, headerBlock: HeaderBlock, childProvider: JsonRpcSender): Promise<Buffer[]> {
+  const start = toNumber(headerBlock.start)
+  const end = toNumber(headerBlock.end)
+  const numbers = Array.from(Array(end - start + 1), (_, i) => start + i)
+  const headers = await inBatches(numbers, async number => getBlockHeader(await getBlock(childProvider, number)))
+  const tree = new MerkleTree(headers)
+  if (!tree.getRoot().equals(toBuffer(headerBlock.root))) {
+    throw new Error(`Block headers ${start} - ${end} do not match checkpoint root ${headerBlock.root}`)
+  }
+  return tree.getProof(toNumber(block.number) - start)
+}
+
+/**
+ * Fields of the exit payload of a burn on child chain
+ * @param burnTxHash hash of the burn transaction on child chain
+ * @param options providers, checkpoint manager and exited log
+ */
+export async function getExitPayload (burnTxHash: string, options: ExitPayloadOptions): Promise<ExitPayload> {
+  const { childProvider, checkpointInterval = CHECKPOINT_INTERVAL, redeemUnderlying = false } = options
+  const receipt: RpcReceipt | null = await childProvider.send('eth_getTransactionReceipt', [burnTxHash])
+  if (!receipt) {
+    throw new Error(`Transaction ${burnTxHash} not found`)
+  }
+  const logIndex = options.logIndex === undefined ? getBurnLogIndex(receipt) : options.logIndex
+  if (!receipt.logs[logIndex]) {
+    throw new Error(`No log ${logIndex} in transaction ${burnTxHash}`)
+  }
+  const block: RpcBlock<{ hash: string }> = await getBlock(childProvider, toNumber(receipt.blockNumber), true)
+
+  const checkpointManager = getCheckpointManager(options.checkpointManager, options.rootProvider)
+  const { headerNumber, headerBlock } = await findHeaderBlock(checkpointManager, block.number, checkpointInterval)
+  const blockProof = await getBlockProof(block, headerBlock, childProvider)
+
+  const receipts: RpcReceipt[] = await inBatches(block.transactions, tx => childProvider.send('eth_getTransactionReceipt', [tx.hash]))
+  const receiptProof = await getReceiptProof(receipt, block, receipts)
+
+  return {
+    headerNumber,
+    blockProof: Buffer.concat(blockProof),
+    blockNumber: toNumber(block.number),
+    timestamp: toNumber(block.timestamp),
+    transactionsRoot: toBuffer(block.transactionsRoot),
+    receiptsRoot: toBuffer(block.receiptsRoot),
+    receipt: getReceiptBytes(receipt),
+    receiptProofParentNodes: rlp.encode(receiptProof.parentNodes),
+    branchMask: getBranchMask(receiptProof),
+    logIndex,
+    redeemUnderlying
+  }
+}
+
+/**
+ * RLP encodes exit payload fields as `exit` of the root chain managers decodes them
+ * @param payload fields of the exit payload
+ */
+export function encodeExitPayload (payload: ExitPayload): string {
+  const inputData = [
+    new BN(payload.headerNumber),
+    payload.blockProof,
+    payload.blockNumber,
+    payload.timestamp,
+    payload.transactionsRoot,
+    payload.receiptsRoot,
+    payload.receipt,
+    payload.receiptProofParentNodes,
+    payload.branchMask,
+    payload.logIndex
+  ]
+  if (payload.redeemUnderlying) {
+    inputData.push(1)
+  }
+  return bufferToHex(rlp.encode(inputData))
+}
+
+/**
+ * Builds the payload of `exit` on root chain for a burn on child chain
+ * @param burnTxHash hash of the burn transaction on child chain
+ * @param options providers, checkpoint manager and exited log
+ * @return RLP encoded payload as hex string
+ */
+export async function buildExitPayload (burnTxHash: string, options: ExitPayloadOptions): Promise<string> {
+  return encodeExitPayload(await getExitPayload(burnTxHash, options))
+}
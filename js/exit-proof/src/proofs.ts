@@ -0,0 +1,96 @@
+import { BaseTrie as Trie } from 'merkle-patricia-tree'
+import { rlp, toBuffer } from 'ethereumjs-util'
+
+import { DEFAULT_CHAIN_ID, getReceiptBytes, getTrieKey, getTxBytes } from './encoding'
+import { Quantity, RawNode, RpcBlock, RpcReceipt, RpcTransaction, TrieProof } from './types'
+
+// empty branches of a decoded node are null, the verifier expects them as empty strings
+function toRawNode (node: Array<Buffer | RawNode | null>): RawNode {
+  return node.map(item => {
+    if (item === null) {
+      return Buffer.alloc(0)
+    }
+    return Array.isArray(item) ? toRawNode(item) : item
+  })
+}
+
+/**
+ * Builds a trie of the values of a block, keyed by their transaction index
+ * @param entries transaction index and encoded value of each transaction or receipt
+ */
+export async function buildTrie (entries: Array<[Quantity, Buffer]>): Promise<Trie> {
+  const trie = new Trie()
+  for (const [transactionIndex, value] of entries) {
+    await trie.put(getTrieKey(transactionIndex), value)
+  }
+  return trie
+}
+
+/**
+ * Proof of the value stored at a transaction index
+ * @param trie trie of the block
+ * @param transactionIndex index of the proven transaction or receipt
+ */
+export async function getTrieProof (trie: Trie, transactionIndex: Quantity): Promise<TrieProof> {
+  const path = getTrieKey(transactionIndex)
+  const { node, remaining, stack } = await trie.findPath(path)
+  if (node === null || node.value === null || remaining.length > 0) {
+    throw new Error(`Trie does not contain transaction index ${transactionIndex}`)
+  }
+  return {
+    root: trie.root,
+    path,
+    parentNodes: stack.map(n => toRawNode(n.raw())),
+    value: node.value
+  }
+}
+
+/**
+ * Checks that a proof leads from its root to its value
+ * @param proof transaction or receipt proof
+ */
+export async function verifyTrieProof (proof: TrieProof): Promise<boolean> {
+  try {
+    const value = await Trie.verifyProof(proof.root, proof.path, proof.parentNodes.map(node => rlp.encode(node)))
+    return value !== null && value.equals(proof.value)
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Proof of a transaction against the transactionsRoot of its block
+ * @param tx proven transaction
+ * @param block block with all its transactions
+ * @param chainId chain id the transactions were signed for
+ */
+export async function getTxProof (tx: RpcTransaction, block: RpcBlock, chainId: number = DEFAULT_CHAIN_ID): Promise<TrieProof> {
+  const trie = await buildTrie(block.transactions.map(sibling => [sibling.transactionIndex, getTxBytes(sibling, chainId)]))
+  if (!trie.root.equals(toBuffer(block.transactionsRoot))) {
+    throw new Error(`Transactions of block ${block.number} do not match its transactionsRoot`)
+  }
+  return getTrieProof(trie, tx.transactionIndex)
+}
+
+/**
+ * Proof of a receipt against the receiptsRoot of its block
+ * @param receipt proven receipt
+ * @param block block of the receipt
+ * @param receipts receipts of all transactions of the block
+ */
+export async function getReceiptProof (receipt: RpcReceipt, block: RpcBlock<unknown>, receipts: RpcReceipt[]): Promise<TrieProof> {
+  const trie = await buildTrie(receipts.map(sibling => [sibling.transactionIndex, getReceiptBytes(sibling)]))
+  if (!trie.root.equals(toBuffer(block.receiptsRoot))) {
+    throw new Error(`Receipts of block ${block.number} do not match its receiptsRoot`)
+  }
+  return getTrieProof(trie, receipt.transactionIndex)
+}
+
+// a transaction or receipt proof checks out the same way
+export const verifyTxProof = verifyTrieProof
+export const verifyReceiptProof = verifyTrieProof
+
+// branch mask of an exit payload, the trie key prefixed with a 0 byte
+export function getBranchMask (proof: TrieProof): Buffer {
+  return Buffer.concat([Buffer.from([0]), proof.path])
+}
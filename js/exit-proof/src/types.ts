@@ -0,0 +1,90 @@
+// Quantities as returned by JSON-RPC (hex) or formatted by web3 (number or decimal string)
+export type Quantity = number | string
+
+export interface RpcLog {
+  address: string
+  topics: string[]
+  data: string
+  logIndex?: Quantity
+}
+
+export interface RpcReceipt {
+  transactionHash: string
+  transactionIndex: Quantity
+  blockHash: string
+  blockNumber: Quantity
+  // boolean when formatted by web3, absent before byzantium where `root` is set
+  status?: boolean | Quantity | null
+  root?: string
+  cumulativeGasUsed: Quantity
+  logsBloom: string
+  logs: RpcLog[]
+  // EIP-2718 type of the transaction, absent or 0 for legacy receipts
+  type?: Quantity
+}
+
+export interface AccessListItem {
+  address: string
+  storageKeys: string[]
+}
+
+export interface RpcTransaction {
+  hash: string
+  transactionIndex: Quantity
+  blockHash: string
+  nonce: Quantity
+  // legacy and access list (type 1) transactions
+  gasPrice?: Quantity
+  gas: Quantity
+  to: string | null
+  value: Quantity
+  input: string
+  v: Quantity
+  r: string
+  s: string
+  // EIP-2718 type, absent or 0 for legacy transactions
+  type?: Quantity
+  chainId?: Quantity
+  accessList?: AccessListItem[]
+  // dynamic fee (type 2) transactions
+  maxFeePerGas?: Quantity
+  maxPriorityFeePerGas?: Quantity
+}
+
+export interface RpcBlock<T = RpcTransaction> {
+  number: Quantity
+  timestamp: Quantity
+  transactionsRoot: string
+  receiptsRoot: string
+  transactions: T[]
+}
+
+// decoded trie node, embedded nodes are nested
+export type RawNode = Array<Buffer | RawNode>
+
+export interface TrieProof {
+  // root of the trie, transactionsRoot or receiptsRoot of the block
+  root: Buffer
+  // key of the proven value, the RLP encoded transaction index
+  path: Buffer
+  // decoded nodes from the root down to the value
+  parentNodes: RawNode[]
+  // encoded transaction or receipt
+  value: Buffer
+}
+
+export interface HeaderBlock {
+  root: string
+  start: Quantity
+  end: Quantity
+}
+
+// `headerBlocks` getter of ICheckpointManager, e.g. an ethers contract
+export interface CheckpointManagerLike {
+  headerBlocks (headerNumber: Quantity): Promise<HeaderBlock>
+}
+
+// JSON-RPC access to a chain, e.g. an ethers JsonRpcProvider
+export interface JsonRpcSender {
+  send (method: string, params: unknown[]): Promise<any>
+}
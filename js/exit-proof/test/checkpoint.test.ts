@@ -0,0 +1,92 @@
+import { expect } from 'chai'
+import { bufferToHex, keccak256 } from 'ethereumjs-util'
+
+import { CheckpointManagerLike, HeaderBlock, MerkleTree, findHeaderBlock, getBlockHeader, lookupHeaderBlock } from '../src'
+import { block } from './fixtures'
+
+const ZERO_ROOT = '0x' + '0'.repeat(64)
+
+// checkpoints of `size` blocks each, the first `submitted` of them submitted
+function mockCheckpointManager (size: number, submitted: number, interval: number): CheckpointManagerLike & { calls: number } {
+  const manager = {
+    calls: 0,
+    headerBlocks: async (headerNumber: number): Promise<HeaderBlock> => {
+      manager.calls++
+      const k = headerNumber / interval
+      if (k < 1 || k > submitted) {
+        return { root: ZERO_ROOT, start: '0', end: '0' }
+      }
+      return { root: ZERO_ROOT, start: String((k - 1) * size), end: String(k * size - 1) }
+    }
+  }
+  return manager
+}
+
+describe('checkpoint', () => {
+  describe('getBlockHeader', () => {
+    it('should hash number, timestamp and trie roots', () => {
+      const header = getBlockHeader(block)
+      expect(bufferToHex(header)).to.equal(bufferToHex(keccak256(Buffer.concat([
+        Buffer.from(block.number.toString(16).padStart(64, '0'), 'hex'),
+        Buffer.from(block.timestamp.toString(16).padStart(64, '0'), 'hex'),
+        Buffer.from(block.transactionsRoot.slice(2), 'hex'),
+        Buffer.from(block.receiptsRoot.slice(2), 'hex')
+      ]))))
+    })
+  })
+
+  describe('MerkleTree', () => {
+    const leaves = Array.from(Array(5), (_, i) => keccak256(Buffer.from([i])))
+    const tree = new MerkleTree(leaves)
+
+    it('should pad the leaves to a power of two', () => {
+      expect(tree.layers.map(layer => layer.length)).to.deep.equal([8, 4, 2, 1])
+    })
+
+    it('should prove every leaf', () => {
+      leaves.forEach((leaf, i) => {
+        const proof = tree.getProof(i)
+        expect(proof).to.have.lengthOf(3)
+        expect(MerkleTree.verify(leaf, i, tree.getRoot(), proof)).to.equal(true)
+        expect(MerkleTree.verify(leaf, i ^ 1, tree.getRoot(), proof)).to.equal(false)
+      })
+    })
+
+    it('should have the leaf as root of a single block', () => {
+      const single = new MerkleTree([leaves[0]])
+      expect(single.getRoot()).to.deep.equal(leaves[0])
+      expect(single.getProof(0)).to.deep.equal([])
+    })
+
+    it('should throw without leaves', () => {
+      expect(() => new MerkleTree([])).to.throw('At least 1 leaf needed')
+    })
+  })
+
+  describe('findHeaderBlock', () => {
+    it('should find the checkpoint containing a block', async () => {
+      const manager = mockCheckpointManager(16, 100, 10000)
+      for (const blockNumber of [0, 15, 16, 800, 1599]) {
+        const { headerNumber, headerBlock } = await findHeaderBlock(manager, blockNumber)
+        expect(headerNumber).to.equal((Math.floor(blockNumber / 16) + 1) * 10000)
+        expect(Number(headerBlock.start)).to.be.at.most(blockNumber)
+        expect(Number(headerBlock.end)).to.be.at.least(blockNumber)
+      }
+    })
+
+    it('should search in logarithmic calls', async () => {
+      const manager = mockCheckpointManager(2, 1000, 1)
+      await findHeaderBlock(manager, 1400, 1)
+      expect(manager.calls).to.be.at.most(21)
+    })
+
+    it('should throw for a block after the last checkpoint', async () => {
+      const manager = mockCheckpointManager(16, 2, 1)
+      await findHeaderBlock(manager, 32, 1)
+        .then(() => expect.fail('block was found'), err => expect(err.message).to.equal('Block 32 has not been checkpointed yet'))
+      const { checkpointed, headerNumber } = await lookupHeaderBlock(manager, 32, 1)
+      expect(checkpointed).to.equal(false)
+      expect(headerNumber).to.equal(3)
+    })
+  })
+})
@@ -0,0 +1,14 @@
+import { RpcBlock, RpcReceipt } from '../src'
+
+// ethereum mainnet block 10692962 as formatted by web3, shared with the contract tests
+export const block: RpcBlock = require('../../../test/mockResponses/347-block.json')
+export const receipts: RpcReceipt[] = require('../../../test/mockResponses/347-receipt-list.json')
+
+export const MAINNET_CHAIN_ID = 1
+
+// london block of a local bor chain with legacy, access list and dynamic fee transactions,
+// recorded with scripts/record-block-fixture.js
+export const mixedTypeBlock: RpcBlock = require('../../../test/mockResponses/mixed-type-block.json')
+export const mixedTypeReceipts: RpcReceipt[] = require('../../../test/mockResponses/mixed-type-receipt-list.json')
+
+export const BOR_LOCAL_CHAIN_ID = 15001
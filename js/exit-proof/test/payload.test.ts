@@ -0,0 +1,155 @@
+import { expect } from 'chai'
+import { BaseTrie as Trie } from 'merkle-patricia-tree'
+import { bufferToHex, keccak256, rlp, toBuffer } from 'ethereumjs-util'
+
+import { CheckpointManagerLike, JsonRpcSender, MerkleTree, RpcBlock, buildExitPayload, getBlockHeader, getBurnLogIndex, getExitPayload, getReceiptBytes } from '../src'
+import { block, receipts } from './fixtures'
+
+const BLOCK_NUMBER = Number(block.number)
+const CHECKPOINT_START = BLOCK_NUMBER - 2
+const CHECKPOINT_END = BLOCK_NUMBER + 2
+// the burn of tx 46 is not its first log
+const BURN_TX_INDEX = 46
+const BURN_LOG_INDEX = 6
+
+// neighbours of the fixture block, only their headers are checkpointed
+function getBlock (number: number): RpcBlock<unknown> {
+  if (number === BLOCK_NUMBER) {
+    return block
+  }
+  return {
+    number: '0x' + number.toString(16),
+    timestamp: '0x' + (Number(block.timestamp) + number - BLOCK_NUMBER).toString(16),
+    transactionsRoot: bufferToHex(keccak256(Buffer.from(`transactions ${number}`))),
+    receiptsRoot: bufferToHex(keccak256(Buffer.from(`receipts ${number}`))),
+    transactions: []
+  }
+}
+
+function mockChildProvider (): JsonRpcSender & { calls: string[] } {
+  const provider = {
+    calls: [] as string[],
+    send: async (method: string, params: any[]) => {
+      provider.calls.push(method)
+      if (method === 'eth_getTransactionReceipt') {
+        return receipts.find(receipt => receipt.transactionHash === params[0]) || null
+      }
+      if (method === 'eth_getBlockByNumber') {
+        return getBlock(parseInt(params[0], 16))
+      }
+      throw new Error(`Unexpected ${method}`)
+    }
+  }
+  return provider
+}
+
+function mockCheckpointManager (): CheckpointManagerLike {
+  const headers = []
+  for (let number = CHECKPOINT_START; number <= CHECKPOINT_END; number++) {
+    headers.push(getBlockHeader(getBlock(number)))
+  }
+  const root = bufferToHex(new MerkleTree(headers).getRoot())
+  return {
+    headerBlocks: async headerNumber => {
+      switch (Number(headerNumber)) {
+        case 10000:
+          return { root: bufferToHex(keccak256(Buffer.from('checkpoint'))), start: 0, end: CHECKPOINT_START - 1 }
+        case 20000:
+          return { root, start: CHECKPOINT_START, end: CHECKPOINT_END }
+        default:
+          return { root: '0x' + '0'.repeat(64), start: 0, end: 0 }
+      }
+    }
+  }
+}
+
+describe('payload', () => {
+  const burnReceipt = receipts[BURN_TX_INDEX]
+
+  describe('getBurnLogIndex', () => {
+    it('should find the Transfer to the zero address', () => {
+      expect(getBurnLogIndex(burnReceipt)).to.equal(BURN_LOG_INDEX)
+    })
+
+    it('should throw without a burn', () => {
+      expect(() => getBurnLogIndex(receipts[0])).to.throw(`No burn log found in transaction ${receipts[0].transactionHash}`)
+    })
+  })
+
+  describe('buildExitPayload', () => {
+    let childProvider: JsonRpcSender & { calls: string[] }
+    let checkpointManager: CheckpointManagerLike
+
+    beforeEach(() => {
+      childProvider = mockChildProvider()
+      checkpointManager = mockCheckpointManager()
+    })
+
+    it('should encode a verifiable exit payload', async () => {
+      const payload = await buildExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager })
+      const [headerNumber, blockProof, blockNumber, timestamp, transactionsRoot, receiptsRoot, receipt, parentNodes, branchMask, logIndex, ...rest] =
+        rlp.decode(toBuffer(payload)) as unknown as Buffer[]
+
+      expect(bufferToHex(headerNumber)).to.equal('0x4e20')
+      expect(bufferToHex(blockNumber)).to.equal(bufferToHex(toBuffer(BLOCK_NUMBER)))
+      expect(bufferToHex(timestamp)).to.equal(bufferToHex(toBuffer(Number(block.timestamp))))
+      expect(bufferToHex(transactionsRoot)).to.equal(block.transactionsRoot)
+      expect(bufferToHex(receiptsRoot)).to.equal(block.receiptsRoot)
+      expect(receipt).to.deep.equal(getReceiptBytes(burnReceipt))
+      expect(bufferToHex(branchMask)).to.equal('0x00' + rlp.encode(BURN_TX_INDEX).toString('hex'))
+      expect(bufferToHex(logIndex)).to.equal('0x06')
+      expect(rest).to.have.lengthOf(0)
+
+      const { root } = await checkpointManager.headerBlocks(20000)
+      const siblings = Array.from(Array(blockProof.length / 32), (_, i) => blockProof.slice(i * 32, (i + 1) * 32))
+      expect(MerkleTree.verify(getBlockHeader(block), BLOCK_NUMBER - CHECKPOINT_START, toBuffer(root), siblings)).to.equal(true)
+
+      const proofNodes = (rlp.decode(parentNodes) as unknown as Buffer[]).map(node => rlp.encode(node))
+      const value = await Trie.verifyProof(receiptsRoot, branchMask.slice(1), proofNodes)
+      expect(value).to.deep.equal(receipt)
+    })
+
+    it('should fetch the receipts of all transactions of the block', async () => {
+      await getExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager })
+      const receiptCalls = childProvider.calls.filter(method => method === 'eth_getTransactionReceipt')
+      expect(receiptCalls).to.have.lengthOf(block.transactions.length + 1)
+    })
+
+    it('should exit a given log and redeem the underlying asset', async () => {
+      const payload = await getExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager, logIndex: 2, redeemUnderlying: true })
+      expect(payload.logIndex).to.equal(2)
+      const fields = rlp.decode(await buildExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager, redeemUnderlying: true })) as unknown as Buffer[]
+      expect(fields).to.have.lengthOf(11)
+      expect(bufferToHex(fields[10])).to.equal('0x01')
+    })
+
+    it('should throw for a missing log', async () => {
+      await getExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager, logIndex: 14 })
+        .then(() => expect.fail('payload was built'), err => expect(err.message).to.equal(`No log 14 in transaction ${burnReceipt.transactionHash}`))
+    })
+
+    it('should throw for an unknown transaction', async () => {
+      const hash = '0x' + '1'.repeat(64)
+      await buildExitPayload(hash, { childProvider, checkpointManager })
+        .then(() => expect.fail('payload was built'), err => expect(err.message).to.equal(`Transaction ${hash} not found`))
+    })
+
+    it('should throw when the block headers do not match the checkpoint', async () => {
+      const headerBlocks = checkpointManager.headerBlocks
+      checkpointManager = { headerBlocks: async headerNumber => ({ ...await headerBlocks(headerNumber), root: '0x' + '2'.repeat(64) }) }
+      await buildExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager })
+        .then(() => expect.fail('payload was built'), err => expect(err.message).to.match(/do not match checkpoint root/))
+    })
+
+    it('should throw for a block that is not checkpointed', async () => {
+      checkpointManager = { headerBlocks: async () => ({ root: '0x' + '0'.repeat(64), start: 0, end: 0 }) }
+      await buildExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager })
+        .then(() => expect.fail('payload was built'), err => expect(err.message).to.equal(`Block ${BLOCK_NUMBER} has not been checkpointed yet`))
+    })
+
+    it('should need a root provider for a checkpoint manager address', async () => {
+      await buildExitPayload(burnReceipt.transactionHash, { childProvider, checkpointManager: '0x' + '3'.repeat(40) })
+        .then(() => expect.fail('payload was built'), err => expect(err.message).to.match(/^rootProvider is needed/))
+    })
+  })
+})
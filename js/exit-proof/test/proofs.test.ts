@@ -0,0 +1,69 @@
+import { expect } from 'chai'
+import { bufferToHex, rlp } from 'ethereumjs-util'
+
+import { buildTrie, getBranchMask, getReceiptBytes, getReceiptProof, getTxBytes, getTxProof, verifyReceiptProof, verifyTxProof } from '../src'
+import { MAINNET_CHAIN_ID, block, receipts } from './fixtures'
+
+describe('proofs', () => {
+  describe('getTxBytes', () => {
+    it('should rebuild the transactionsRoot of the block', async () => {
+      const trie = await buildTrie(block.transactions.map(tx => [tx.transactionIndex, getTxBytes(tx, MAINNET_CHAIN_ID)]))
+      expect(bufferToHex(trie.root)).to.equal(block.transactionsRoot)
+    })
+
+    it('should throw when signed for another chain', () => {
+      expect(() => getTxBytes(block.transactions[0], 15001)).to.throw()
+    })
+  })
+
+  describe('getTxProof', () => {
+    it('should prove transactions', async () => {
+      for (const tx of [block.transactions[0], block.transactions[46], block.transactions[346]]) {
+        const proof = await getTxProof(tx, block, MAINNET_CHAIN_ID)
+        expect(bufferToHex(proof.root)).to.equal(block.transactionsRoot)
+        expect(proof.value).to.deep.equal(getTxBytes(tx, MAINNET_CHAIN_ID))
+        expect(await verifyTxProof(proof)).to.equal(true)
+      }
+    })
+
+    it('should reject transactions not matching the transactionsRoot', async () => {
+      const transactions = block.transactions.slice(0, -1)
+      await getTxProof(block.transactions[0], { ...block, transactions }, MAINNET_CHAIN_ID)
+        .then(() => expect.fail('proof was built'), err => expect(err.message).to.match(/do not match its transactionsRoot/))
+    })
+  })
+
+  describe('getReceiptProof', () => {
+    it('should rebuild the receiptsRoot of the block', async () => {
+      const trie = await buildTrie(receipts.map(receipt => [receipt.transactionIndex, getReceiptBytes(receipt)]))
+      expect(bufferToHex(trie.root)).to.equal(block.receiptsRoot)
+    })
+
+    it('should prove all receipts of the block', async () => {
+      for (const receipt of receipts) {
+        const proof = await getReceiptProof(receipt, block, receipts)
+        expect(proof.value).to.deep.equal(getReceiptBytes(receipt))
+        expect(await verifyReceiptProof(proof)).to.equal(true, `receipt ${receipt.transactionIndex}`)
+      }
+    })
+
+    it('should reject receipts not matching the receiptsRoot', async () => {
+      const tampered = receipts.map((receipt, i) => i === 5 ? { ...receipt, cumulativeGasUsed: 1 } : receipt)
+      await getReceiptProof(receipts[0], block, tampered)
+        .then(() => expect.fail('proof was built'), err => expect(err.message).to.match(/do not match its receiptsRoot/))
+    })
+
+    it('should fail verification of a tampered proof', async () => {
+      const proof = await getReceiptProof(receipts[46], block, receipts)
+      expect(await verifyReceiptProof({ ...proof, value: getReceiptBytes(receipts[45]) })).to.equal(false)
+      expect(await verifyReceiptProof({ ...proof, parentNodes: proof.parentNodes.slice(1) })).to.equal(false)
+    })
+  })
+
+  describe('getBranchMask', () => {
+    it('should prefix the trie key with a 0 byte', async () => {
+      const proof = await getReceiptProof(receipts[46], block, receipts)
+      expect(bufferToHex(getBranchMask(proof))).to.equal('0x00' + rlp.encode(46).toString('hex'))
+    })
+  })
+})
@@ -0,0 +1,95 @@
+import { expect } from 'chai'
+import { bufferToHex, keccak256, rlp } from 'ethereumjs-util'
+
+import {
+  ACCESS_LIST_TX_TYPE, DYNAMIC_FEE_TX_TYPE, LEGACY_TX_TYPE,
+  buildTrie, getReceiptBytes, getReceiptProof, getTxBytes, getTxProof, getTxType, verifyReceiptProof, verifyTxProof
+} from '../src'
+import { BOR_LOCAL_CHAIN_ID, mixedTypeBlock, mixedTypeReceipts } from './fixtures'
+
+describe('typed transactions', () => {
+  it('should cover every transaction type and a failed transaction', () => {
+    const types = mixedTypeBlock.transactions.map(getTxType)
+    expect(types).to.include.members([LEGACY_TX_TYPE, ACCESS_LIST_TX_TYPE, DYNAMIC_FEE_TX_TYPE])
+    expect(mixedTypeReceipts.map(receipt => receipt.status)).to.include('0x0')
+  })
+
+  describe('getTxBytes', () => {
+    it('should encode transactions as signed', () => {
+      for (const tx of mixedTypeBlock.transactions) {
+        const bytes = getTxBytes(tx, BOR_LOCAL_CHAIN_ID)
+        expect(bufferToHex(keccak256(bytes))).to.equal(tx.hash)
+      }
+    })
+
+    it('should prefix typed transactions with their type', () => {
+      for (const tx of mixedTypeBlock.transactions) {
+        const bytes = getTxBytes(tx, BOR_LOCAL_CHAIN_ID)
+        if (getTxType(tx) === LEGACY_TX_TYPE) {
+          expect(bytes[0]).to.be.at.least(0xc0)
+        } else {
+          expect(bytes[0]).to.equal(getTxType(tx))
+          expect(rlp.decode(bytes.slice(1))).to.be.an('array')
+        }
+      }
+    })
+
+    it('should rebuild the transactionsRoot of the block', async () => {
+      const trie = await buildTrie(mixedTypeBlock.transactions.map(tx => [tx.transactionIndex, getTxBytes(tx, BOR_LOCAL_CHAIN_ID)]))
+      expect(bufferToHex(trie.root)).to.equal(mixedTypeBlock.transactionsRoot)
+    })
+
+    it('should throw for typed transactions of another chain', () => {
+      const tx = mixedTypeBlock.transactions.find(tx => getTxType(tx) === DYNAMIC_FEE_TX_TYPE)!
+      expect(() => getTxBytes(tx, 137)).to.throw()
+    })
+
+    it('should throw for unsupported types', () => {
+      const tx = { ...mixedTypeBlock.transactions[0], type: '0x7e' }
+      expect(() => getTxBytes(tx, BOR_LOCAL_CHAIN_ID)).to.throw(`Transaction ${tx.hash} has unsupported type 126`)
+    })
+  })
+
+  describe('getReceiptBytes', () => {
+    it('should prefix typed receipts with their type', () => {
+      for (const receipt of mixedTypeReceipts) {
+        const bytes = getReceiptBytes(receipt)
+        const type = getTxType(receipt)
+        const fields = rlp.decode(type === LEGACY_TX_TYPE ? bytes : bytes.slice(1)) as unknown as Buffer[]
+        expect(fields).to.have.lengthOf(4)
+        if (type !== LEGACY_TX_TYPE) {
+          expect(bytes[0]).to.equal(type)
+        }
+      }
+    })
+
+    it('should rebuild the receiptsRoot of the block', async () => {
+      const trie = await buildTrie(mixedTypeReceipts.map(receipt => [receipt.transactionIndex, getReceiptBytes(receipt)]))
+      expect(bufferToHex(trie.root)).to.equal(mixedTypeBlock.receiptsRoot)
+    })
+  })
+
+  describe('proofs', () => {
+    it('should prove every transaction', async () => {
+      for (const tx of mixedTypeBlock.transactions) {
+        const proof = await getTxProof(tx, mixedTypeBlock, BOR_LOCAL_CHAIN_ID)
+        expect(await verifyTxProof(proof)).to.equal(true, `transaction ${tx.transactionIndex}`)
+      }
+    })
+
+    it('should prove every receipt', async () => {
+      for (const receipt of mixedTypeReceipts) {
+        const proof = await getReceiptProof(receipt, mixedTypeBlock, mixedTypeReceipts)
+        expect(proof.value).to.deep.equal(getReceiptBytes(receipt))
+        expect(await verifyReceiptProof(proof)).to.equal(true, `receipt ${receipt.transactionIndex}`)
+      }
+    })
+
+    it('should not prove a receipt without its type', async () => {
+      const typed = mixedTypeReceipts.find(receipt => getTxType(receipt) !== LEGACY_TX_TYPE)!
+      const untyped = mixedTypeReceipts.map(receipt => ({ ...receipt, type: undefined }))
+      await getReceiptProof(typed, mixedTypeBlock, untyped)
+        .then(() => expect.fail('proof was built'), err => expect(err.message).to.match(/do not match its receiptsRoot/))
+    })
+  })
+})
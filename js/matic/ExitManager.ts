@@ -0,0 +1,241 @@
+import { Contract, ContractTransaction, Overrides, Signer, providers, utils } from 'ethers'
+import {
+  CHECKPOINT_INTERVAL,
+  ExitPayload,
+  JsonRpcSender,
+  RpcReceipt,
+  encodeExitPayload,
+  getBurnLogIndex,
+  getCheckpointManager,
+  getExitPayload,
+  getTrieKey,
+  lookupHeaderBlock,
+  toNumber
+} from '@maticnetwork/exit-proof'
+
+// keccak256(MessageSent(bytes)), BaseRootTunnel.SEND_MESSAGE_EVENT_SIG
+export const SEND_MESSAGE_EVENT_SIG = '0x8c5261668696ce22758910d05bab8f186d6eb247ceac2af2e82c7dc17669b036'
+
+// contracts processing exits on root chain
+export type ExitTarget = 'RootChainManager' | 'ATokenRootChainManager' | 'RootTunnel'
+
+interface ExitTargetConfig {
+  abi: string[]
+  // method taking the exit payload
+  method: 'exit' | 'receiveMessage'
+  // whether the payload may ask for the underlying asset of an aToken
+  redeemUnderlying: boolean
+}
+
+const processedExitsAbi = 'function processedExits(bytes32) view returns (bool)'
+
+const exitTargets: { [target in ExitTarget]: ExitTargetConfig } = {
+  RootChainManager: {
+    abi: ['function exit(bytes inputData)', processedExitsAbi],
+    method: 'exit',
+    redeemUnderlying: false
+  },
+  ATokenRootChainManager: {
+    abi: ['function exit(bytes inputData)', processedExitsAbi],
+    method: 'exit',
+    redeemUnderlying: true
+  },
+  RootTunnel: {
+    abi: ['function receiveMessage(bytes inputData)', processedExitsAbi, 'function childTunnel() view returns (address)'],
+    method: 'receiveMessage',
+    redeemUnderlying: false
+  }
+}
+
+export interface ExitManagerOptions {
+  // provider of the root chain
+  rootProvider: providers.Provider
+  // JSON-RPC provider of the child chain
+  childProvider: JsonRpcSender
+  // address of the checkpoint manager, RootChain on mainnet
+  checkpointManager: string
+  // address of the contract exits are submitted to
+  exitContract: string
+  // kind of that contract, RootChainManager by default
+  target?: ExitTarget
+  // sends exit transactions, only needed by `exit`
+  signer?: Signer
+  // difference between two consecutive header block numbers, 1 for MockCheckpointManager
+  checkpointInterval?: number
+}
+
+export interface ExitOptions {
+  // index in the receipt of the exited log, the burn or the MessageSent log of the child tunnel by default
+  logIndex?: number
+  // exit to the underlying asset of an aToken, ATokenRootChainManager only
+  redeemUnderlying?: boolean
+}
+
+// MerklePatriciaProof._getNibbleArray, one byte per nibble without the hex prefix nibbles
+function getNibbleArray (branchMask: Buffer): string {
+  const hex = branchMask.toString('hex')
+  if (hex.length === 0) {
+    return '0x'
+  }
+  const offset = ['1', '3'].includes(hex[0]) ? 1 : 2
+  return utils.hexlify(hex.slice(offset).split('').map(nibble => parseInt(nibble, 16)))
+}
+
+/**
+ * Exits burns and messages of child chain on root chain, through RootChainManager, ATokenRootChainManager
+ * or the receiveMessage of a BaseRootTunnel
+ */
+export class ExitManager {
+  readonly target: ExitTarget
+  readonly exitContract: Contract
+  private readonly rootProvider: providers.Provider
+  private readonly childProvider: JsonRpcSender
+  private readonly checkpointManager: string
+  private readonly checkpointInterval: number
+  private readonly signer?: Signer
+  private childTunnel?: string
+
+  constructor ({
+    rootProvider,
+    childProvider,
+    checkpointManager,
+    exitContract,
+    target = 'RootChainManager',
+    signer,
+    checkpointInterval = CHECKPOINT_INTERVAL
+  }: ExitManagerOptions) {
+    if (!exitTargets[target]) {
+      throw new Error(`Unknown exit target ${target}`)
+    }
+    this.target = target
+    this.exitContract = new Contract(exitContract, exitTargets[target].abi, rootProvider)
+    this.rootProvider = rootProvider
+    this.childProvider = childProvider
+    this.checkpointManager = checkpointManager
+    this.checkpointInterval = checkpointInterval
+    this.signer = signer
+  }
+
+  /**
+   * Receipt of a transaction on child chain
+   * @param burnTxHash hash of the burn or message transaction
+   */
+  async getReceipt (burnTxHash: string): Promise<RpcReceipt> {
+    const receipt: RpcReceipt | null = await this.childProvider.send('eth_getTransactionReceipt', [burnTxHash])
+    if (!receipt) {
+      throw new Error(`Transaction ${burnTxHash} not found`)
+    }
+    return receipt
+  }
+
+  /**
+   * Index of the exited log in a receipt
+   * @param receipt receipt of the burn or message transaction
+   * @param logIndex index of the log when given explicitly
+   */
+  async getLogIndex (receipt: RpcReceipt, logIndex?: number): Promise<number> {
+    if (logIndex !== undefined) {
+      if (!receipt.logs[logIndex]) {
+        throw new Error(`No log ${logIndex} in transaction ${receipt.transactionHash}`)
+      }
+      return logIndex
+    }
+    if (this.target !== 'RootTunnel') {
+      return getBurnLogIndex(receipt)
+    }
+    if (!this.childTunnel) {
+      this.childTunnel = (await this.exitContract.childTunnel() as string).toLowerCase()
+    }
+    const index = receipt.logs.findIndex(log =>
+      log.address.toLowerCase() === this.childTunnel &&
+      log.topics[0].toLowerCase() === SEND_MESSAGE_EVENT_SIG
+    )
+    if (index < 0) {
+      throw new Error(`No message of child tunnel ${this.childTunnel} found in transaction ${receipt.transactionHash}`)
+    }
+    return index
+  }
+
+  /**
+   * Whether the block of a transaction is in a checkpoint submitted to root chain
+   * @param burnTxHash hash of the burn or message transaction
+   */
+  async isCheckpointed (burnTxHash: string): Promise<boolean> {
+    const receipt = await this.getReceipt(burnTxHash)
+    const checkpointManager = getCheckpointManager(this.checkpointManager, this.rootProvider)
+    const { checkpointed } = await lookupHeaderBlock(checkpointManager, toNumber(receipt.blockNumber), this.checkpointInterval)
+    return checkpointed
+  }
+
+  /**
+   * Fields of the exit payload of a transaction, with its block and receipt proofs
+   * @param burnTxHash hash of the burn or message transaction
+   * @param options exited log and redeeming of aTokens
+   */
+  async getPayload (burnTxHash: string, options: ExitOptions = {}): Promise<ExitPayload> {
+    const { redeemUnderlying = false } = options
+    if (redeemUnderlying && !exitTargets[this.target].redeemUnderlying) {
+      throw new Error(`${this.target} cannot redeem the underlying asset`)
+    }
+    const logIndex = await this.getLogIndex(await this.getReceipt(burnTxHash), options.logIndex)
+    return getExitPayload(burnTxHash, {
+      rootProvider: this.rootProvider,
+      childProvider: this.childProvider,
+      checkpointManager: this.checkpointManager,
+      checkpointInterval: this.checkpointInterval,
+      logIndex,
+      redeemUnderlying
+    })
+  }
+
+  /**
+   * Builds the payload of `exit` or `receiveMessage` for a transaction
+   * @param burnTxHash hash of the burn or message transaction
+   * @param options exited log and redeeming of aTokens
+   * @return RLP encoded payload as hex string
+   */
+  async buildPayload (burnTxHash: string, options: ExitOptions = {}): Promise<string> {
+    return encodeExitPayload(await this.getPayload(burnTxHash, options))
+  }
+
+  /**
+   * Hash the exit contract stores in processedExits for an exited log
+   * @param burnTxHash hash of the burn or message transaction
+   * @param options exited log
+   */
+  async getExitHash (burnTxHash: string, options: ExitOptions = {}): Promise<string> {
+    const receipt = await this.getReceipt(burnTxHash)
+    const logIndex = await this.getLogIndex(receipt, options.logIndex)
+    const branchMask = Buffer.concat([Buffer.from([0]), getTrieKey(receipt.transactionIndex)])
+    return utils.solidityKeccak256(
+      ['uint256', 'bytes', 'uint256'],
+      [toNumber(receipt.blockNumber), getNibbleArray(branchMask), logIndex]
+    )
+  }
+
+  /**
+   * Whether the exit of a log has been processed on root chain
+   * @param burnTxHash hash of the burn or message transaction
+   * @param options exited log
+   */
+  async isExitProcessed (burnTxHash: string, options: ExitOptions = {}): Promise<boolean> {
+    return this.exitContract.processedExits(await this.getExitHash(burnTxHash, options))
+  }
+
+  /**
+   * Submits the exit of a transaction to the exit contract
+   * @param burnTxHash hash of the burn or message transaction
+   * @param options exited log, redeeming of aTokens and overrides of the exit transaction
+   */
+  async exit (burnTxHash: string, options: ExitOptions & { overrides?: Overrides } = {}): Promise<ContractTransaction> {
+    if (!this.signer) {
+      throw new Error('A signer is needed to exit')
+    }
+    if (await this.isExitProcessed(burnTxHash, options)) {
+      throw new Error(`Exit of ${burnTxHash} has already been processed`)
+    }
+    const payload = await this.buildPayload(burnTxHash, options)
+    const { method } = exitTargets[this.target]
+    return this.exitContract.connect(this.signer)[method](payload, options.overrides || {})
+  }
+}
@@ -1,47 +1,56 @@
-/* global ethers */
+const { ethers, network } = require('hardhat')
+const { getDeployment, getToken, getTokenArgs } = require('./lib/registry')
+const SafeBatch = require('./lib/safe-batch')
 
-async function main () {
-  const accounts = await ethers.getSigners()
-  const account = await accounts[0].getAddress()
-  const multiSigAddress = '0x258cC4C495Aef8D809944aD94C6722ef41216ef3'
+// with DRY_RUN=1 the calls are written to safe-batch-<network>.json instead of being sent,
+// an env variable as `hardhat run` rejects arguments it does not know
+const dryRun = process.env.DRY_RUN === '1'
 
-  const childChainManager = await ethers.getContractAt('ATokenChildChainManager', '0x4fe23a33922BcC5e560fdd74A84cDDe4D2BdaaAC')
-  let tx = await childChainManager.setOwner(multiSigAddress)
-  console.log('Setting childChainManager owner: ', tx.hash)
-  let receipt = await tx.wait()
-  if (receipt.status) {
-    console.log('ChildChainManager owner set successfully')
-  } else {
-    throw Error('ChildChainManager owner set faileddddddddddddddddddddd')
+async function send (batch, name, contract, method, args) {
+  if (batch) {
+    batch.add(contract, method, args)
+    console.log(`Recorded ${name} ${method}`)
+    return
   }
-
-  const childChainManagerProxy = await ethers.getContractAt('ChildChainManagerProxy', '0x4fe23a33922BcC5e560fdd74A84cDDe4D2BdaaAC')
-  tx = await childChainManagerProxy.transferProxyOwnership(multiSigAddress)
-  console.log('Setting childChainManagerProxy owner: ', tx.hash)
-  receipt = await tx.wait()
+  const tx = await contract[method](...args)
+  console.log(`Setting ${name} owner: `, tx.hash)
+  const receipt = await tx.wait()
   if (receipt.status) {
-    console.log('ChildChainManagerProxy owner set successfully')
+    console.log(`${name} owner set successfully`)
   } else {
-    throw Error('ChildChainManagerProxy owner set faileddddddddddddddddddddd')
+    throw Error(`${name} owner set faileddddddddddddddddddddd`)
   }
+}
 
-  const children = [
-    { symbol: 'maDAI', address: '0xE0b22E0037B130A9F56bBb537684E6fA18192341' },
-    { symbol: 'maUSDC', address: '0x9719d867A500Ef117cC201206B8ab51e794d3F82' },
-    { symbol: 'maWETH', address: '0x20D3922b4a1A8560E1aC99FBA4faDe0c849e2142' }
-  ]
+async function main () {
+  const multiSigAddress = '0x258cC4C495Aef8D809944aD94C6722ef41216ef3'
+  const { childChainManager: childChainManagerAddress, tokens } = getDeployment(network.name)
+  const batchFile = `safe-batch-${network.name}.json`
+  const batch = dryRun ? SafeBatch.load(batchFile, (await ethers.provider.getNetwork()).chainId) : null
+
+  const childChainManager = await ethers.getContractAt('ATokenChildChainManager', childChainManagerAddress)
+  await send(batch, 'ChildChainManager', childChainManager, 'setOwner', [multiSigAddress])
+
+  const childChainManagerProxy = await ethers.getContractAt('ChildChainManagerProxy', childChainManagerAddress)
+  await send(batch, 'ChildChainManagerProxy', childChainManagerProxy, 'transferProxyOwnership', [multiSigAddress])
+
+  // all registered tokens unless some are picked with --token
+  const symbols = getTokenArgs()
+  const children = symbols.length ? symbols.map(symbol => getToken(network.name, symbol)) : tokens
 
-  let childERC20
   for (const child of children) {
-    childERC20 = await ethers.getContractAt('UChildERC20Proxy', child.address)
-    tx = await childERC20.transferProxyOwnership(multiSigAddress)
-    console.log(`Setting ${child.symbol} childERC20 owner: `, tx.hash)
-    receipt = await tx.wait()
-    if (receipt.status) {
-      console.log(`ChildERC20 ${child.symbol} owner set successfully`)
-    } else {
-      throw Error(`ChildERC20 ${child.symbol} owner set faileddddddddddddddddddddd`)
+    const childERC20 = await ethers.getContractAt('UChildERC20Proxy', child.maToken)
+    // tokens mapped after the manager owner changed already belong to the multisig
+    if ((await childERC20.proxyOwner()) === multiSigAddress) {
+      console.log(`ChildERC20 ${child.symbol} already owned by multisig`)
+      continue
     }
+    await send(batch, `ChildERC20 ${child.symbol}`, childERC20, 'transferProxyOwnership', [multiSigAddress])
+  }
+
+  if (batch) {
+    batch.write(batchFile)
+    console.log('Wrote batch file: ', batchFile)
   }
 }
 
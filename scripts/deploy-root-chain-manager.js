@@ -1,14 +1,16 @@
 /* global ethers run */
 
-const { ethers } = require('hardhat')
+const { ethers, network } = require('hardhat')
+const { getDeployment } = require('./lib/registry')
 
-const checkpointManagerAddress = '0x86e4dc95c7fbdbf52e33d563bbdb00823894c287'
-const stateSenderAddress = '0x28e4f3a7f651294b9564800b2d01f35189a5bfbe'
-const childChainManagerAddress = '0x4fe23a33922BcC5e560fdd74A84cDDe4D2BdaaAC'
-const rootTokenAddress = '0x028171bca77440897b824ca71d1c56cac55b68a3'
 const childTokenBytecodeHash = '0xb1746eb04870e235a8fc718690604b2fe0b2d5bce6aa6cf61b342d7157b300ff'
 
 async function main () {
+  const {
+    checkpointManager: checkpointManagerAddress,
+    stateSender: stateSenderAddress,
+    childChainManager: childChainManagerAddress
+  } = getDeployment(network.name)
   const accounts = await ethers.getSigners()
   const account = await accounts[0].getAddress()
 
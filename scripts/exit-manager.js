@@ -1,24 +1,288 @@
-/* global ethers run */
+require('babel-register')
+require('babel-polyfill')
+require('dotenv').config()
 
 const Web3 = require('web3')
+const { BN, bufferToHex, rlp } = require('ethereumjs-util')
 
-const web3 = new Web3('https://rpc-mainnet.matic.network)
+const MerkleTree = require('../test/helpers/merkle-tree').default
+const { getHeaders, getBlockHeader } = require('../test/helpers/blocks')
+const { getReceiptBytes, getReceiptProof } = require('../test/helpers/proofs')
+const { getDeployment } = require('./lib/registry')
+const { getBranchMask, getExitHash } = require('./lib/preview')
+
+const web3 = new Web3('https://rpc-mainnet.matic.network')
 
 const ERC20_TRANSFER_EVENT_SIG = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+const ZERO_ADDRESS_TOPIC = '0x0000000000000000000000000000000000000000000000000000000000000000'
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// RootChain header block numbers grow by 10000 per checkpoint
+// MockCheckpointManager numbers them 1, 2, 3...
+const CHECKPOINT_INTERVAL = 10000
 
-async function buildPayloadForExitHermoine (burnTxHash) {
+const checkpointManagerAbi = [{
+  name: 'headerBlocks',
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [{ name: '', type: 'uint256' }],
+  outputs: [
+    { name: 'root', type: 'bytes32' },
+    { name: 'start', type: 'uint256' },
+    { name: 'end', type: 'uint256' },
+    { name: 'createdAt', type: 'uint256' },
+    { name: 'proposer', type: 'address' }
+  ]
+}]
 
+const rootChainManagerAbi = [{
+  name: 'processedExits',
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [{ name: 'exitHash', type: 'bytes32' }],
+  outputs: [{ name: '', type: 'bool' }]
+}, {
+  name: 'childToRootToken',
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [{ name: 'childToken', type: 'address' }],
+  outputs: [{ name: '', type: 'address' }]
+}]
+
+/**
+ * Index of the maToken burn (Transfer to 0x0) log in the receipt
+ * Only burns of child tokens mapped on the manager count, a burn of any other token in the same tx can not be exited
+ * @param receipt receipt of the burn tx on child chain
+ * @param rootChainManager web3 contract of ATokenRootChainManager
+ */
+async function getBurnLogIndex (receipt, rootChainManager) {
+  for (let logIndex = 0; logIndex < receipt.logs.length; logIndex++) {
+    const log = receipt.logs[logIndex]
+    const isBurn = log.topics[0].toLowerCase() === ERC20_TRANSFER_EVENT_SIG &&
+      log.topics[2] !== undefined &&
+      log.topics[2].toLowerCase() === ZERO_ADDRESS_TOPIC
+    if (isBurn && await rootChainManager.methods.childToRootToken(log.address).call() !== ZERO_ADDRESS) {
+      return logIndex
+    }
+  }
+  throw new Error(`No burn log of a mapped token found in transaction ${receipt.transactionHash}`)
 }
 
-async function main () {
+// first header block that is not submitted yet (end of 0) or ends at or after a child block
+async function lookupHeaderBlock (checkpointManager, blockNumber, interval) {
+  const cache = {}
+  const getHeaderBlock = async (k) => {
+    if (!cache[k]) {
+      cache[k] = await checkpointManager.methods.headerBlocks(k * interval).call()
+    }
+    return cache[k]
+  }
+  const coversBlock = async (k) => {
+    const end = parseInt((await getHeaderBlock(k)).end)
+    return end === 0 || end >= blockNumber
+  }
+
+  let high = 1
+  while (!(await coversBlock(high))) {
+    high *= 2
+  }
+  let low = Math.floor(high / 2) + 1
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    if (await coversBlock(mid)) {
+      high = mid
+    } else {
+      low = mid + 1
+    }
+  }
+
+  const headerBlock = await getHeaderBlock(high)
+  return {
+    headerNumber: high * interval,
+    headerBlock,
+    checkpointed: parseInt(headerBlock.end) !== 0 && parseInt(headerBlock.start) <= blockNumber
+  }
+}
 
+/**
+ * Finds the checkpoint containing a child block, only relying on `headerBlocks` of ICheckpointManager
+ * Header blocks that are not submitted yet have an end of 0
+ * @param checkpointManager web3 contract of the checkpoint manager
+ * @param blockNumber child block number
+ * @param interval difference between two consecutive header block numbers
+ * @return header block number and its details
+ */
+async function findHeaderBlock (checkpointManager, blockNumber, interval = CHECKPOINT_INTERVAL) {
+  const { headerNumber, headerBlock, checkpointed } = await lookupHeaderBlock(checkpointManager, blockNumber, interval)
+  if (!checkpointed) {
+    throw new Error(`Block ${blockNumber} has not been checkpointed yet`)
+  }
+  return { headerNumber, headerBlock }
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error)
-    process.exit(1)
+/**
+ * Merkle tree of the block headers of a checkpoint, checked against its root
+ * @param headerBlock `headerBlocks` entry of the checkpoint
+ * @param headerNumber header block number of the checkpoint
+ * @param childWeb3 web3 connected to child chain
+ */
+async function getCheckpointTree (headerBlock, headerNumber, childWeb3) {
+  const start = parseInt(headerBlock.start)
+  const end = parseInt(headerBlock.end)
+  const headers = await getHeaders(start, end, childWeb3)
+  const tree = new MerkleTree(headers)
+  if (bufferToHex(tree.getRoot()) !== headerBlock.root.toLowerCase()) {
+    throw new Error(`Block headers ${start} - ${end} do not match checkpoint ${headerNumber}`)
+  }
+  return tree
+}
+
+/**
+ * Proves a child block is part of the checkpoint containing it
+ * @param block child block with its number, timestamp, transactionsRoot and receiptsRoot
+ * @param options.childWeb3 web3 connected to child chain
+ * @param options.checkpointManager web3 contract of the checkpoint manager on root chain
+ * @param options.checkpointInterval difference between two consecutive header block numbers
+ * @return header block number of the checkpoint, its `headerBlocks` entry and the concatenated Merkle proof of the block header
+ */
+async function getBlockProof (block, { childWeb3 = web3, checkpointManager, checkpointInterval = CHECKPOINT_INTERVAL }) {
+  const { headerNumber, headerBlock } = await findHeaderBlock(checkpointManager, block.number, checkpointInterval)
+  const tree = await getCheckpointTree(headerBlock, headerNumber, childWeb3)
+  return {
+    headerNumber,
+    headerBlock,
+    proof: bufferToHex(Buffer.concat(tree.getProof(getBlockHeader(block))))
+  }
+}
+
+/**
+ * Builds the exit payload accepted by ATokenRootChainManager.exit for a maToken burn
+ * @param burnTxHash hash of the UChildERC20.withdraw transaction on child chain
+ * @param options.childWeb3 web3 connected to child chain
+ * @param options.checkpointManager web3 contract of the checkpoint manager on root chain
+ * @param options.rootChainManager web3 contract of ATokenRootChainManager, mapping the burnt maToken
+ * @param options.checkpointInterval difference between two consecutive header block numbers
+ * @param options.checkpointService CheckpointService answering the checkpoint and block proof instead of the checkpoint manager
+ * @param options.redeemUnderlying exit to the underlying asset instead of aTokens, the exit has to be sent by the burner
+ * @return RLP encoded exit inputData as hex string
+ */
+async function buildPayloadForExitHermione (burnTxHash, {
+  childWeb3 = web3,
+  checkpointManager,
+  rootChainManager,
+  checkpointInterval = CHECKPOINT_INTERVAL,
+  checkpointService,
+  redeemUnderlying = false
+}) {
+  const receipt = await childWeb3.eth.getTransactionReceipt(burnTxHash)
+  if (!receipt) {
+    throw new Error(`Transaction ${burnTxHash} not found`)
+  }
+  const block = await childWeb3.eth.getBlock(receipt.blockNumber, true /* returnTransactionObjects */)
+  const logIndex = await getBurnLogIndex(receipt, rootChainManager)
+
+  const { headerNumber, proof: blockProof } = checkpointService
+    ? await checkpointService.getBlockProof(block.number)
+    : await getBlockProof(block, { childWeb3, checkpointManager, checkpointInterval })
+
+  const receiptProof = await getReceiptProof(receipt, block, childWeb3)
+
+  const inputData = [
+    new BN(headerNumber),
+    blockProof,
+    block.number,
+    block.timestamp,
+    block.transactionsRoot,
+    block.receiptsRoot,
+    bufferToHex(getReceiptBytes(receipt)),
+    bufferToHex(rlp.encode(receiptProof.parentNodes)),
+    bufferToHex(Buffer.concat([Buffer.from('00', 'hex'), receiptProof.path])), // branch mask
+    logIndex
+  ]
+  if (redeemUnderlying) {
+    inputData.push(1)
+  }
+  return bufferToHex(rlp.encode(inputData))
+}
+
+/**
+ * Tells whether a maToken burn can be exited, computing the exit hash as ATokenRootChainManager.exit does
+ * - `waiting-for-checkpoint`: the burn block is not checkpointed yet, `lastCheckpointedBlock` is the end of the last checkpoint
+ * - `ready-to-exit`: the burn block is in checkpoint `headerNumber` and the burn was not exited
+ * - `exited`: `processedExits` holds the exit hash of the burn
+ * @param burnTxHash hash of the UChildERC20.withdraw transaction on child chain
+ * @param options.childWeb3 web3 connected to child chain
+ * @param options.checkpointManager web3 contract of the checkpoint manager on root chain
+ * @param options.rootChainManager web3 contract of ATokenRootChainManager
+ * @param options.checkpointInterval difference between two consecutive header block numbers
+ * @return status of the burn with its block number, log index and exit hash
+ */
+async function getExitStatus (burnTxHash, {
+  childWeb3 = web3,
+  checkpointManager,
+  rootChainManager,
+  checkpointInterval = CHECKPOINT_INTERVAL
+}) {
+  const receipt = await childWeb3.eth.getTransactionReceipt(burnTxHash)
+  if (!receipt) {
+    throw new Error(`Transaction ${burnTxHash} not found`)
+  }
+  const logIndex = await getBurnLogIndex(receipt, rootChainManager)
+  const result = {
+    burnTx: burnTxHash,
+    blockNumber: receipt.blockNumber,
+    logIndex,
+    exitHash: getExitHash(receipt.blockNumber, getBranchMask(receipt.transactionIndex), logIndex)
+  }
+
+  if (await rootChainManager.methods.processedExits(result.exitHash).call()) {
+    return Object.assign(result, { status: 'exited' })
+  }
+  const { headerNumber, checkpointed } = await lookupHeaderBlock(checkpointManager, receipt.blockNumber, checkpointInterval)
+  if (checkpointed) {
+    return Object.assign(result, { status: 'ready-to-exit', headerNumber })
+  }
+  const lastHeaderBlock = headerNumber > checkpointInterval
+    ? await checkpointManager.methods.headerBlocks(headerNumber - checkpointInterval).call()
+    : { end: '0' }
+  return Object.assign(result, {
+    status: 'waiting-for-checkpoint',
+    lastCheckpointedBlock: parseInt(lastHeaderBlock.end)
   })
+}
+
+async function main () {
+  const burnTxHash = process.argv[2]
+  if (!burnTxHash) {
+    throw Error('Usage: node scripts/exit-manager.js <burnTxHash>')
+  }
+  const rootWeb3 = new Web3(process.env.MAINNET_URL)
+  const { checkpointManager: checkpointManagerAddress, rootChainManager: rootChainManagerAddress } = getDeployment('mainnet')
+  const checkpointManager = new rootWeb3.eth.Contract(checkpointManagerAbi, checkpointManagerAddress)
+  const rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, rootChainManagerAddress)
+  const payload = await buildPayloadForExitHermione(burnTxHash, { childWeb3: web3, checkpointManager, rootChainManager })
+  console.log(payload)
+}
+
+module.exports = {
+  CHECKPOINT_INTERVAL,
+  checkpointManagerAbi,
+  rootChainManagerAbi,
+  getBurnLogIndex,
+  findHeaderBlock,
+  getCheckpointTree,
+  getBlockProof,
+  buildPayloadForExitHermione,
+  getExitStatus
+}
+
+if (require.main === module) {
+  // We recommend this pattern to be able to use async/await everywhere
+  // and properly handle errors.
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error)
+      process.exit(1)
+    })
+}
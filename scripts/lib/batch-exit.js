@@ -0,0 +1,196 @@
+const { getRevertReason } = require('./deposit-tracker')
+
+const CSV_COLUMNS = ['burnTx', 'status', 'exitHash', 'exitTx', 'attempts', 'error']
+const TX_HASH = /^0x[0-9a-fA-F]{64}$/
+// ethers and node socket error codes of failures that may pass when repeated
+const RETRYABLE_CODES = [
+  'NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED',
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'
+]
+const NONCE_ERROR = /nonce too low|nonce has already been used|replacement transaction underpriced/i
+const RETRYABLE_ERROR = /timeout|timed out|socket hang up/i
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Reads burn tx hashes, one per line or in the first column of a CSV
+ * Blank lines, `#` comments and a header row are ignored, duplicates are dropped
+ * @param text content of the burn list file
+ * @return burn tx hashes in file order
+ */
+function parseBurnTxs (text) {
+  const burnTxs = []
+  text.split(/\r?\n/).forEach((line, i) => {
+    const value = line.replace(/#.*/, '').split(',')[0].trim()
+    if (!value || (i === 0 && !value.startsWith('0x'))) {
+      return
+    }
+    if (!TX_HASH.test(value)) {
+      throw Error(`Line ${i + 1} is not a tx hash: ${value}`)
+    }
+    if (!burnTxs.includes(value.toLowerCase())) {
+      burnTxs.push(value.toLowerCase())
+    }
+  })
+  return burnTxs
+}
+
+// message of an error and of the node error it wraps
+function errorMessage (error) {
+  return [error.message, error.error && error.error.message].filter(message => message).join(' ')
+}
+
+/**
+ * Tells if a failed attempt may succeed when repeated: network errors, timeouts and nonce clashes
+ * A revert, mined or replayed, is final, as is any other error
+ * @param error error thrown by the attempt
+ */
+function isRetryable (error) {
+  const message = errorMessage(error)
+  if (error.receipt || error.code === 'CALL_EXCEPTION' || /revert/i.test(message)) {
+    return false
+  }
+  return RETRYABLE_CODES.includes(error.code) || NONCE_ERROR.test(message) || RETRYABLE_ERROR.test(message)
+}
+
+/**
+ * Wraps the sends of a signer so that they go out one at a time with consecutive nonces
+ * The nonce only moves on once a send was accepted by the node, a failed send leaves no gap.
+ * It is read again after a nonce error, when another tx of the signer was sent meanwhile.
+ * @param signer ethers signer the transactions are sent from
+ * @return function taking `({ nonce }) => Promise<tx>` and resolving to the sent tx
+ */
+function createSender (signer) {
+  let nonce
+  let queue = Promise.resolve()
+  return (send) => {
+    const sent = queue.then(async () => {
+      if (nonce === undefined) {
+        nonce = await signer.getTransactionCount('pending')
+      }
+      let tx
+      try {
+        tx = await send({ nonce })
+      } catch (error) {
+        if (error.code === 'NONCE_EXPIRED' || NONCE_ERROR.test(errorMessage(error))) {
+          nonce = undefined
+        }
+        throw error
+      }
+      nonce++
+      return tx
+    })
+    queue = sent.catch(() => {})
+    return sent
+  }
+}
+
+/**
+ * Exits many maToken burns, skipping the ones exited already or not checkpointed yet
+ * Burns are processed `concurrency` at a time, the exit txs are sent through a single nonce sequence.
+ * An attempt failing on the network, a timeout or the nonce is retried after `backoff` ms, doubling each time.
+ * A revert is final, the burn fails at once with the revert reason.
+ * @param burnTxs hashes of the burn txs on child chain
+ * @param rootChainManager ethers contract of ATokenRootChainManager connected to the sending signer
+ * @param getExitStatus async burnTx => `{ status, exitHash }` as returned by exit-manager getExitStatus
+ * @param buildPayload async burnTx => exit payload, e.g. exit-manager buildPayloadForExitHermione
+ * @param concurrency burns processed at the same time
+ * @param retries attempts after the first one
+ * @param backoff ms to wait before the first retry
+ * @param onResult called with the result of each burn once it is done
+ * @return results in the order of burnTxs, with a status of `exited`, `already-exited`,
+ * `waiting-for-checkpoint` or `failed`
+ */
+async function exitBurns ({
+  burnTxs,
+  rootChainManager,
+  getExitStatus,
+  buildPayload,
+  concurrency = 4,
+  retries = 3,
+  backoff = 5000,
+  onResult = () => {}
+}) {
+  const send = createSender(rootChainManager.signer)
+
+  const exitBurn = async (burnTx) => {
+    const result = { burnTx, status: null, exitHash: null, exitTx: null, attempts: 0, error: null }
+    while (!result.status) {
+      result.attempts++
+      try {
+        const { status, exitHash } = await getExitStatus(burnTx)
+        result.exitHash = exitHash
+        if (status === 'exited') {
+          // exited by a previous attempt whose receipt was lost, or by someone else
+          result.status = result.exitTx ? 'exited' : 'already-exited'
+          result.error = null
+        } else if (status === 'waiting-for-checkpoint') {
+          result.status = status
+        } else {
+          const payload = await buildPayload(burnTx)
+          // reverts here with the reason instead of wasting gas
+          await rootChainManager.callStatic.exit(payload)
+          const tx = await send(overrides => rootChainManager.exit(payload, overrides))
+          result.exitTx = tx.hash
+          try {
+            await tx.wait()
+          } catch (error) {
+            if (!error.receipt) {
+              throw error
+            }
+            // mined but reverted, replay it for the reason
+            await rootChainManager.callStatic.exit(payload, { blockTag: error.receipt.blockNumber - 1 })
+            throw error
+          }
+          result.status = 'exited'
+          result.error = null
+        }
+      } catch (error) {
+        result.error = getRevertReason(error)
+        if (result.attempts > retries || !isRetryable(error)) {
+          result.status = 'failed'
+        } else {
+          await sleep(backoff * 2 ** (result.attempts - 1))
+        }
+      }
+    }
+    onResult(result)
+    return result
+  }
+
+  const results = new Array(burnTxs.length)
+  let next = 0
+  const worker = async () => {
+    while (next < burnTxs.length) {
+      const i = next++
+      results[i] = await exitBurn(burnTxs[i])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, burnTxs.length) }, worker))
+  return results
+}
+
+// quotes a CSV field when it holds a separator, quote or line break
+function csvField (value) {
+  const text = value === null || value === undefined ? '' : value.toString()
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Formats the results of exitBurns as CSV with a header row
+ * @param results results of exitBurns
+ */
+function formatResultsCsv (results) {
+  return [CSV_COLUMNS]
+    .concat(results.map(result => CSV_COLUMNS.map(column => result[column])))
+    .map(row => row.map(csvField).join(','))
+    .join('\n') + '\n'
+}
+
+module.exports = {
+  parseBurnTxs,
+  isRetryable,
+  createSender,
+  exitBurns,
+  formatResultsCsv
+}
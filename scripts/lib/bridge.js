@@ -0,0 +1,697 @@
+const fs = require('fs')
+const Web3 = require('web3')
+const { getDeployment, getToken } = require('./registry')
+const preview = require('./preview')
+const { checkSolvency } = require('./solvency')
+const { auditMappings } = require('./mapping-audit')
+const { trackDeposit: trackDepositSyncs } = require('./deposit-tracker')
+const { parseBurnTxs, exitBurns, formatResultsCsv } = require('./batch-exit')
+const { MetaTxRelayer, createRelayerServer } = require('./relayer')
+const { depositWithPermit } = require('./permit')
+const { getUnderlying, depositUnderlying: depositUnderlyingFor } = require('./underlying')
+
+const ROOT_CHAIN_MANAGER = 'ATokenRootChainManager'
+const CHILD_CHAIN_MANAGER = 'ATokenChildChainManager'
+
+// hardhat network name and the bridge deployment it belongs to
+function getNetwork (hre, { root, child } = {}) {
+  const deployment = getDeployment(hre.network.name)
+  if (root && deployment.isChild) {
+    throw Error(`${hre.network.name} is a child network, run against ${deployment.rootNetwork}`)
+  }
+  if (child && !deployment.isChild) {
+    throw Error(`${hre.network.name} is a root network, run against ${deployment.childNetwork}`)
+  }
+  return deployment
+}
+
+// ATokenRootChainManager or ATokenChildChainManager behind the proxy of this network
+function getManager (hre, deployment) {
+  return deployment.isChild
+    ? hre.ethers.getContractAt(CHILD_CHAIN_MANAGER, deployment.childChainManager)
+    : hre.ethers.getContractAt(ROOT_CHAIN_MANAGER, deployment.rootChainManager)
+}
+
+/**
+ * Sends a transaction, or only records its calldata when a batch is given
+ * @param batch SafeBatch collecting calls for the multisig, the call is sent when omitted
+ * @return transaction hash, null when recorded in the batch
+ */
+async function send (contract, method, args = [], batch) {
+  if (batch) {
+    batch.add(contract, method, args)
+    return null
+  }
+  const tx = await contract[method](...args)
+  const receipt = await tx.wait()
+  if (!receipt.status) {
+    throw Error(`${method} failed: ${tx.hash}`)
+  }
+  return tx.hash
+}
+
+// child tokens are deployed at a deterministic address, so map and remap
+// report `childTokenAddress` which is known before the mapping is sent
+async function map (hre, { token, batch }) {
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken } = getToken(hre.network.name, token)
+  const rootChainManager = await getManager(hre, deployment)
+  const txHash = await send(rootChainManager, 'mapToken', [aToken], batch)
+  return {
+    action: 'map',
+    rootToken: aToken,
+    childToken: await rootChainManager.childTokenAddress(aToken),
+    txHash
+  }
+}
+
+async function remap (hre, { token, batch }) {
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken } = getToken(hre.network.name, token)
+  const rootChainManager = await getManager(hre, deployment)
+  const previousChildToken = await rootChainManager.rootToChildToken(aToken)
+  const txHash = await send(rootChainManager, 'remapToken', [aToken], batch)
+  return {
+    action: 'remap',
+    rootToken: aToken,
+    previousChildToken,
+    childToken: await rootChainManager.childTokenAddress(aToken),
+    txHash
+  }
+}
+
+/**
+ * Deposits aTokens for a recipient on Matic, approving the root manager first when needed
+ * @param amount aToken amount in token units (e.g. 1.5), or `all` for the whole balance
+ * @param recipient receiver on Matic, defaults to the signer
+ * @param permit sign a permit sent along the deposit instead of approving, the aToken has to implement permit
+ */
+async function deposit (hre, { token, amount, recipient, permit }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken, decimals } = getToken(hre.network.name, token)
+  const [signer] = await ethers.getSigners()
+  const depositor = await signer.getAddress()
+  const user = recipient || depositor
+
+  const rootChainManager = await getManager(hre, deployment)
+  const rootToken = await ethers.getContractAt('ChildERC20', aToken)
+  const aTokenValue = amount === 'all'
+    ? await rootToken.balanceOf(depositor)
+    : ethers.utils.parseUnits(amount, decimals)
+
+  const maTokenValue = await rootChainManager.getMATokenValue(aToken, aTokenValue)
+  const result = {
+    action: 'deposit',
+    depositor,
+    recipient: user,
+    rootToken: aToken,
+    aTokenValue: aTokenValue.toString(),
+    maTokenValue: maTokenValue.toString()
+  }
+  if (permit) {
+    const { tx } = await depositWithPermit({ rootChainManager, aToken, user, value: aTokenValue })
+    const receipt = await tx.wait()
+    if (!receipt.status) {
+      throw Error(`depositWithPermit failed: ${tx.hash}`)
+    }
+    return Object.assign(result, { permit: true, txHash: tx.hash })
+  }
+
+  let approveTxHash = null
+  const allowance = await rootToken.allowance(depositor, rootChainManager.address)
+  if (aTokenValue.gt(allowance)) {
+    approveTxHash = await send(rootToken, 'approve', [rootChainManager.address, aTokenValue])
+  }
+
+  const depositData = ethers.utils.defaultAbiCoder.encode(['uint256'], [aTokenValue])
+  const txHash = await send(rootChainManager, 'depositFor', [user, aToken, depositData])
+  return Object.assign(result, { approveTxHash, txHash })
+}
+
+/**
+ * Supplies the underlying asset of an aToken (e.g. USDC for maUSDC) to Aave and bridges the aTokens in one transaction,
+ * approving the root manager for the underlying asset first when needed
+ * @param amount underlying amount in token units (e.g. 1.5), or `all` for the whole balance
+ * @param recipient receiver on Matic, defaults to the signer
+ */
+async function depositUnderlying (hre, { token, amount, recipient }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken, decimals } = getToken(hre.network.name, token)
+  const [signer] = await ethers.getSigners()
+  const depositor = await signer.getAddress()
+  const user = recipient || depositor
+
+  const rootChainManager = await getManager(hre, deployment)
+  const underlying = await getUnderlying(aToken, signer)
+  const value = amount === 'all'
+    ? await underlying.balanceOf(depositor)
+    : ethers.utils.parseUnits(amount, decimals)
+
+  // the pool mints as many aTokens as the underlying supplied
+  const maTokenValue = await rootChainManager.getMATokenValue(aToken, value)
+  const { approveTx, tx } = await depositUnderlyingFor({ rootChainManager, aToken, user, amount: value })
+  const receipt = await tx.wait()
+  if (!receipt.status) {
+    throw Error(`depositUnderlyingFor failed: ${tx.hash}`)
+  }
+  return {
+    action: 'deposit-underlying',
+    depositor,
+    recipient: user,
+    rootToken: aToken,
+    underlying: underlying.address,
+    underlyingValue: value.toString(),
+    maTokenValue: maTokenValue.toString(),
+    approveTxHash: approveTx && approveTx.hash,
+    txHash: tx.hash
+  }
+}
+
+/**
+ * Reports what a deposit would do without sending it
+ * @param amount aToken amount in token units (e.g. 1.5), or `all` for the whole balance
+ * @param depositor account depositing, defaults to the signer
+ * @param recipient receiver on Matic, defaults to the depositor
+ */
+async function previewDeposit (hre, { token, amount, depositor, recipient }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken, decimals } = getToken(hre.network.name, token)
+  if (!depositor) {
+    const [signer] = await ethers.getSigners()
+    depositor = await signer.getAddress()
+  }
+
+  const rootChainManager = await getManager(hre, deployment)
+  const rootToken = await ethers.getContractAt('ChildERC20', aToken)
+  const aTokenValue = amount === 'all'
+    ? await rootToken.balanceOf(depositor)
+    : ethers.utils.parseUnits(amount, decimals)
+
+  const result = await preview.previewDeposit(rootChainManager, {
+    depositor,
+    user: recipient || depositor,
+    rootToken: aToken,
+    aTokenValue,
+    childChainManager: deployment.childChainManager
+  })
+  return Object.assign({ action: 'preview-deposit' }, result)
+}
+
+/**
+ * Exits a maToken burn on the root chain, paying out aTokens or, with `underlying`, the underlying asset withdrawn from Aave
+ * The payload is built from the child network registered for this deployment
+ * @param burnTx maToken withdraw transaction on Matic
+ * @param underlying redeem to the underlying asset, the signer has to be the account that burnt
+ */
+async function exit (hre, { burnTx, underlying }) {
+  // exit-manager loads the babel based proof helpers, only pay for it here
+  const { buildPayloadForExitHermione, checkpointManagerAbi, rootChainManagerAbi } = require('../exit-manager')
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+
+  const childWeb3 = new Web3(hre.config.networks[deployment.childNetwork].url)
+  const rootWeb3 = new Web3(hre.network.config.url)
+  const payload = await buildPayloadForExitHermione(burnTx, {
+    childWeb3,
+    checkpointManager: new rootWeb3.eth.Contract(checkpointManagerAbi, await rootChainManager.checkpointManagerAddress()),
+    rootChainManager: new rootWeb3.eth.Contract(rootChainManagerAbi, deployment.rootChainManager),
+    redeemUnderlying: underlying
+  })
+
+  const txHash = await send(rootChainManager, 'exit', [payload])
+  return {
+    action: 'exit',
+    burnTx,
+    redeemUnderlying: Boolean(underlying),
+    payload,
+    txHash
+  }
+}
+
+async function exitStatus (hre, { burnTx }) {
+  // exit-manager loads the babel based proof helpers, only pay for it here
+  const { getExitStatus, checkpointManagerAbi, rootChainManagerAbi } = require('../exit-manager')
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+
+  const childWeb3 = new Web3(hre.config.networks[deployment.childNetwork].url)
+  const rootWeb3 = new Web3(hre.network.config.url)
+  const result = await getExitStatus(burnTx, {
+    childWeb3,
+    checkpointManager: new rootWeb3.eth.Contract(checkpointManagerAbi, await rootChainManager.checkpointManagerAddress()),
+    rootChainManager: new rootWeb3.eth.Contract(rootChainManagerAbi, deployment.rootChainManager)
+  })
+  return Object.assign({ action: 'exit-status', network: hre.network.name }, result)
+}
+
+async function exitBatch (hre, { file, out, concurrency, retries, backoff }) {
+  // exit-manager loads the babel based proof helpers, only pay for it here
+  const { buildPayloadForExitHermione, getExitStatus, checkpointManagerAbi, rootChainManagerAbi } = require('../exit-manager')
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const burnTxs = parseBurnTxs(fs.readFileSync(file, 'utf8'))
+
+  const rootWeb3 = new Web3(hre.network.config.url)
+  const options = {
+    childWeb3: new Web3(hre.config.networks[deployment.childNetwork].url),
+    checkpointManager: new rootWeb3.eth.Contract(checkpointManagerAbi, await rootChainManager.checkpointManagerAddress()),
+    rootChainManager: new rootWeb3.eth.Contract(rootChainManagerAbi, deployment.rootChainManager)
+  }
+  const results = await exitBurns({
+    burnTxs,
+    rootChainManager,
+    getExitStatus: burnTx => getExitStatus(burnTx, options),
+    buildPayload: burnTx => buildPayloadForExitHermione(burnTx, options),
+    concurrency: Number(concurrency),
+    retries: Number(retries),
+    backoff: Number(backoff) * 1000,
+    // progress goes to stderr, stdout only gets the summary
+    onResult: result => console.error(`${result.burnTx} ${result.status}${result.error ? `: ${result.error}` : ''}`)
+  })
+
+  const outFile = out || `exit-results-${hre.network.name}.csv`
+  fs.writeFileSync(outFile, formatResultsCsv(results))
+  const counts = {}
+  results.forEach(({ status }) => {
+    counts[status] = (counts[status] || 0) + 1
+  })
+  return {
+    action: 'exit-batch',
+    network: hre.network.name,
+    burns: burnTxs.length,
+    counts,
+    out: outFile
+  }
+}
+
+/**
+ * Reports the aTokens an exit would pay out at the current liquidity index
+ * @param burnTx maToken withdraw transaction on Matic, also reports its exit hash
+ * @param token with `amount`, previews an amount of maToken instead of a burn
+ * @param amount maToken amount in token units
+ */
+async function previewWithdraw (hre, { burnTx, token, amount }) {
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+
+  let result
+  if (burnTx) {
+    const { getBurnLogIndex, rootChainManagerAbi } = require('../exit-manager')
+    const childWeb3 = new Web3(hre.config.networks[deployment.childNetwork].url)
+    const receipt = await childWeb3.eth.getTransactionReceipt(burnTx)
+    if (!receipt) {
+      throw Error(`Transaction ${burnTx} not found on ${deployment.childNetwork}`)
+    }
+    const rootWeb3 = new Web3(hre.network.config.url)
+    const logIndex = await getBurnLogIndex(receipt, new rootWeb3.eth.Contract(rootChainManagerAbi, deployment.rootChainManager))
+    result = await preview.previewWithdraw(rootChainManager, { receipt, logIndex })
+  } else if (token && amount) {
+    const { aToken, decimals } = getToken(hre.network.name, token)
+    const maTokenValue = hre.ethers.utils.parseUnits(amount, decimals)
+    result = await preview.previewWithdraw(rootChainManager, { rootToken: aToken, maTokenValue })
+  } else {
+    throw Error('Pass --burn-tx, or --token and --amount')
+  }
+  return Object.assign({ action: 'preview-withdraw' }, result)
+}
+
+/**
+ * Converts between aToken and maToken values at the current liquidity index
+ * @param from `aToken` to get the maToken value, `maToken` to get the aToken value
+ */
+async function convert (hre, { token, amount, from }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const { aToken, decimals } = getToken(hre.network.name, token)
+  const rootChainManager = await getManager(hre, deployment)
+  const value = ethers.utils.parseUnits(amount, decimals)
+
+  if (from === 'aToken') {
+    const maTokenValue = await rootChainManager.getMATokenValue(aToken, value)
+    return { action: 'convert', rootToken: aToken, aTokenValue: value.toString(), maTokenValue: maTokenValue.toString() }
+  }
+  if (from === 'maToken') {
+    const aTokenValue = await rootChainManager.getATokenValue(aToken, value)
+    return { action: 'convert', rootToken: aToken, maTokenValue: value.toString(), aTokenValue: aTokenValue.toString() }
+  }
+  throw Error(`Cannot convert from ${from}, use aToken or maToken`)
+}
+
+/**
+ * Reads the manager configuration and the mapping of registered tokens
+ * @param token only report this token, all registered tokens otherwise
+ * @param account also report the token balance of this account
+ */
+async function status (hre, { token, account }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre)
+  const manager = await getManager(hre, deployment)
+  const tokens = token ? [getToken(hre.network.name, token)] : deployment.tokens
+
+  const tokenStatus = async ({ symbol, aToken, maToken }) => {
+    const erc20 = await ethers.getContractAt('ChildERC20', deployment.isChild ? maToken : aToken)
+    const result = { symbol, rootToken: aToken, childToken: await manager.rootToChildToken(aToken) }
+    if (deployment.isChild) {
+      result.totalSupply = (await erc20.totalSupply()).toString()
+    } else {
+      result.computedChildToken = await manager.childTokenAddress(aToken)
+      result.locked = (await erc20.balanceOf(manager.address)).toString()
+      result.paused = await manager.tokenPaused(aToken)
+    }
+    if (account) {
+      result.balance = (await erc20.balanceOf(account)).toString()
+    }
+    return result
+  }
+
+  const result = {
+    action: 'status',
+    network: hre.network.name,
+    manager: manager.address,
+    owner: await manager.owner()
+  }
+  if (deployment.isChild) {
+    result.stateReceiver = await manager.stateReceiver()
+    result.childTokenImplementation = await manager.childTokenImplementation()
+  } else {
+    result.mapper = await manager.mapper()
+    result.guardian = await manager.guardian()
+    result.stateSender = await manager.stateSender()
+    result.checkpointManager = await manager.checkpointManagerAddress()
+    result.depositsPaused = await manager.depositsPaused()
+    result.exitsPaused = await manager.exitsPaused()
+    result.mappingsPaused = await manager.mappingsPaused()
+  }
+  result.tokens = []
+  for (const t of tokens) {
+    result.tokens.push(await tokenStatus(t))
+  }
+  return result
+}
+
+/**
+ * Reconciles the aTokens locked on the root chain against the maToken supply on Matic
+ * @param token only check this token, all registered tokens otherwise
+ * @param tolerance deficit in token units that is still reported as solvent
+ */
+async function solvency (hre, { token, tolerance }) {
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const childProvider = new hre.ethers.providers.JsonRpcProvider(hre.config.networks[deployment.childNetwork].url)
+  const tokens = token ? [getToken(hre.network.name, token)] : deployment.tokens
+
+  const result = await checkSolvency({ rootChainManager, childProvider, tokens, tolerance })
+  return Object.assign({ action: 'solvency', network: hre.network.name }, result)
+}
+
+/**
+ * Rebuilds the token mappings of both managers from their TokenMapped events and reports where they diverge
+ * @param rootFromBlock first root block to read events from
+ * @param childFromBlock first child block to read events from
+ */
+async function auditMapping (hre, { rootFromBlock, childFromBlock }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const childProvider = new ethers.providers.JsonRpcProvider(hre.config.networks[deployment.childNetwork].url)
+  const { abi } = await hre.artifacts.readArtifact(CHILD_CHAIN_MANAGER)
+  const childChainManager = new ethers.Contract(deployment.childChainManager, abi, childProvider)
+
+  const result = await auditMappings({
+    rootChainManager,
+    childChainManager,
+    rootFromBlock: Number(rootFromBlock || 0),
+    childFromBlock: Number(childFromBlock || 0)
+  })
+  return Object.assign({ action: 'audit-mapping', network: hre.network.name }, result)
+}
+
+/**
+ * Tells whether the DEPOSIT state syncs of a deposit reached the child network registered for this deployment
+ * @param depositTx hash of the root deposit tx
+ * @param childFromBlock first child block to look for the StateCommitted log from
+ */
+async function trackDeposit (hre, { depositTx, childFromBlock }) {
+  const deployment = getNetwork(hre, { root: true })
+  const result = await trackDepositSyncs({
+    rootProvider: hre.ethers.provider,
+    childProvider: new hre.ethers.providers.JsonRpcProvider(hre.config.networks[deployment.childNetwork].url),
+    depositTx,
+    rootChainManager: deployment.rootChainManager,
+    childChainManager: deployment.childChainManager,
+    childFromBlock: Number(childFromBlock || 0)
+  })
+  return Object.assign({ action: 'track-deposit', network: hre.network.name }, result)
+}
+
+async function relayer (hre, { port, token, rateLimit, rateWindow, failureLimit }) {
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const tokens = token
+    ? token.split(',').map(symbol => getToken(hre.network.name, symbol.trim()))
+    : deployment.tokens
+
+  const server = createRelayerServer(new MetaTxRelayer({
+    rootChainManager,
+    allowedTokens: tokens.map(t => t.aToken),
+    rateLimit: Number(rateLimit),
+    rateWindow: Number(rateWindow) * 1000,
+    failureLimit: Number(failureLimit)
+  }))
+  await new Promise(resolve => server.listen(Number(port), resolve))
+  console.log(JSON.stringify({
+    action: 'relayer',
+    network: hre.network.name,
+    relayer: await rootChainManager.signer.getAddress(),
+    port: server.address().port,
+    tokens: tokens.map(t => t.symbol)
+  }, null, 2))
+  // SIGTERM stops accepting requests, the ones being relayed are still answered
+  const stop = () => server.close()
+  process.once('SIGTERM', stop)
+  await new Promise(resolve => server.on('close', resolve))
+  process.removeListener('SIGTERM', stop)
+}
+
+/**
+ * Indexes the bridge events of both chains into a SQLite database, resuming where the last run stopped
+ * @param db database file, defaults to bridge-index-<network>.sqlite
+ * @param rootFromBlock first root block, when the database is new
+ * @param childFromBlock first child block, when the database is new
+ * @param follow keep indexing new blocks every `interval` seconds
+ */
+async function index (hre, { db, rootFromBlock, childFromBlock, follow, interval }) {
+  // LogDecoder is a babel module of the test helpers, only pay for it here
+  require('babel-register')
+  const { LogDecoder } = require('../../test/helpers/log-decoder')
+  const BridgeIndexer = require('./indexer')
+
+  const { ethers } = hre
+  const deployment = getNetwork(hre, { root: true })
+  const abis = []
+  for (const name of [ROOT_CHAIN_MANAGER, CHILD_CHAIN_MANAGER, 'UChildERC20']) {
+    abis.push((await hre.artifacts.readArtifact(name)).abi)
+  }
+  const dbFile = db || `bridge-index-${hre.network.name}.sqlite`
+  const indexer = new BridgeIndexer({
+    db: BridgeIndexer.openDatabase(dbFile),
+    decoder: new LogDecoder(abis),
+    root: {
+      provider: ethers.provider,
+      manager: deployment.rootChainManager,
+      startBlock: Number(rootFromBlock || 0)
+    },
+    child: {
+      provider: new ethers.providers.JsonRpcProvider(hre.config.networks[deployment.childNetwork].url),
+      manager: deployment.childChainManager,
+      startBlock: Number(childFromBlock || 0)
+    }
+  })
+
+  const result = Object.assign({ action: 'index', db: dbFile }, await indexer.sync())
+  if (!follow) {
+    return result
+  }
+  console.log(JSON.stringify(result))
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, Number(interval) * 1000))
+    console.log(JSON.stringify(await indexer.sync()))
+  }
+}
+
+/**
+ * Hands the manager of this network to a new owner
+ * @param proxy also transfer ownership of the manager proxy
+ */
+async function setOwner (hre, { owner, proxy, batch }) {
+  const deployment = getNetwork(hre)
+  const manager = await getManager(hre, deployment)
+  const previousOwner = await manager.owner()
+  const txHash = await send(manager, 'setOwner', [owner], batch)
+
+  let proxyTxHash = null
+  if (proxy) {
+    const managerProxy = await hre.ethers.getContractAt(
+      deployment.isChild ? 'ChildChainManagerProxy' : 'RootChainManagerProxy',
+      manager.address
+    )
+    proxyTxHash = await send(managerProxy, 'transferProxyOwnership', [owner], batch)
+  }
+  return {
+    action: 'set-owner',
+    manager: manager.address,
+    previousOwner,
+    owner,
+    txHash,
+    proxyTxHash
+  }
+}
+
+async function setMapper (hre, { mapper, batch }) {
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const previousMapper = await rootChainManager.mapper()
+  const txHash = await send(rootChainManager, 'setMapper', [mapper], batch)
+  return {
+    action: 'set-mapper',
+    manager: rootChainManager.address,
+    previousMapper,
+    mapper,
+    txHash
+  }
+}
+
+async function setGuardian (hre, { guardian, batch }) {
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const previousGuardian = await rootChainManager.guardian()
+  const txHash = await send(rootChainManager, 'setGuardian', [guardian], batch)
+  return {
+    action: 'set-guardian',
+    manager: rootChainManager.address,
+    previousGuardian,
+    guardian,
+    txHash
+  }
+}
+
+// pause switches of ATokenRootChainManager, `token` pauses deposits and exits of a single token
+const PAUSE_TARGETS = {
+  deposits: { getter: 'depositsPaused', setter: 'setDepositsPaused' },
+  exits: { getter: 'exitsPaused', setter: 'setExitsPaused' },
+  mappings: { getter: 'mappingsPaused', setter: 'setMappingsPaused' },
+  token: { getter: 'tokenPaused', setter: 'setTokenPaused' }
+}
+
+/**
+ * Pauses or unpauses deposits, exits or mappings of the bridge, or deposits and exits of one token
+ * The signer has to be the owner or the guardian
+ * @param target `deposits`, `exits`, `mappings` or `token`
+ * @param token token to pause, with the `token` target
+ * @param unpause unpause instead of pausing
+ */
+async function pause (hre, { target, token, unpause, batch }) {
+  const { getter, setter } = PAUSE_TARGETS[target] || {}
+  if (!setter) {
+    throw Error(`Unknown pause target ${target}, use one of ${Object.keys(PAUSE_TARGETS).join(', ')}`)
+  }
+  if (target === 'token' && !token) {
+    throw Error('Pass the token to pause with --token')
+  }
+  const deployment = getNetwork(hre, { root: true })
+  const rootChainManager = await getManager(hre, deployment)
+  const args = target === 'token' ? [getToken(hre.network.name, token).aToken] : []
+  const paused = !unpause
+  const previouslyPaused = await rootChainManager[getter](...args)
+  const txHash = await send(rootChainManager, setter, [...args, paused], batch)
+  return {
+    action: unpause ? 'unpause' : 'pause',
+    manager: rootChainManager.address,
+    target,
+    rootToken: args[0],
+    previouslyPaused,
+    paused,
+    txHash
+  }
+}
+
+// UChildERC20 implementation behind the proxies of child tokens mapped from now on
+async function setChildTokenImplementation (hre, { implementation, batch }) {
+  const deployment = getNetwork(hre, { child: true })
+  const childChainManager = await getManager(hre, deployment)
+  const previousImplementation = await childChainManager.childTokenImplementation()
+  const txHash = await send(childChainManager, 'setChildTokenImplementation', [implementation], batch)
+  return {
+    action: 'set-child-token-implementation',
+    manager: childChainManager.address,
+    previousImplementation,
+    implementation,
+    txHash
+  }
+}
+
+/**
+ * Points the manager proxy of this network to a new implementation
+ * @param implementation already deployed implementation, a fresh one is deployed when omitted
+ * @param batch records the update instead of sending it, requires `implementation`
+ */
+async function upgrade (hre, { implementation, batch }) {
+  const { ethers } = hre
+  const deployment = getNetwork(hre)
+  const managerName = deployment.isChild ? CHILD_CHAIN_MANAGER : ROOT_CHAIN_MANAGER
+  const proxyName = deployment.isChild ? 'ChildChainManagerProxy' : 'RootChainManagerProxy'
+  const proxyAddress = deployment.isChild ? deployment.childChainManager : deployment.rootChainManager
+
+  if (batch && !implementation) {
+    throw Error('Deploy the implementation first and pass it with --implementation to record an upgrade')
+  }
+
+  let deployTxHash = null
+  if (!implementation) {
+    const Manager = await ethers.getContractFactory(managerName)
+    const manager = await Manager.deploy()
+    await manager.deployed()
+    implementation = manager.address
+    deployTxHash = manager.deployTransaction.hash
+  }
+
+  const managerProxy = await ethers.getContractAt(proxyName, proxyAddress)
+  const previousImplementation = await managerProxy.implementation()
+  const txHash = await send(managerProxy, 'updateImplementation', [implementation], batch)
+  return {
+    action: 'upgrade',
+    proxy: proxyAddress,
+    previousImplementation,
+    implementation,
+    deployTxHash,
+    txHash
+  }
+}
+
+module.exports = {
+  map,
+  remap,
+  deposit,
+  depositUnderlying,
+  previewDeposit,
+  exit,
+  exitStatus,
+  exitBatch,
+  previewWithdraw,
+  convert,
+  status,
+  solvency,
+  auditMapping,
+  trackDeposit,
+  relayer,
+  index,
+  setOwner,
+  setMapper,
+  setGuardian,
+  pause,
+  setChildTokenImplementation,
+  upgrade
+}
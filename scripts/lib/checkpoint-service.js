@@ -0,0 +1,166 @@
+require('babel-register')
+
+const { bufferToHex } = require('ethereumjs-util')
+
+const MerkleTree = require('../../test/helpers/merkle-tree').default
+const { getHeaders, getBlockHeader } = require('../../test/helpers/blocks')
+const { checkpointManagerAbi, findHeaderBlock, getCheckpointTree } = require('../exit-manager')
+
+// MockCheckpointManager numbers its checkpoints 1, 2, 3...
+const MOCK_CHECKPOINT_INTERVAL = 1
+
+const mockCheckpointManagerAbi = checkpointManagerAbi.concat([{
+  name: 'setCheckpoint',
+  type: 'function',
+  stateMutability: 'nonpayable',
+  inputs: [
+    { name: 'rootHash', type: 'bytes32' },
+    { name: 'start', type: 'uint256' },
+    { name: 'end', type: 'uint256' }
+  ],
+  outputs: []
+}, {
+  name: 'currentCheckpointNumber',
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [],
+  outputs: [{ name: '', type: 'uint256' }]
+}])
+
+/**
+ * Checkpoints the child chain like heimdall does, grouping ranges of `blocksPerCheckpoint` block headers
+ * into a Merkle tree submitted to MockCheckpointManager, and answers which checkpoint contains a child block
+ * with the Merkle proof of its header.
+ * Checkpoints it did not submit itself are read from `headerBlocks` of the checkpoint manager.
+ */
+class CheckpointService {
+  /**
+   * @param childWeb3 web3 connected to child chain
+   * @param checkpointManager web3 contract of the checkpoint manager on root chain, with `mockCheckpointManagerAbi` to submit
+   * @param from account submitting the checkpoints
+   * @param blocksPerCheckpoint child blocks grouped in a checkpoint
+   * @param startBlock first child block of the next checkpoint
+   * @param checkpointInterval difference between two consecutive header block numbers
+   * @param pollInterval ms between two looks at the child chain while watching
+   */
+  constructor ({ childWeb3, checkpointManager, from, blocksPerCheckpoint = 16, startBlock = 0, checkpointInterval = MOCK_CHECKPOINT_INTERVAL, pollInterval = 1000 }) {
+    if (blocksPerCheckpoint < 1) {
+      throw Error('blocksPerCheckpoint has to be at least 1')
+    }
+    this.childWeb3 = childWeb3
+    this.checkpointManager = checkpointManager
+    this.from = from
+    this.blocksPerCheckpoint = blocksPerCheckpoint
+    this.checkpointInterval = checkpointInterval
+    this.pollInterval = pollInterval
+    this.nextStart = startBlock
+    this.checkpoints = {}
+  }
+
+  /**
+   * Submits a checkpoint of the child blocks from the end of the last one up to `end`
+   * @param end last child block of the checkpoint
+   * @return header block number of the checkpoint with its block range and root
+   */
+  async submitCheckpoint (end) {
+    const start = this.nextStart
+    if (end < start) {
+      throw Error(`Checkpoint has to end at or after block ${start}`)
+    }
+    const tree = new MerkleTree(await getHeaders(start, end, this.childWeb3))
+    const root = bufferToHex(tree.getRoot())
+    const setCheckpoint = this.checkpointManager.methods.setCheckpoint(root, start, end)
+    await setCheckpoint.send({ from: this.from, gas: await setCheckpoint.estimateGas({ from: this.from }) })
+    const checkpointNumber = await this.checkpointManager.methods.currentCheckpointNumber().call()
+
+    const checkpoint = { headerNumber: parseInt(checkpointNumber) * this.checkpointInterval, start, end, root }
+    this.checkpoints[checkpoint.headerNumber] = Object.assign({ tree }, checkpoint)
+    this.nextStart = end + 1
+    return checkpoint
+  }
+
+  /**
+   * Submits a checkpoint for each full range of `blocksPerCheckpoint` child blocks mined since the last one
+   * @return the submitted checkpoints
+   */
+  async poll () {
+    const latest = await this.childWeb3.eth.getBlockNumber()
+    const submitted = []
+    while (latest - this.nextStart + 1 >= this.blocksPerCheckpoint) {
+      submitted.push(await this.submitCheckpoint(this.nextStart + this.blocksPerCheckpoint - 1))
+    }
+    return submitted
+  }
+
+  /**
+   * Polls the child chain every `pollInterval` until `stop` is called
+   * @param onCheckpoint called with each submitted checkpoint
+   * @param onError called with errors of a poll, watching goes on
+   */
+  watch (onCheckpoint = () => {}, onError = console.error) {
+    this.watching = true
+    const tick = async () => {
+      try {
+        (await this.poll()).forEach(onCheckpoint)
+      } catch (err) {
+        onError(err)
+      }
+      if (this.watching) {
+        this.timer = setTimeout(tick, this.pollInterval)
+      }
+    }
+    this.timer = setTimeout(tick, 0)
+  }
+
+  stop () {
+    this.watching = false
+    clearTimeout(this.timer)
+  }
+
+  // checkpoint containing a child block, with the Merkle tree of its block headers
+  async getCheckpoint (blockNumber) {
+    const own = Object.values(this.checkpoints).find(({ start, end }) => start <= blockNumber && blockNumber <= end)
+    if (own) {
+      return own
+    }
+    const { headerNumber, headerBlock } = await findHeaderBlock(this.checkpointManager, blockNumber, this.checkpointInterval)
+    const tree = await getCheckpointTree(headerBlock, headerNumber, this.childWeb3)
+    const checkpoint = {
+      headerNumber,
+      start: parseInt(headerBlock.start),
+      end: parseInt(headerBlock.end),
+      root: headerBlock.root.toLowerCase(),
+      tree
+    }
+    this.checkpoints[headerNumber] = checkpoint
+    return checkpoint
+  }
+
+  /**
+   * Finds the checkpoint containing a child block
+   * @param blockNumber child block number
+   * @return header block number of the checkpoint with its block range and root
+   */
+  async findCheckpoint (blockNumber) {
+    const { headerNumber, start, end, root } = await this.getCheckpoint(blockNumber)
+    return { headerNumber, start, end, root }
+  }
+
+  /**
+   * Proves a child block is part of the checkpoint containing it, the `blockProof` of an exit payload
+   * @param blockNumber child block number
+   * @return header block number of the checkpoint with its block range, root and the concatenated Merkle proof of the block header
+   */
+  async getBlockProof (blockNumber) {
+    const { headerNumber, start, end, root, tree } = await this.getCheckpoint(blockNumber)
+    const block = await this.childWeb3.eth.getBlock(blockNumber)
+    const proof = bufferToHex(Buffer.concat(tree.getProof(getBlockHeader(block))))
+    return { headerNumber, start, end, root, proof }
+  }
+}
+
+module.exports = {
+  MOCK_CHECKPOINT_INTERVAL,
+  mockCheckpointManagerAbi,
+  CheckpointService
+}
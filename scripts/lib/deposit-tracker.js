@@ -0,0 +1,148 @@
+const { ethers } = require('ethers')
+const { DEPOSIT } = require('./preview')
+
+const { defaultAbiCoder, hexZeroPad, id } = ethers.utils
+
+const STATE_SYNCED = id('StateSynced(uint256,address,bytes)')
+const LOCKED_ERC20 = id('LockedERC20(address,address,address,uint256)')
+const TRANSFER = id('Transfer(address,address,uint256)')
+
+const stateReceiverAbi = [
+  'function lastStateId() view returns (uint256)',
+  'event StateCommitted(uint256 indexed stateId, bool success)'
+]
+const childChainManagerAbi = [
+  'function onStateReceive(uint256 id, bytes data)',
+  'function rootToChildToken(address rootToken) view returns (address)',
+  'function stateReceiver() view returns (address)'
+]
+
+// revert reason of a failed eth_call, as reported by the node
+function getRevertReason (error) {
+  if (error.reason) {
+    return error.reason
+  }
+  const message = (error.error && error.error.message) || error.message || ''
+  const match = message.match(/revert:? (.*)/)
+  return match ? match[1].trim() : message
+}
+
+/**
+ * Follows a deposit from ATokenRootChainManager.depositFor to the maToken mint on the child chain
+ * The DEPOSIT state sync of the deposit tx is looked up by its state id on the child state receiver:
+ * - `pending` the state id is not committed yet, `expectedFailure` tells if the mint would revert now
+ * - `minted` the state receiver called ATokenChildChainManager and the maTokens were minted
+ * - `failed` the call reverted, `reason` is the revert reason replayed before the commit block
+ * @param rootProvider ethers provider of the root chain
+ * @param childProvider ethers provider of the child chain
+ * @param depositTx hash of the root deposit tx
+ * @param rootChainManager ATokenRootChainManager address
+ * @param childChainManager ATokenChildChainManager address
+ * @param childFromBlock first child block to look for the StateCommitted log from
+ * @return deposit tx and the status of each of its DEPOSIT state syncs
+ */
+async function trackDeposit ({ rootProvider, childProvider, depositTx, rootChainManager, childChainManager, childFromBlock = 0 }) {
+  const receipt = await rootProvider.getTransactionReceipt(depositTx)
+  if (!receipt) {
+    throw Error(`Deposit transaction ${depositTx} not found`)
+  }
+  if (!receipt.status) {
+    throw Error(`Deposit transaction ${depositTx} reverted`)
+  }
+
+  const manager = new ethers.Contract(childChainManager, childChainManagerAbi, childProvider)
+  const stateReceiverAddress = await manager.stateReceiver()
+  const stateReceiver = new ethers.Contract(stateReceiverAddress, stateReceiverAbi, childProvider)
+  const lastStateId = await stateReceiver.lastStateId()
+
+  const lockedLogs = receipt.logs.filter(log =>
+    log.topics[0] === LOCKED_ERC20 && log.address.toLowerCase() === rootChainManager.toLowerCase()
+  )
+  const syncLogs = receipt.logs.filter(log =>
+    log.topics[0] === STATE_SYNCED &&
+    ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12)) === ethers.utils.getAddress(childChainManager)
+  )
+
+  const trackSync = async (log) => {
+    const stateId = ethers.BigNumber.from(log.topics[1])
+    const [data] = defaultAbiCoder.decode(['bytes'], log.data)
+    const [syncType, syncData] = defaultAbiCoder.decode(['bytes32', 'bytes'], data)
+    if (syncType !== DEPOSIT) {
+      return null
+    }
+    const [user, rootToken, depositData] = defaultAbiCoder.decode(['address', 'address', 'bytes'], syncData)
+    const [maTokenValue] = defaultAbiCoder.decode(['uint256'], depositData)
+    const locked = lockedLogs.find(l => ethers.utils.getAddress(ethers.utils.hexDataSlice(l.topics[3], 12)) === rootToken)
+    const result = {
+      stateId: stateId.toString(),
+      user,
+      rootToken,
+      aTokenValue: locked ? ethers.BigNumber.from(locked.data).toString() : null,
+      maTokenValue: maTokenValue.toString()
+    }
+
+    // replays the call the state receiver makes, at the state of blockTag
+    const simulate = async (blockTag) => {
+      try {
+        await manager.callStatic.onStateReceive(stateId, data, { from: stateReceiverAddress, blockTag })
+        return null
+      } catch (error) {
+        return getRevertReason(error)
+      }
+    }
+
+    if (stateId.gt(lastStateId)) {
+      return Object.assign(result, {
+        status: 'pending',
+        lastStateId: lastStateId.toString(),
+        expectedFailure: await simulate('latest')
+      })
+    }
+
+    const [committed] = await stateReceiver.queryFilter(stateReceiver.filters.StateCommitted(stateId), childFromBlock)
+    if (!committed) {
+      return Object.assign(result, {
+        status: 'unknown',
+        reason: `State ${stateId} is committed but its StateCommitted log was not found from block ${childFromBlock}`
+      })
+    }
+    result.commitTx = committed.transactionHash
+    result.commitBlock = committed.blockNumber
+    if (!committed.args.success) {
+      return Object.assign(result, { status: 'failed', reason: await simulate(committed.blockNumber - 1) })
+    }
+
+    const commitReceipt = await childProvider.getTransactionReceipt(committed.transactionHash)
+    const mint = commitReceipt.logs.find(l =>
+      l.topics[0] === TRANSFER &&
+      l.topics[1] === hexZeroPad('0x', 32) &&
+      ethers.utils.getAddress(ethers.utils.hexDataSlice(l.topics[2], 12)) === user
+    )
+    return Object.assign(result, {
+      status: 'minted',
+      childToken: mint ? ethers.utils.getAddress(mint.address) : null,
+      mintedValue: mint ? ethers.BigNumber.from(mint.data).toString() : null
+    })
+  }
+
+  const syncs = []
+  for (const log of syncLogs) {
+    const sync = await trackSync(log)
+    if (sync) {
+      syncs.push(sync)
+    }
+  }
+  if (!syncs.length) {
+    throw Error(`No DEPOSIT state sync to ${childChainManager} in ${depositTx}`)
+  }
+  return {
+    depositTx,
+    blockNumber: receipt.blockNumber,
+    syncs
+  }
+}
+
+module.exports = {
+  getRevertReason,
+  trackDeposit
+}
@@ -0,0 +1,221 @@
+const { ethers } = require('ethers')
+
+const { id, hexZeroPad } = ethers.utils
+
+const ROOT_EVENTS = [
+  'LockedERC20(address,address,address,uint256)',
+  'TokenMapped(address,address,bytes32)',
+  'SetOwner(address,address)',
+  'SetMapper(address,address)',
+  'SetGuardian(address,address)',
+  'SetDepositsPaused(bool)',
+  'SetExitsPaused(bool)',
+  'SetMappingsPaused(bool)',
+  'SetTokenPaused(address,bool)'
+].map(id)
+const CHILD_TOKEN_MAPPED = id('TokenMapped(address,address)')
+const TRANSFER = id('Transfer(address,address,uint256)')
+const ZERO_ADDRESS_TOPIC = hexZeroPad('0x', 32)
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    chain TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (chain, tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_event ON events (chain, event, block_number);
+  CREATE TABLE IF NOT EXISTS cursors (
+    chain TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL
+  );
+`
+
+// named values of decoded event args, numbers as decimal strings
+function serializeArgs (args) {
+  const result = {}
+  Object.keys(args).filter(key => isNaN(key)).forEach(key => {
+    result[key] = ethers.BigNumber.isBigNumber(args[key]) ? args[key].toString() : args[key]
+  })
+  return result
+}
+
+/**
+ * Follows the aToken bridge events of both chains into a SQLite database
+ * Root chain: LockedERC20, TokenMapped and the owner, mapper, guardian and pause changes of ATokenRootChainManager
+ * Child chain: TokenMapped of ATokenChildChainManager and burns (Transfer to 0x0) of the mapped maTokens
+ * Each chain resumes from the block after the last one it indexed
+ */
+class BridgeIndexer {
+  /**
+   * @param db better-sqlite3 database
+   * @param decoder LogDecoder built with the manager and maToken ABIs
+   * @param root `{ provider, manager, startBlock }` of the root chain, manager is the ATokenRootChainManager address
+   * @param child `{ provider, manager, startBlock }` of the child chain, manager is the ATokenChildChainManager address
+   * @param blockRange blocks fetched per getLogs call
+   * @param confirmations blocks left unindexed behind the chain head, in case of reorgs
+   */
+  constructor ({ db, decoder, root, child, blockRange = 1000, confirmations = 0 }) {
+    this.db = db
+    this.decoder = decoder
+    this.chains = { root, child }
+    this.blockRange = blockRange
+    this.confirmations = confirmations
+    db.exec(SCHEMA)
+  }
+
+  /**
+   * Opens a SQLite database, better-sqlite3 is only loaded by the indexer
+   * @param file path of the database file, created when missing
+   */
+  static openDatabase (file) {
+    const Database = require('better-sqlite3')
+    return new Database(file)
+  }
+
+  // last indexed block of a chain, one before its start block when nothing was indexed yet
+  lastIndexedBlock (chain) {
+    const cursor = this.db.prepare('SELECT block_number FROM cursors WHERE chain = ?').get(chain)
+    return cursor ? cursor.block_number : (this.chains[chain].startBlock || 0) - 1
+  }
+
+  // maTokens mapped on the child chain so far, their burns are indexed
+  childTokens () {
+    return this.db.prepare(
+      "SELECT DISTINCT json_extract(args, '$.childToken') AS childToken FROM events WHERE chain = 'child' AND event = 'TokenMapped'"
+    ).all().map(row => row.childToken)
+  }
+
+  async _getLogs (chain, fromBlock, toBlock) {
+    const { provider, manager } = this.chains[chain]
+    if (chain === 'root') {
+      return provider.getLogs({ address: manager, topics: [ROOT_EVENTS], fromBlock, toBlock })
+    }
+    const mappedLogs = await provider.getLogs({ address: manager, topics: [CHILD_TOKEN_MAPPED], fromBlock, toBlock })
+    const childTokens = new Set(this.childTokens())
+    this.decoder.decodeLogs(mappedLogs).forEach(({ args }) => childTokens.add(args.childToken))
+
+    let logs = mappedLogs
+    for (const childToken of childTokens) {
+      const burnLogs = await provider.getLogs({
+        address: childToken,
+        topics: [TRANSFER, null, ZERO_ADDRESS_TOPIC],
+        fromBlock,
+        toBlock
+      })
+      logs = logs.concat(burnLogs)
+    }
+    return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+  }
+
+  async _indexRange (chain, fromBlock, toBlock) {
+    const { provider } = this.chains[chain]
+    const logs = await this._getLogs(chain, fromBlock, toBlock)
+    const decoded = this.decoder.decodeLogs(logs)
+
+    const timestamps = {}
+    for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+      timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp
+    }
+
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (chain, block_number, block_hash, timestamp, tx_hash, log_index, address, event, args)
+      VALUES (@chain, @blockNumber, @blockHash, @timestamp, @txHash, @logIndex, @address, @event, @args)
+    `)
+    const updateCursor = this.db.prepare('INSERT OR REPLACE INTO cursors (chain, block_number) VALUES (?, ?)')
+    this.db.transaction(() => {
+      logs.forEach((log, i) => {
+        if (!decoded[i]) {
+          return
+        }
+        insertEvent.run({
+          chain,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          timestamp: timestamps[log.blockNumber],
+          txHash: log.transactionHash,
+          logIndex: log.logIndex,
+          address: ethers.utils.getAddress(log.address),
+          event: decoded[i].event,
+          args: JSON.stringify(serializeArgs(decoded[i].args))
+        })
+      })
+      updateCursor.run(chain, toBlock)
+    })()
+    return decoded.filter(log => log).length
+  }
+
+  /**
+   * Indexes a chain from the block after its cursor up to the confirmed head
+   * @param chain `root` or `child`
+   * @return first and last block indexed and the number of events stored
+   */
+  async indexChain (chain) {
+    const head = await this.chains[chain].provider.getBlockNumber()
+    const toBlock = head - this.confirmations
+    const fromBlock = this.lastIndexedBlock(chain) + 1
+    let events = 0
+    for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+      events += await this._indexRange(chain, start, Math.min(start + this.blockRange - 1, toBlock))
+    }
+    return { fromBlock, toBlock: Math.max(toBlock, fromBlock - 1), events }
+  }
+
+  // indexes the root chain, then the child chain
+  async sync () {
+    return {
+      root: await this.indexChain('root'),
+      child: await this.indexChain('child')
+    }
+  }
+
+  /**
+   * Stored events, oldest first, root before child within the same second
+   * @param chain only events of `root` or `child`
+   * @param event only events with this name, e.g. LockedERC20
+   * @param account only events with this address among their args, e.g. a depositor or withdrawer
+   * @param txHash only events of this transaction
+   */
+  getEvents ({ chain, event, account, txHash } = {}) {
+    const conditions = []
+    const params = {}
+    if (chain) {
+      conditions.push('chain = @chain')
+      params.chain = chain
+    }
+    if (event) {
+      conditions.push('event = @event')
+      params.event = event
+    }
+    if (account) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(events.args) WHERE lower(json_each.value) = lower(@account))')
+      params.account = account
+    }
+    if (txHash) {
+      conditions.push('lower(tx_hash) = lower(@txHash)')
+      params.txHash = txHash
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    return this.db.prepare(`SELECT * FROM events ${where} ORDER BY timestamp, chain DESC, block_number, log_index`)
+      .all(params)
+      .map(row => ({
+        chain: row.chain,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        timestamp: row.timestamp,
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        address: row.address,
+        event: row.event,
+        args: JSON.parse(row.args)
+      }))
+  }
+}
+
+module.exports = BridgeIndexer
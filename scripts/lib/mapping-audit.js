@@ -0,0 +1,137 @@
+const { ethers } = require('ethers')
+
+const { AddressZero } = ethers.constants
+
+/**
+ * Rebuilds the mapping tables of a manager from its TokenMapped events
+ * Replays the cleanup both managers do on a remap: the previous child token of the root token
+ * and the previous root token of the child token lose their mappings
+ * @param events TokenMapped events in chain order, with `args.rootToken` and `args.childToken`
+ * @return rootToChildToken and childToRootToken tables without zero entries
+ */
+function replayTokenMapped (events) {
+  const rootToChildToken = {}
+  const childToRootToken = {}
+  events.forEach(({ args }) => {
+    const rootToken = ethers.utils.getAddress(args.rootToken)
+    const childToken = ethers.utils.getAddress(args.childToken)
+    const oldChildToken = rootToChildToken[rootToken]
+    const oldRootToken = childToRootToken[childToken]
+    delete rootToChildToken[oldRootToken]
+    delete childToRootToken[oldChildToken]
+    rootToChildToken[rootToken] = childToken
+    childToRootToken[childToken] = rootToken
+  })
+  return { rootToChildToken, childToRootToken }
+}
+
+// reads the mapping getters of a manager for every token seen in its events
+async function readMappings (manager, rootTokens, childTokens) {
+  const rootToChildToken = {}
+  const childToRootToken = {}
+  for (const rootToken of rootTokens) {
+    const childToken = await manager.rootToChildToken(rootToken)
+    if (childToken !== AddressZero) {
+      rootToChildToken[rootToken] = childToken
+    }
+  }
+  for (const childToken of childTokens) {
+    const rootToken = await manager.childToRootToken(childToken)
+    if (rootToken !== AddressZero) {
+      childToRootToken[childToken] = rootToken
+    }
+  }
+  return { rootToChildToken, childToRootToken }
+}
+
+/**
+ * Compares the mapping tables of both managers
+ * @param root `rebuilt` and `onChain` tables of ATokenRootChainManager
+ * @param child `rebuilt` and `onChain` tables of ATokenChildChainManager
+ * @param computedChildTokens childTokenAddress of every root token, with the current childTokenBytecodeHash
+ * @return list of issues, empty when both sides agree
+ */
+function findMappingIssues ({ root, child, computedChildTokens }) {
+  const issues = []
+  const sides = { root, child }
+  const keys = (...tables) => [...new Set(tables.reduce((all, table) => all.concat(Object.keys(table)), []))]
+
+  // the getters disagree with the events when events were missed, e.g. a fromBlock after the first mapping
+  Object.entries(sides).forEach(([chain, { rebuilt, onChain }]) => {
+    ['rootToChildToken', 'childToRootToken'].forEach(table => {
+      keys(rebuilt[table], onChain[table]).forEach(token => {
+        const fromEvents = rebuilt[table][token] || AddressZero
+        const fromGetter = onChain[table][token] || AddressZero
+        if (fromEvents !== fromGetter) {
+          issues.push({ type: 'EVENTS_MISMATCH', chain, table, token, fromEvents, onChain: fromGetter })
+        }
+      })
+    })
+  })
+
+  keys(root.onChain.rootToChildToken, child.onChain.rootToChildToken).forEach(rootToken => {
+    const rootChildToken = root.onChain.rootToChildToken[rootToken]
+    const childChildToken = child.onChain.rootToChildToken[rootToken]
+    if (!childChildToken) {
+      issues.push({ type: 'NOT_MAPPED_ON_CHILD', rootToken, childToken: rootChildToken })
+    } else if (!rootChildToken) {
+      issues.push({ type: 'NOT_MAPPED_ON_ROOT', rootToken, childToken: childChildToken })
+    } else if (rootChildToken !== childChildToken) {
+      issues.push({ type: 'CHILD_TOKEN_MISMATCH', rootToken, rootChildToken, childChildToken })
+    }
+  })
+
+  Object.entries(sides).forEach(([chain, { onChain }]) => {
+    Object.entries(onChain.childToRootToken).forEach(([childToken, rootToken]) => {
+      const mappedChildToken = onChain.rootToChildToken[rootToken] || AddressZero
+      if (mappedChildToken !== childToken) {
+        issues.push({ type: 'STALE_REVERSE_MAPPING', chain, childToken, rootToken, mappedChildToken })
+      }
+    })
+    Object.entries(onChain.rootToChildToken).forEach(([rootToken, childToken]) => {
+      const computedChildToken = computedChildTokens[rootToken]
+      if (computedChildToken && computedChildToken !== childToken) {
+        issues.push({ type: 'CHILD_ADDRESS_MISMATCH', chain, rootToken, childToken, computedChildToken })
+      }
+    })
+  })
+  return issues
+}
+
+/**
+ * Walks the TokenMapped events of both managers and reports where their mappings diverge
+ * @param rootChainManager ethers contract of ATokenRootChainManager
+ * @param childChainManager ethers contract of ATokenChildChainManager on the child chain
+ * @param rootFromBlock first root block to read events from
+ * @param childFromBlock first child block to read events from
+ * @return rebuilt tables of both sides and the list of issues
+ */
+async function auditMappings ({ rootChainManager, childChainManager, rootFromBlock = 0, childFromBlock = 0 }) {
+  const [rootEvents, childEvents] = await Promise.all([
+    rootChainManager.queryFilter(rootChainManager.filters.TokenMapped(), rootFromBlock),
+    childChainManager.queryFilter(childChainManager.filters.TokenMapped(), childFromBlock)
+  ])
+  const rootTokens = [...new Set(rootEvents.concat(childEvents).map(e => ethers.utils.getAddress(e.args.rootToken)))]
+  const childTokens = [...new Set(rootEvents.concat(childEvents).map(e => ethers.utils.getAddress(e.args.childToken)))]
+
+  const root = { rebuilt: replayTokenMapped(rootEvents), onChain: await readMappings(rootChainManager, rootTokens, childTokens) }
+  const child = { rebuilt: replayTokenMapped(childEvents), onChain: await readMappings(childChainManager, rootTokens, childTokens) }
+  const computedChildTokens = {}
+  for (const rootToken of rootTokens) {
+    computedChildTokens[rootToken] = await rootChainManager.childTokenAddress(rootToken)
+  }
+
+  return {
+    rootEvents: rootEvents.length,
+    childEvents: childEvents.length,
+    root: root.onChain,
+    child: child.onChain,
+    issues: findMappingIssues({ root, child, computedChildTokens })
+  }
+}
+
+module.exports = {
+  replayTokenMapped,
+  findMappingIssues,
+  auditMappings
+}
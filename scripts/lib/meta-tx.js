@@ -0,0 +1,183 @@
+const { ethers } = require('ethers')
+
+const { _TypedDataEncoder: TypedDataEncoder, hexZeroPad, recoverAddress, splitSignature } = ethers.utils
+
+// EIP712Base.ERC712_VERSION
+const VERSION = '1'
+
+// NativeMetaTransaction.META_TRANSACTION_TYPEHASH
+const META_TRANSACTION_TYPES = {
+  MetaTransaction: [
+    { name: 'nonce', type: 'uint256' },
+    { name: 'from', type: 'address' },
+    { name: 'functionSignature', type: 'bytes' }
+  ]
+}
+
+// maToken calls that can be signed, msgSender() is the signer on UChildERC20
+const maTokenInterface = new ethers.utils.Interface([
+  'function transfer(address recipient, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function withdraw(uint256 amount)'
+])
+const metaTransactionInterface = new ethers.utils.Interface([
+  'function name() view returns (string)',
+  'function getChainId() pure returns (uint256)',
+  'function getNonce(address user) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)'
+])
+
+/**
+ * EIP712 domain of a NativeMetaTransaction contract
+ * EIP712Base has no chainId field, the chain id goes in the salt instead
+ * @param name name the contract initialized EIP712Base with, the token name for UChildERC20
+ * @param verifyingContract address of the contract
+ * @param chainId chain id as returned by its getChainId
+ */
+function getDomain ({ name, verifyingContract, chainId }) {
+  return {
+    name,
+    version: VERSION,
+    verifyingContract,
+    salt: hexZeroPad(ethers.BigNumber.from(chainId).toHexString(), 32)
+  }
+}
+
+/**
+ * Reads the EIP712 domain from the contract, as the chain id its getChainId returns
+ * can differ from the one of the node
+ * @param contract address of the contract
+ * @param provider ethers provider
+ * @param name domain name, the contract name() when omitted
+ */
+async function readDomain (contract, provider, name) {
+  const metaTxContract = new ethers.Contract(contract, metaTransactionInterface, provider)
+  return getDomain({
+    name: name || await metaTxContract.name(),
+    verifyingContract: metaTxContract.address,
+    chainId: await metaTxContract.getChainId()
+  })
+}
+
+/**
+ * Calldata of a maToken call, the `functionSignature` of the meta transaction
+ * @param method `transfer`, `approve` or `withdraw`
+ * @param args arguments of the call
+ */
+function encodeMaTokenCall (method, args) {
+  if (!['transfer', 'approve', 'withdraw'].includes(method)) {
+    throw Error(`Meta transactions are built for transfer, approve and withdraw, not ${method}`)
+  }
+  return maTokenInterface.encodeFunctionData(method, args)
+}
+
+// digest NativeMetaTransaction.verify recovers the signer from
+function hashMetaTransaction (domain, { nonce, from, functionSignature }) {
+  return TypedDataEncoder.hash(domain, META_TRANSACTION_TYPES, { nonce, from, functionSignature })
+}
+
+/**
+ * Signs a meta transaction with an ethers signer or a raw private key
+ * @param domain EIP712 domain of the contract
+ * @param nonce getNonce of the user on the contract
+ * @param functionSignature calldata of the call made on behalf of the user
+ * @param signer ethers signer able to sign typed data, e.g. a Wallet or a JsonRpcSigner
+ * @param privateKey hex private key, when no signer is given
+ * @return `executeMetaTransaction` arguments, JSON ready
+ */
+async function signMetaTransaction ({ domain, nonce, functionSignature, signer, privateKey }) {
+  let from
+  let signature
+  if (signer) {
+    from = await signer.getAddress()
+    signature = await signer._signTypedData(domain, META_TRANSACTION_TYPES, { nonce, from, functionSignature })
+  } else if (privateKey) {
+    const signingKey = new ethers.utils.SigningKey(privateKey)
+    from = ethers.utils.computeAddress(signingKey.privateKey)
+    signature = signingKey.signDigest(hashMetaTransaction(domain, { nonce, from, functionSignature }))
+  } else {
+    throw Error('Pass a signer or a privateKey')
+  }
+  const { r, s, v } = splitSignature(signature)
+  return {
+    userAddress: from,
+    functionSignature,
+    sigR: r,
+    sigS: s,
+    sigV: v
+  }
+}
+
+/**
+ * Builds and signs a meta transaction for a maToken, reading its domain and the nonce of the signer
+ * @param maToken address of the UChildERC20
+ * @param provider ethers provider of the child chain
+ * @param method `transfer`, `approve` or `withdraw`
+ * @param args arguments of the call
+ * @param signer ethers signer, or privateKey
+ * @return `executeMetaTransaction` arguments, JSON ready
+ */
+async function signMaTokenCall ({ maToken, provider, method, args, signer, privateKey }) {
+  const from = signer
+    ? await signer.getAddress()
+    : ethers.utils.computeAddress(privateKey)
+  const token = new ethers.Contract(maToken, metaTransactionInterface, provider)
+  return signMetaTransaction({
+    domain: await readDomain(maToken, provider),
+    nonce: await token.getNonce(from),
+    functionSignature: encodeMaTokenCall(method, args),
+    signer,
+    privateKey
+  })
+}
+
+/**
+ * Address that signed a meta transaction, as ecrecover in NativeMetaTransaction.verify returns it
+ * @param domain EIP712 domain of the contract
+ * @param nonce nonce the meta transaction was signed for
+ * @param metaTx `executeMetaTransaction` arguments
+ */
+function recoverMetaTransactionSigner (domain, nonce, { userAddress, functionSignature, sigR, sigS, sigV }) {
+  const digest = hashMetaTransaction(domain, { nonce, from: userAddress, functionSignature })
+  return recoverAddress(digest, { r: sigR, s: sigS, v: Number(sigV) })
+}
+
+/**
+ * Mirrors NativeMetaTransaction.verify: the user must not be the zero address
+ * and must have signed the call at its current nonce
+ * @param domain EIP712 domain of the contract
+ * @param nonce getNonce of the user on the contract
+ * @param metaTx `executeMetaTransaction` arguments
+ */
+function verifyMetaTransaction (domain, nonce, metaTx) {
+  const user = ethers.utils.getAddress(metaTx.userAddress)
+  if (user === ethers.constants.AddressZero) {
+    throw Error('NativeMetaTransaction: INVALID_SIGNER')
+  }
+  try {
+    return recoverMetaTransactionSigner(domain, nonce, metaTx) === user
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Calldata of executeMetaTransaction, for a relayer sending the meta transaction
+ * @param metaTx `executeMetaTransaction` arguments
+ */
+function encodeExecuteMetaTransaction ({ userAddress, functionSignature, sigR, sigS, sigV }) {
+  return metaTransactionInterface.encodeFunctionData('executeMetaTransaction', [userAddress, functionSignature, sigR, sigS, sigV])
+}
+
+module.exports = {
+  META_TRANSACTION_TYPES,
+  getDomain,
+  readDomain,
+  encodeMaTokenCall,
+  hashMetaTransaction,
+  signMetaTransaction,
+  signMaTokenCall,
+  recoverMetaTransactionSigner,
+  verifyMetaTransaction,
+  encodeExecuteMetaTransaction
+}
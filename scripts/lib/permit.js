@@ -0,0 +1,99 @@
+const { ethers } = require('ethers')
+
+const { _TypedDataEncoder: TypedDataEncoder, splitSignature } = ethers.utils
+
+// PERMIT_TYPEHASH of Aave v2 aTokens
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+const permitTokenAbi = [
+  'function name() view returns (string)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function _nonces(address owner) view returns (uint256)'
+]
+
+/**
+ * EIP712 domain of an aToken permit, checked against its DOMAIN_SEPARATOR
+ * @param aToken address of the aToken
+ * @param provider ethers provider of the root chain
+ * @param chainId chain id the aToken was deployed with, the one of the provider when omitted
+ */
+async function getPermitDomain (aToken, provider, chainId) {
+  const token = new ethers.Contract(aToken, permitTokenAbi, provider)
+  const domain = {
+    name: await token.name(),
+    version: '1',
+    chainId: chainId || (await provider.getNetwork()).chainId,
+    verifyingContract: token.address
+  }
+  if (TypedDataEncoder.hashDomain(domain) !== await token.DOMAIN_SEPARATOR()) {
+    throw Error(`Permit domain of ${aToken} does not match its DOMAIN_SEPARATOR, pass the chainId it was deployed with`)
+  }
+  return domain
+}
+
+/**
+ * Signs an EIP-2612 permit of an aToken at the current nonce of the signer
+ * @param aToken address of the aToken
+ * @param signer ethers signer owning the aTokens, connected to the root chain
+ * @param spender address allowed to spend, ATokenRootChainManager for a deposit
+ * @param value allowance in aToken units
+ * @param deadline timestamp until which the permit is valid, one hour after the latest block when omitted
+ * @param chainId chain id the aToken was deployed with, the one of the provider when omitted
+ * @return permit fields with the v, r and s of the signature
+ */
+async function signPermit ({ aToken, signer, spender, value, deadline, chainId }) {
+  const owner = await signer.getAddress()
+  const token = new ethers.Contract(aToken, permitTokenAbi, signer.provider)
+  if (deadline === undefined) {
+    deadline = (await signer.provider.getBlock('latest')).timestamp + 60 * 60
+  }
+  const permit = {
+    owner,
+    spender,
+    value: ethers.BigNumber.from(value).toString(),
+    nonce: (await token._nonces(owner)).toString(),
+    deadline: ethers.BigNumber.from(deadline).toString()
+  }
+  const domain = await getPermitDomain(aToken, signer.provider, chainId)
+  const { v, r, s } = splitSignature(await signer._signTypedData(domain, PERMIT_TYPES, permit))
+  return Object.assign(permit, { v, r, s })
+}
+
+/**
+ * Deposits aTokens with a permit instead of an approve, in a single transaction
+ * @param rootChainManager ethers contract of ATokenRootChainManager connected to the depositor
+ * @param aToken address of the aToken, it has to implement permit
+ * @param user receiver of the maTokens on child chain
+ * @param value aToken value to deposit
+ * @param deadline timestamp until which the permit is valid, one hour after the latest block when omitted
+ * @param chainId chain id the aToken was deployed with, the one of the provider when omitted
+ * @return the depositWithPermit transaction and the signed permit
+ */
+async function depositWithPermit ({ rootChainManager, aToken, user, value, deadline, chainId }) {
+  const permit = await signPermit({
+    aToken,
+    signer: rootChainManager.signer,
+    spender: rootChainManager.address,
+    value,
+    deadline,
+    chainId
+  })
+  const depositData = ethers.utils.defaultAbiCoder.encode(['uint256'], [permit.value])
+  const tx = await rootChainManager.depositWithPermit(user, aToken, depositData, permit.deadline, permit.v, permit.r, permit.s)
+  return { tx, permit }
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  getPermitDomain,
+  signPermit,
+  depositWithPermit
+}
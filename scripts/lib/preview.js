@@ -0,0 +1,173 @@
+const { ethers } = require('ethers')
+const { rlp } = require('ethereumjs-util')
+
+const { defaultAbiCoder, keccak256, solidityKeccak256, toUtf8Bytes } = ethers.utils
+
+const DEPOSIT = keccak256(toUtf8Bytes('DEPOSIT'))
+
+const erc20Abi = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+]
+
+/**
+ * State sync data ATokenRootChainManager.depositFor sends to the child chain manager
+ * The aToken value of the deposit data is replaced with the maToken value
+ * @return abi encoded (DEPOSIT, (user, rootToken, depositData))
+ */
+function encodeDepositSync (user, rootToken, maTokenValue) {
+  const depositData = defaultAbiCoder.encode(['uint256'], [maTokenValue])
+  const syncData = defaultAbiCoder.encode(['address', 'address', 'bytes'], [user, rootToken, depositData])
+  return defaultAbiCoder.encode(['bytes32', 'bytes'], [DEPOSIT, syncData])
+}
+
+/**
+ * Simulates ATokenRootChainManager.depositFor without sending it
+ * @param rootChainManager ethers contract of ATokenRootChainManager
+ * @param options.depositor account the aTokens are transferred from
+ * @param options.user receiver of the maTokens on the child chain
+ * @param options.rootToken aToken address
+ * @param options.aTokenValue amount of aToken to deposit
+ * @param options.childChainManager receiver of the state sync on the child chain
+ * @return allowance shortfall, maToken value, LockedERC20 log and state sync the deposit would produce,
+ * `errors` lists the reasons the deposit would revert
+ */
+async function previewDeposit (rootChainManager, { depositor, user, rootToken, aTokenValue, childChainManager }) {
+  aTokenValue = ethers.BigNumber.from(aTokenValue)
+  const aToken = new ethers.Contract(rootToken, erc20Abi, rootChainManager.provider)
+  const [depositsPaused, tokenPaused, childToken, balance, allowance, maTokenValue] = await Promise.all([
+    rootChainManager.depositsPaused(),
+    rootChainManager.tokenPaused(rootToken),
+    rootChainManager.rootToChildToken(rootToken),
+    aToken.balanceOf(depositor),
+    aToken.allowance(depositor, rootChainManager.address),
+    rootChainManager.getMATokenValue(rootToken, aTokenValue)
+  ])
+  const shortfall = aTokenValue.gt(allowance) ? aTokenValue.sub(allowance) : ethers.constants.Zero
+
+  const errors = []
+  if (depositsPaused) {
+    errors.push('ATokenRootChainManager: DEPOSITS_PAUSED')
+  }
+  if (tokenPaused) {
+    errors.push('ATokenRootChainManager: TOKEN_PAUSED')
+  }
+  if (childToken === ethers.constants.AddressZero) {
+    errors.push('ATokenRootChainManager: TOKEN_NOT_MAPPED')
+  }
+  if (user === ethers.constants.AddressZero) {
+    errors.push('ATokenRootChainManager: INVALID_USER')
+  }
+  if (aTokenValue.gt(balance)) {
+    errors.push('Deposit exceeds aToken balance')
+  }
+  if (!shortfall.isZero()) {
+    errors.push('Deposit exceeds allowance, approve the root chain manager first')
+  }
+
+  const lockedArgs = [depositor, user, rootToken, aTokenValue]
+  const lockedLog = rootChainManager.interface.encodeEventLog(
+    rootChainManager.interface.getEvent('LockedERC20'),
+    lockedArgs
+  )
+  return {
+    depositor,
+    user,
+    rootToken,
+    childToken,
+    aTokenValue: aTokenValue.toString(),
+    maTokenValue: maTokenValue.toString(),
+    balance: balance.toString(),
+    allowance: allowance.toString(),
+    allowanceShortfall: shortfall.toString(),
+    lockedERC20: {
+      address: rootChainManager.address,
+      args: {
+        depositor,
+        depositReceiver: user,
+        rootToken,
+        amount: aTokenValue.toString()
+      },
+      topics: lockedLog.topics,
+      data: lockedLog.data
+    },
+    stateSync: {
+      receiver: childChainManager,
+      data: encodeDepositSync(user, rootToken, maTokenValue)
+    },
+    errors
+  }
+}
+
+/**
+ * Branch mask of a receipt in the receipts trie of its block, as built by exit-manager
+ * @param transactionIndex index of the transaction in its block
+ * @return hex prefix 0x00 followed by the rlp encoded index
+ */
+function getBranchMask (transactionIndex) {
+  return ethers.utils.hexlify(Buffer.concat([Buffer.from('00', 'hex'), rlp.encode(transactionIndex)]))
+}
+
+// MerklePatriciaProof._getNibbleArray, one byte per nibble without the hex prefix nibbles
+function getNibbleArray (bytes) {
+  const hex = ethers.utils.hexlify(bytes).slice(2)
+  if (hex.length === 0) {
+    return '0x'
+  }
+  const offset = ['1', '3'].includes(hex[0]) ? 1 : 2
+  return ethers.utils.hexlify(hex.slice(offset).split('').map(nibble => parseInt(nibble, 16)))
+}
+
+/**
+ * Hash ATokenRootChainManager.exit stores in processedExits for a burn
+ * @param blockNumber child block containing the burn
+ * @param branchMask branch mask of the burn receipt
+ * @param logIndex index of the burn log in the receipt
+ */
+function getExitHash (blockNumber, branchMask, logIndex) {
+  return solidityKeccak256(['uint256', 'bytes', 'uint256'], [blockNumber, getNibbleArray(branchMask), logIndex])
+}
+
+/**
+ * Reports the aTokens an exit pays out at the current liquidity index
+ * Either pass the burn receipt and the index of its burn log, or a root token and maToken value
+ * @param rootChainManager ethers contract of ATokenRootChainManager
+ * @param options.receipt receipt of the UChildERC20.withdraw transaction on child chain
+ * @param options.logIndex index of the burn log in the receipt
+ * @param options.rootToken aToken address, when previewing an amount
+ * @param options.maTokenValue amount of maToken burnt, when previewing an amount
+ * @return aToken value, and for a burn the withdrawer, exit hash and whether it was exited already
+ */
+async function previewWithdraw (rootChainManager, { receipt, logIndex, rootToken, maTokenValue }) {
+  const result = {}
+  if (receipt) {
+    const log = receipt.logs[logIndex]
+    result.burnTx = receipt.transactionHash
+    result.childToken = ethers.utils.getAddress(log.address)
+    result.withdrawer = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12))
+    rootToken = await rootChainManager.childToRootToken(result.childToken)
+    if (rootToken === ethers.constants.AddressZero) {
+      throw Error(`Child token ${result.childToken} is not mapped`)
+    }
+    maTokenValue = log.data
+  }
+  maTokenValue = ethers.BigNumber.from(maTokenValue)
+  result.rootToken = rootToken
+  result.maTokenValue = maTokenValue.toString()
+  result.aTokenValue = (await rootChainManager.getATokenValue(rootToken, maTokenValue)).toString()
+
+  if (receipt) {
+    result.exitHash = getExitHash(receipt.blockNumber, getBranchMask(receipt.transactionIndex), logIndex)
+    result.exited = await rootChainManager.processedExits(result.exitHash)
+  }
+  return result
+}
+
+module.exports = {
+  DEPOSIT,
+  encodeDepositSync,
+  previewDeposit,
+  getBranchMask,
+  getExitHash,
+  previewWithdraw
+}
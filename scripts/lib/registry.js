@@ -0,0 +1,102 @@
+const registry = require('../registry.json')
+
+/**
+ * Deployment of the aToken bridge that a network is part of
+ * Each deployment is registered under its root network, `childNetwork` names its Matic side
+ * @param network hardhat network name, root (mainnet, kovan) or child (matic, mumbai)
+ * @return deployment details with `rootNetwork`, `childNetwork` and `isChild` filled in
+ */
+function getDeployment (network) {
+  const rootNetwork = Object.keys(registry).find(name =>
+    name === network || registry[name].childNetwork === network
+  )
+  if (!rootNetwork) {
+    throw Error(`No aToken bridge deployment registered for network ${network}`)
+  }
+  return Object.assign({}, registry[rootNetwork], {
+    rootNetwork,
+    isChild: rootNetwork !== network
+  })
+}
+
+/**
+ * Looks up a token by its maToken (maUSDC), aToken (aUSDC) or underlying (USDC) symbol
+ * @param network hardhat network name
+ * @param symbol token symbol, case insensitive
+ * @return registry entry with symbol, decimals, aToken, underlying and maToken
+ */
+function getToken (network, symbol) {
+  const { tokens, rootNetwork } = getDeployment(network)
+  const wanted = symbol.toLowerCase()
+  const token = tokens.find(t => {
+    const maSymbol = t.symbol.toLowerCase()
+    return [maSymbol, maSymbol.slice(1), maSymbol.slice(2)].includes(wanted)
+  })
+  if (!token) {
+    const known = tokens.map(t => t.symbol).join(', ') || 'none'
+    throw Error(`Token ${symbol} is not registered for ${rootNetwork} (registered: ${known})`)
+  }
+  return token
+}
+
+/**
+ * Reads the `--token maUSDC` (or `--token=maUSDC`) argument, falling back to the TOKEN env variable
+ * Several tokens can be given separated by commas
+ * @param argv command line arguments
+ * @return list of token symbols, empty when none given
+ */
+function getTokenArgs (argv = process.argv) {
+  let value = process.env.TOKEN
+  argv.forEach((arg, i) => {
+    if (arg === '--token') {
+      value = argv[i + 1]
+    } else if (arg.startsWith('--token=')) {
+      value = arg.slice('--token='.length)
+    }
+  })
+  return value ? value.split(',').map(s => s.trim()).filter(s => s) : []
+}
+
+/**
+ * Resolves the single token given on the command line
+ * @param network hardhat network name
+ * @param argv command line arguments
+ * @return registry entry of the token
+ */
+function getTokenFromArgs (network, argv = process.argv) {
+  const symbols = getTokenArgs(argv)
+  if (symbols.length !== 1) {
+    throw Error('Pass exactly one token with --token <symbol>, e.g. --token maUSDC')
+  }
+  return getToken(network, symbols[0])
+}
+
+/**
+ * Compares a registry entry against what ATokenRootChainManager and the aToken report
+ * @param rootChainManager ethers contract of ATokenRootChainManager
+ * @param aToken ethers contract exposing IAToken
+ * @param token registry entry
+ * @return list of mismatches, empty when the entry is correct
+ */
+async function verifyToken (rootChainManager, aToken, token) {
+  const [mappedChildToken, computedChildToken, underlying] = await Promise.all([
+    rootChainManager.rootToChildToken(token.aToken),
+    rootChainManager.childTokenAddress(token.aToken),
+    aToken.UNDERLYING_ASSET_ADDRESS()
+  ])
+  const checks = [
+    { field: 'rootToChildToken', expected: token.maToken, actual: mappedChildToken },
+    { field: 'childTokenAddress', expected: token.maToken, actual: computedChildToken },
+    { field: 'underlying', expected: token.underlying, actual: underlying }
+  ]
+  return checks.filter(({ expected, actual }) => expected.toLowerCase() !== actual.toLowerCase())
+}
+
+module.exports = {
+  registry,
+  getDeployment,
+  getToken,
+  getTokenArgs,
+  getTokenFromArgs,
+  verifyToken
+}
@@ -0,0 +1,208 @@
+const http = require('http')
+const { ethers } = require('ethers')
+const { getRevertReason } = require('./deposit-tracker')
+const { createSender } = require('./batch-exit')
+const { readDomain, verifyMetaTransaction } = require('./meta-tx')
+
+const MAX_BODY_SIZE = 64 * 1024
+
+const depositForInterface = new ethers.utils.Interface([
+  'function depositFor(address user, address rootToken, bytes depositData)'
+])
+
+// error answered to the client with its HTTP status
+class RelayError extends Error {
+  constructor (status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * Relays signed `executeMetaTransaction` calls of ATokenRootChainManager.depositFor
+ * A request is only sent once its signature matches the current `getNonce` of the user,
+ * its aToken is allowed, the user is within the rate limit and the call does not revert.
+ * A client whose requests keep failing the signature check is turned away until the rate window passes.
+ */
+class MetaTxRelayer {
+  /**
+   * @param rootChainManager ethers contract of ATokenRootChainManager connected to the relayer signer
+   * @param allowedTokens aToken addresses deposits are relayed for
+   * @param rateLimit meta transactions relayed per user within `rateWindow`
+   * @param rateWindow ms the rate limit applies to
+   * @param failureLimit failed signature checks per client within `rateWindow`
+   * @param name EIP712 domain name of the manager
+   * @param now clock in ms, for tests
+   */
+  constructor ({ rootChainManager, allowedTokens, rateLimit = 5, rateWindow = 60 * 60 * 1000, failureLimit = 10, name = 'ATokenRootChainManager', now = Date.now }) {
+    this.rootChainManager = rootChainManager
+    this.allowedTokens = allowedTokens.map(token => ethers.utils.getAddress(token))
+    this.rateLimit = rateLimit
+    this.rateWindow = rateWindow
+    this.failureLimit = failureLimit
+    this.name = name
+    this.now = now
+    this.relayed = {}
+    this.failed = {}
+    // `user:nonce` of the meta transactions sent and not mined yet
+    this.pending = new Set()
+    this.send = createSender(rootChainManager.signer)
+  }
+
+  // EIP712 domain the user signs for
+  async getDomain () {
+    if (!this.domain) {
+      this.domain = await readDomain(this.rootChainManager.address, this.rootChainManager.provider, this.name)
+    }
+    return this.domain
+  }
+
+  // times of the meta transactions relayed for a user within the rate window
+  recentRelays (user) {
+    const since = this.now() - this.rateWindow
+    this.relayed[user] = (this.relayed[user] || []).filter(time => time > since)
+    return this.relayed[user]
+  }
+
+  // times of the requests of a client that failed the signature check within the rate window
+  recentFailures (client) {
+    const since = this.now() - this.rateWindow
+    this.failed[client] = (this.failed[client] || []).filter(time => time > since)
+    return this.failed[client]
+  }
+
+  /**
+   * Checks a meta transaction and sends it
+   * @param userAddress signer of the meta transaction
+   * @param functionSignature depositFor calldata
+   * @param sigR r of the EIP712 signature
+   * @param sigS s of the EIP712 signature
+   * @param sigV v of the EIP712 signature
+   * @param client address the request came from
+   * @return hash of the executeMetaTransaction tx
+   */
+  async relay ({ userAddress, functionSignature, sigR, sigS, sigV }, client) {
+    // checked before recovering any signature, so that a client can not keep the relayer busy with bad ones
+    if (this.recentFailures(client).length >= this.failureLimit) {
+      throw new RelayError(429, `Too many failed signature checks from ${client}, try again later`)
+    }
+    if (typeof functionSignature !== 'string' || !functionSignature.startsWith(depositForInterface.getSighash('depositFor'))) {
+      throw new RelayError(400, 'Only depositFor is relayed')
+    }
+    let user
+    let rootToken
+    try {
+      user = ethers.utils.getAddress(userAddress)
+      ;({ rootToken } = depositForInterface.decodeFunctionData('depositFor', functionSignature))
+    } catch (error) {
+      throw new RelayError(400, 'Invalid userAddress or functionSignature')
+    }
+    if (user === ethers.constants.AddressZero) {
+      throw new RelayError(400, 'userAddress can not be the zero address')
+    }
+    if (!this.allowedTokens.includes(rootToken)) {
+      throw new RelayError(403, `Token ${rootToken} is not allowed`)
+    }
+    if (this.recentRelays(user).length >= this.rateLimit) {
+      throw new RelayError(429, `Rate limit of ${this.rateLimit} meta transactions reached for ${user}`)
+    }
+    // reserved before any await so that concurrent requests can not overrun the limit, released when nothing is sent
+    const time = this.now()
+    this.relayed[user].push(time)
+    try {
+      return await this.sendOnce({ userAddress: user, functionSignature, sigR, sigS, sigV })
+    } catch (error) {
+      const relays = this.relayed[user]
+      relays.splice(relays.indexOf(time), 1)
+      if (error.status === 401) {
+        this.failed[client].push(this.now())
+      }
+      throw error
+    }
+  }
+
+  // sends a checked meta transaction, unless the same nonce of the user is being relayed already
+  async sendOnce (metaTx) {
+    const { userAddress: user, functionSignature, sigR, sigS, sigV } = metaTx
+    const nonce = await this.rootChainManager.getNonce(user)
+    if (!verifyMetaTransaction(await this.getDomain(), nonce, metaTx)) {
+      throw new RelayError(401, `Signature does not match ${user} at nonce ${nonce}`)
+    }
+    const key = `${user}:${nonce}`
+    if (this.pending.has(key)) {
+      throw new RelayError(409, `A meta transaction of ${user} at nonce ${nonce} is being relayed already`)
+    }
+    this.pending.add(key)
+
+    const args = [user, functionSignature, sigR, sigS, sigV]
+    let tx
+    try {
+      await this.rootChainManager.callStatic.executeMetaTransaction(...args).catch(error => {
+        throw new RelayError(422, getRevertReason(error))
+      })
+      tx = await this.send(overrides => this.rootChainManager.executeMetaTransaction(...args, overrides))
+    } catch (error) {
+      this.pending.delete(key)
+      throw error
+    }
+    // getNonce only moves past the nonce once the tx is mined
+    tx.wait().catch(() => {}).then(() => this.pending.delete(key))
+    return tx.hash
+  }
+}
+
+// JSON body of a request, rejected when larger than MAX_BODY_SIZE
+function readJson (request) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    request.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError(413, 'Request body too large'))
+        request.destroy()
+      }
+    })
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (error) {
+        reject(new RelayError(400, 'Request body is not JSON'))
+      }
+    })
+    request.on('error', reject)
+  })
+}
+
+/**
+ * HTTP server of a relayer
+ * `POST /relay` with the `executeMetaTransaction` arguments as JSON answers `{ txHash }`,
+ * or `{ error }` with the status of the failed check
+ * @param relayer MetaTxRelayer
+ * @return http.Server, not listening yet
+ */
+function createRelayerServer (relayer) {
+  return http.createServer(async (request, response) => {
+    const respond = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(body))
+    }
+    try {
+      if (request.url !== '/relay') {
+        throw new RelayError(404, 'Not found')
+      }
+      if (request.method !== 'POST') {
+        throw new RelayError(405, 'Use POST')
+      }
+      const txHash = await relayer.relay(await readJson(request), request.socket.remoteAddress)
+      respond(200, { txHash })
+    } catch (error) {
+      respond(error.status || 500, { error: error.message })
+    }
+  })
+}
+
+module.exports = {
+  RelayError,
+  MetaTxRelayer,
+  createRelayerServer
+}
@@ -0,0 +1,82 @@
+const fs = require('fs')
+
+/**
+ * Batch of transactions in the JSON format of the Gnosis Safe transaction builder
+ * Admin operations are recorded here instead of being sent once ownership
+ * has moved to the multisig, the file is then loaded in the Safe app
+ */
+class SafeBatch {
+  constructor ({ chainId, name = 'aToken bridge admin', description = '', transactions = [] }) {
+    this.chainId = chainId.toString()
+    this.name = name
+    this.description = description
+    this.createdAt = Date.now()
+    this.transactions = transactions
+  }
+
+  /**
+   * Opens an existing batch file to append to it, or starts a new batch
+   * @param file path of the batch file
+   * @param chainId chain the transactions are meant for
+   */
+  static load (file, chainId) {
+    if (!fs.existsSync(file)) {
+      return new SafeBatch({ chainId })
+    }
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (json.chainId !== chainId.toString()) {
+      throw Error(`Batch file ${file} is for chain ${json.chainId}, not ${chainId}`)
+    }
+    return new SafeBatch({
+      chainId,
+      name: json.meta.name,
+      description: json.meta.description,
+      transactions: json.transactions
+    })
+  }
+
+  /**
+   * Records a contract call
+   * @param contract ethers contract the call is made on
+   * @param method function name
+   * @param args function arguments
+   * @return the recorded transaction
+   */
+  add (contract, method, args = []) {
+    return this.addTransaction({
+      to: contract.address,
+      data: contract.interface.encodeFunctionData(method, args)
+    })
+  }
+
+  addTransaction ({ to, value = '0', data }) {
+    const transaction = {
+      to,
+      value: value.toString(),
+      data,
+      contractMethod: null,
+      contractInputsValues: null
+    }
+    this.transactions.push(transaction)
+    return transaction
+  }
+
+  toJSON () {
+    return {
+      version: '1.0',
+      chainId: this.chainId,
+      createdAt: this.createdAt,
+      meta: {
+        name: this.name,
+        description: this.description
+      },
+      transactions: this.transactions
+    }
+  }
+
+  write (file) {
+    fs.writeFileSync(file, JSON.stringify(this, null, 2) + '\n')
+  }
+}
+
+module.exports = SafeBatch
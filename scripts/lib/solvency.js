@@ -0,0 +1,88 @@
+const { ethers } = require('ethers')
+
+const erc20Abi = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function totalSupply() view returns (uint256)'
+]
+
+/**
+ * Reconciles the aTokens locked in ATokenRootChainManager against the maTokens in circulation
+ * The locked aTokens are converted to maTokens at the current liquidity index, what is left
+ * after covering the maToken supply is the surplus, a negative surplus is a deficit
+ * @param rootChainManager ethers contract of ATokenRootChainManager
+ * @param childProvider ethers provider of the child chain
+ * @param tokens registry entries with symbol, decimals and aToken
+ * @param tolerance deficit in token units (e.g. 0.01) below which a token still counts as solvent
+ * @return per token report, `solvent` is false when a deficit exceeds the tolerance
+ */
+async function checkSolvency ({ rootChainManager, childProvider, tokens, tolerance = '0' }) {
+  const checkToken = async ({ symbol, decimals, aToken }) => {
+    const childToken = await rootChainManager.rootToChildToken(aToken)
+    if (childToken === ethers.constants.AddressZero) {
+      return { symbol, rootToken: aToken, childToken, mapped: false }
+    }
+    const rootToken = new ethers.Contract(aToken, erc20Abi, rootChainManager.provider)
+    const maToken = new ethers.Contract(childToken, erc20Abi, childProvider)
+    const [locked, maTokenSupply] = await Promise.all([
+      rootToken.balanceOf(rootChainManager.address),
+      maToken.totalSupply()
+    ])
+    const lockedMATokenValue = await rootChainManager.getMATokenValue(aToken, locked)
+    const surplus = lockedMATokenValue.sub(maTokenSupply)
+    return {
+      symbol,
+      decimals,
+      rootToken: aToken,
+      childToken,
+      mapped: true,
+      locked: locked.toString(),
+      lockedMATokenValue: lockedMATokenValue.toString(),
+      maTokenSupply: maTokenSupply.toString(),
+      surplus: surplus.toString(),
+      solvent: surplus.add(ethers.utils.parseUnits(tolerance, decimals)).gte(0)
+    }
+  }
+
+  const report = []
+  for (const token of tokens) {
+    report.push(await checkToken(token))
+  }
+  const checked = report.filter(t => t.mapped)
+  return {
+    tolerance,
+    solvent: checked.every(t => t.solvent),
+    tokens: checked,
+    unmapped: report.filter(t => !t.mapped).map(t => t.symbol)
+  }
+}
+
+/**
+ * Formats a solvency report as a plain text table, values in token units
+ * @param result return value of checkSolvency
+ * @return table lines joined with newlines
+ */
+function formatSolvencyTable ({ tokens, unmapped, tolerance }) {
+  const header = ['token', 'locked aToken', 'locked as maToken', 'maToken supply', 'surplus/deficit', 'status']
+  const rows = tokens.map(t => [
+    t.symbol,
+    ethers.utils.formatUnits(t.locked, t.decimals),
+    ethers.utils.formatUnits(t.lockedMATokenValue, t.decimals),
+    ethers.utils.formatUnits(t.maTokenSupply, t.decimals),
+    ethers.utils.formatUnits(t.surplus, t.decimals),
+    t.solvent ? 'ok' : 'DEFICIT'
+  ])
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)))
+  const line = row => row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ')
+
+  const lines = [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)]
+  lines.push('', `tolerance ${tolerance} token units`)
+  if (unmapped.length) {
+    lines.push(`not mapped: ${unmapped.join(', ')}`)
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  checkSolvency,
+  formatSolvencyTable
+}
@@ -0,0 +1,106 @@
+const { ethers } = require('ethers')
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+const STATE_SYNCED_EVENT_SIG = ethers.utils.id('StateSynced(uint256,address,bytes)')
+// StateReceiver genesis contract bor calls onStateReceive from
+const SYSTEM_ADDRESS = '0x0000000000000000000000000000000000001001'
+const SEND_METHODS = ['eth_sendTransaction', 'eth_sendRawTransaction']
+
+const stateReceiverInterface = new ethers.utils.Interface([
+  'function onStateReceive(uint256 stateId, bytes data)'
+])
+
+/**
+ * Simulates the bor state sync of test chains by forwarding `StateSynced` events of the root chain
+ * to `onStateReceive` of their receiver on child chain.
+ * A state sync the receiver rejects from the relayer account is skipped instead of sent, like bor
+ * leaves it uncommitted, so receivers trusting another account keep being synced by hand.
+ */
+class StateSyncRelayer {
+  /**
+   * @param rootProvider ethers provider of the root chain
+   * @param childProvider ethers JSON-RPC provider of the child chain, `from` has to be unlocked or impersonated
+   * @param from account calling onStateReceive, the system address by default
+   */
+  constructor ({ rootProvider, childProvider, from = SYSTEM_ADDRESS }) {
+    this.rootProvider = rootProvider
+    this.childProvider = childProvider
+    this.from = ethers.utils.getAddress(from)
+    this.signer = childProvider.getSigner(this.from)
+    this.relays = []
+  }
+
+  /**
+   * Forwards the state syncs of a root transaction
+   * @param receipt ethers receipt of the root transaction
+   * @return { stateId, receiver, success, transactionHash } per StateSynced log, with the revert reason when skipped
+   */
+  async relayReceipt (receipt) {
+    const relays = []
+    for (const log of receipt.logs.filter(log => log.topics[0] === STATE_SYNCED_EVENT_SIG)) {
+      const stateId = ethers.BigNumber.from(log.topics[1]).toString()
+      const [receiver] = abi.decode(['address'], log.topics[2])
+      const [syncData] = abi.decode(['bytes'], log.data)
+      const tx = {
+        from: this.from,
+        to: receiver,
+        data: stateReceiverInterface.encodeFunctionData('onStateReceive', [stateId, syncData]),
+        gasPrice: 0
+      }
+      const relay = { stateId, receiver, success: false, transactionHash: null }
+      try {
+        await this.childProvider.call(tx)
+      } catch (err) {
+        relay.reason = err.message
+        relays.push(relay)
+        continue
+      }
+      const { hash } = await this.signer.sendTransaction(tx)
+      const { status } = await this.childProvider.waitForTransaction(hash)
+      relay.success = status === 1
+      relay.transactionHash = hash
+      relays.push(relay)
+    }
+    this.relays.push(...relays)
+    return relays
+  }
+
+  /**
+   * Forwards the state syncs of a root transaction
+   * @param hash hash of the mined root transaction
+   */
+  async relayTransaction (hash) {
+    const receipt = await this.rootProvider.getTransactionReceipt(hash)
+    if (!receipt) {
+      throw Error(`Transaction ${hash} is not mined on root chain`)
+    }
+    return this.relayReceipt(receipt)
+  }
+
+  /**
+   * Wraps an EIP-1193 provider of an automining root chain so each sent transaction has its
+   * state syncs relayed before its hash is answered
+   * @param provider EIP-1193 provider of the root chain
+   */
+  wrap (provider) {
+    const relayer = this
+    return {
+      async request (args) {
+        const result = await provider.request(args)
+        if (SEND_METHODS.includes(args.method)) {
+          await relayer.relayTransaction(result)
+        }
+        return result
+      },
+      addListener: (event, listener) => provider.addListener(event, listener),
+      removeListener: (event, listener) => provider.removeListener(event, listener)
+    }
+  }
+}
+
+module.exports = {
+  SYSTEM_ADDRESS,
+  STATE_SYNCED_EVENT_SIG,
+  StateSyncRelayer
+}
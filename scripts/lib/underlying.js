@@ -0,0 +1,47 @@
+const { ethers } = require('ethers')
+
+const aTokenAbi = [
+  'function UNDERLYING_ASSET_ADDRESS() view returns (address)'
+]
+const erc20Abi = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
+
+/**
+ * Underlying asset of an aToken as an ethers contract
+ * @param aToken address of the aToken
+ * @param signerOrProvider ethers signer or provider of the root chain
+ */
+async function getUnderlying (aToken, signerOrProvider) {
+  const token = new ethers.Contract(aToken, aTokenAbi, signerOrProvider)
+  return new ethers.Contract(await token.UNDERLYING_ASSET_ADDRESS(), erc20Abi, signerOrProvider)
+}
+
+/**
+ * Supplies the underlying asset of an aToken to Aave and bridges the aTokens with depositUnderlyingFor,
+ * approving the root manager for the underlying asset first when needed
+ * @param rootChainManager ethers contract of ATokenRootChainManager connected to the depositor
+ * @param aToken address of the mapped aToken
+ * @param user receiver of the maTokens on child chain
+ * @param amount amount of the underlying asset
+ * @return the approve transaction, null when the allowance was enough, and the deposit transaction
+ */
+async function depositUnderlying ({ rootChainManager, aToken, user, amount }) {
+  const underlying = await getUnderlying(aToken, rootChainManager.signer)
+  const depositor = await rootChainManager.signer.getAddress()
+  let approveTx = null
+  const allowance = await underlying.allowance(depositor, rootChainManager.address)
+  if (allowance.lt(amount)) {
+    approveTx = await underlying.approve(rootChainManager.address, amount)
+    await approveTx.wait()
+  }
+  const tx = await rootChainManager.depositUnderlyingFor(user, aToken, amount)
+  return { underlying: underlying.address, approveTx, tx }
+}
+
+module.exports = {
+  getUnderlying,
+  depositUnderlying
+}
@@ -0,0 +1,66 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const MOCK_RESPONSES_DIR = path.join(__dirname, '../test/mockResponses')
+
+/**
+ * Block with all its transactions and their receipts, as returned by the node
+ * @param {ethers.providers.JsonRpcProvider} provider JSON-RPC provider of the chain
+ * @param {number} blockNumber recorded block
+ * @return {Promise<{block: Object, receipts: Object[]}>}
+ */
+async function recordBlock (provider, blockNumber) {
+  const block = await provider.send('eth_getBlockByNumber', [ethers.utils.hexValue(blockNumber), true])
+  if (!block) {
+    throw Error(`Block ${blockNumber} not found`)
+  }
+  const receipts = []
+  for (const tx of block.transactions) {
+    receipts.push(await provider.send('eth_getTransactionReceipt', [tx.hash]))
+  }
+  return { block, receipts }
+}
+
+/**
+ * Writes a recorded block to test/mockResponses/<name>-block.json and <name>-receipt-list.json
+ * @param {string} name prefix of the fixture files
+ * @param {{block: Object, receipts: Object[]}} recorded block and receipts
+ * @return {string[]} paths of the written files
+ */
+function writeFixture (name, { block, receipts }) {
+  const files = [
+    [path.join(MOCK_RESPONSES_DIR, `${name}-block.json`), block],
+    [path.join(MOCK_RESPONSES_DIR, `${name}-receipt-list.json`), receipts]
+  ]
+  for (const [file, content] of files) {
+    fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n')
+  }
+  return files.map(([file]) => file)
+}
+
+async function main () {
+  const [url, blockNumber, name] = process.argv.slice(2)
+  if (!url || !blockNumber || !name) {
+    throw Error('Usage: node scripts/record-block-fixture.js <rpcUrl> <blockNumber> <name>')
+  }
+  const provider = new ethers.providers.JsonRpcProvider(url)
+  const recorded = await recordBlock(provider, parseInt(blockNumber))
+  for (const file of writeFixture(name, recorded)) {
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`)
+  }
+}
+
+module.exports = {
+  recordBlock,
+  writeFixture
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error)
+      process.exit(1)
+    })
+}
@@ -0,0 +1,19 @@
+// hardhat network of a test chain started by scripts/test-chains.js, TEST_CHAIN_ID selects the chain
+const { ethers } = require('ethers')
+const packageJSON = require('../package.json')
+
+module.exports = {
+  networks: {
+    hardhat: {
+      hardfork: 'istanbul',
+      chainId: Number(process.env.TEST_CHAIN_ID || 31337),
+      blockGasLimit: 20000000,
+      gasPrice: 0,
+      accounts: {
+        mnemonic: packageJSON.config.mnemonics,
+        count: 10,
+        accountsBalance: ethers.utils.parseEther('10000').toString()
+      }
+    }
+  }
+}
@@ -0,0 +1,231 @@
+// Boots the root and child test chains as `hardhat node` processes, with a state sync relayer between them,
+// and runs `truffle test` against them, replacing ganache and the bor docker image
+// Usage: node scripts/test-chains.js [truffle test args]
+const http = require('http')
+const path = require('path')
+const { spawn } = require('child_process')
+const { ethers } = require('ethers')
+const { SYSTEM_ADDRESS, StateSyncRelayer } = require('./lib/state-sync-relayer')
+
+// `port` serves the chain to the tests, `nodePort` is the hardhat node behind it
+const ROOT_CHAIN = { chainId: 1, port: 9545, nodePort: 9546 }
+const CHILD_CHAIN = { chainId: 15001, port: 8545, nodePort: 8546 }
+const MINING_METHODS = ['eth_sendTransaction', 'eth_sendRawTransaction', 'evm_mine']
+const NODE_CONFIG = path.join(__dirname, 'test-chains.config.js')
+const NODE_START_TIMEOUT = 60 * 1000
+
+// CLI declared in the `bin` of the installed hardhat package
+const hardhatPackage = require('hardhat/package.json')
+const HARDHAT_CLI = path.join(path.dirname(require.resolve('hardhat/package.json')), hardhatPackage.bin.hardhat)
+
+/**
+ * EIP-1193 provider of a JSON-RPC endpoint, errors keep the code, message and data answered by the node
+ * @param url endpoint of the node
+ */
+function createHttpProvider (url) {
+  let id = 0
+  return {
+    request ({ method, params = [] }) {
+      const body = JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params })
+      return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, res => {
+          let data = ''
+          res.on('data', chunk => { data += chunk })
+          res.on('end', () => {
+            let response
+            try {
+              response = JSON.parse(data)
+            } catch (err) {
+              return reject(Error(`Invalid JSON-RPC response to ${method}: ${data}`))
+            }
+            if (response.error) {
+              return reject(Object.assign(Error(response.error.message), { code: response.error.code, data: response.error.data }))
+            }
+            resolve(response.result)
+          })
+        })
+        req.on('error', reject)
+        req.end(body)
+      })
+    }
+  }
+}
+
+/**
+ * Starts a `hardhat node` of a test chain, with the accounts of the package mnemonic
+ * @param chainId chain id of the network
+ * @param port port the node listens on
+ * @return the node process and its EIP-1193 provider, once the node answers
+ */
+async function createChain (chainId, port) {
+  const node = spawn(process.execPath, [HARDHAT_CLI, '--config', NODE_CONFIG, 'node', '--port', String(port)], {
+    env: Object.assign({}, process.env, { TEST_CHAIN_ID: String(chainId) }),
+    stdio: ['ignore', 'ignore', 'inherit']
+  })
+  // a node never outlives the process that started it
+  process.on('exit', () => node.kill())
+  const exited = new Promise((resolve, reject) => node.on('exit', code => reject(Error(`hardhat node of chain ${chainId} exited with ${code}`))))
+  const provider = createHttpProvider(`http://localhost:${port}`)
+
+  const started = Date.now()
+  while (true) {
+    try {
+      await Promise.race([provider.request({ method: 'eth_chainId' }), exited])
+      return { node, provider }
+    } catch (err) {
+      if (err.code !== 'ECONNREFUSED' || Date.now() - started > NODE_START_TIMEOUT) {
+        node.kill()
+        throw err
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 200))
+  }
+}
+
+// timestamp of the latest block of a chain
+async function latestTimestamp (provider) {
+  const block = await provider.request({ method: 'eth_getBlockByNumber', params: ['latest', false] })
+  return parseInt(block.timestamp)
+}
+
+/**
+ * Wraps the provider of a chain so each block it mines is at least as late as the latest block of the other chain,
+ * hardhat runs the clock of a chain ahead once it mines more than a block per second,
+ * which would otherwise order the events of both chains by how busy they are
+ * @param provider EIP-1193 provider of the chain
+ * @param other EIP-1193 provider of the other chain
+ */
+function keepInStep (provider, other) {
+  // blocks are mined one at a time, so no block is mined between reading the timestamps and setting the next one
+  let mining = Promise.resolve()
+  const mine = async (args) => {
+    const [timestamp, otherTimestamp] = await Promise.all([latestTimestamp(provider), latestTimestamp(other)])
+    if (otherTimestamp > timestamp) {
+      await provider.request({ method: 'evm_setNextBlockTimestamp', params: [otherTimestamp] })
+    }
+    return provider.request(args)
+  }
+  return {
+    request (args) {
+      if (!MINING_METHODS.includes(args.method)) {
+        return provider.request(args)
+      }
+      const mined = mining.then(() => mine(args))
+      mining = mined.catch(() => {})
+      return mined
+    }
+  }
+}
+
+// answers a JSON-RPC call or batch with a provider
+async function answer (provider, payload) {
+  if (Array.isArray(payload)) {
+    const responses = []
+    for (const call of payload) {
+      responses.push(await answer(provider, call))
+    }
+    return responses
+  }
+  const { id, method, params } = payload
+  try {
+    return { jsonrpc: '2.0', id, result: await provider.request({ method, params }) }
+  } catch (err) {
+    return { jsonrpc: '2.0', id, error: { code: typeof err.code === 'number' ? err.code : -32603, message: err.message, data: err.data } }
+  }
+}
+
+// serves a provider over JSON-RPC, resolves once it listens to `close`, which also drops kept alive connections
+async function serve (provider, port) {
+  const sockets = new Set()
+  const server = http.createServer((request, response) => {
+    let body = ''
+    request.on('data', chunk => { body += chunk })
+    request.on('end', async () => {
+      let result
+      try {
+        result = await answer(provider, JSON.parse(body))
+      } catch (err) {
+        result = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }
+      }
+      response.writeHead(200, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(result))
+    })
+  })
+  server.on('connection', socket => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+  })
+  await new Promise(resolve => server.listen(port, resolve))
+  return {
+    close: () => new Promise(resolve => {
+      server.close(resolve)
+      sockets.forEach(socket => socket.destroy())
+    })
+  }
+}
+
+/**
+ * Starts the root and child chains, each sent root transaction has its state syncs relayed
+ * to the child chain from the system address before it is answered
+ * @param rootPort port of the root chain
+ * @param childPort port of the child chain
+ * @return the providers, the relayer and `close` stopping both servers and nodes
+ */
+async function startChains ({ rootPort = ROOT_CHAIN.port, childPort = CHILD_CHAIN.port } = {}) {
+  const root = await createChain(ROOT_CHAIN.chainId, ROOT_CHAIN.nodePort)
+  let child
+  try {
+    child = await createChain(CHILD_CHAIN.chainId, CHILD_CHAIN.nodePort)
+  } catch (err) {
+    root.node.kill()
+    throw err
+  }
+  const rootChain = root.provider
+  const childChain = child.provider
+  await childChain.request({ method: 'hardhat_impersonateAccount', params: [SYSTEM_ADDRESS] })
+  const steppedRootChain = keepInStep(rootChain, childChain)
+  const steppedChildChain = keepInStep(childChain, rootChain)
+
+  const relayer = new StateSyncRelayer({
+    rootProvider: new ethers.providers.Web3Provider(rootChain),
+    childProvider: new ethers.providers.Web3Provider(steppedChildChain)
+  })
+  const servers = [
+    await serve(relayer.wrap(steppedRootChain), rootPort),
+    await serve(steppedChildChain, childPort)
+  ]
+
+  return {
+    rootChain,
+    childChain,
+    relayer,
+    // the nodes are stopped first, callers may exit without waiting for the servers to close
+    close: () => {
+      root.node.kill()
+      child.node.kill()
+      return Promise.all(servers.map(server => server.close()))
+    }
+  }
+}
+
+async function main () {
+  const chains = await startChains()
+  const truffle = spawn('npx', ['truffle', 'test', ...process.argv.slice(2)], { stdio: 'inherit' })
+  truffle.on('exit', async code => {
+    await chains.close()
+    process.exit(code)
+  })
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  ROOT_CHAIN,
+  CHILD_CHAIN,
+  startChains
+}
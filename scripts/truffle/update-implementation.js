@@ -1,7 +1,11 @@
 const contractAddresses = require('../contractAddresses.json')
+const SafeBatch = require('../lib/safe-batch')
 
 const RootChainManagerProxy = artifacts.require('RootChainManagerProxy')
 
+// with DRY_RUN=1 the call is written to safe-batch-<network>.json instead of being sent, as the proxy owner may be the multisig
+const dryRun = process.env.DRY_RUN === '1'
+
 async function updateImplementation(address) {
   const rootChainManager = await RootChainManagerProxy.at(
     contractAddresses.root.RootChainManagerProxy
@@ -12,6 +16,18 @@ async function updateImplementation(address) {
 
   const data = rootChainManager.contract.methods.updateImplementation(address).encodeABI()
   console.log("ChildChainManagerProxy updateImplementation ABI encoded data:", data)
+
+  if (dryRun) {
+    const network = process.argv[process.argv.indexOf('--network') + 1]
+    const batchFile = `safe-batch-${network}.json`
+    const batch = SafeBatch.load(batchFile, await web3.eth.getChainId())
+    batch.addTransaction({ to: rootChainManager.address, data })
+    batch.write(batchFile)
+    console.log('Wrote batch file:', batchFile)
+    return
+  }
+  const tx = await rootChainManager.updateImplementation(address)
+  console.log('ChildChainManagerProxy implementation updated:', tx.tx)
 }
 
 module.exports = async function(callback) {
@@ -0,0 +1,40 @@
+const { ethers, network } = require('hardhat')
+const { getDeployment, getToken, getTokenArgs, verifyToken } = require('./lib/registry')
+
+async function main () {
+  const { rootChainManager: rootChainManagerAddress, tokens, isChild } = getDeployment(network.name)
+  if (isChild) {
+    throw Error(`Run against the root network of ${network.name}`)
+  }
+
+  const symbols = getTokenArgs()
+  const entries = symbols.length ? symbols.map(symbol => getToken(network.name, symbol)) : tokens
+
+  const rootChainManager = await ethers.getContractAt('ATokenRootChainManager', rootChainManagerAddress)
+  let failed = 0
+  for (const token of entries) {
+    const aToken = await ethers.getContractAt('contracts/root/RootChainManager/ATokenRootChainManager.sol:IAToken', token.aToken)
+    const mismatches = await verifyToken(rootChainManager, aToken, token)
+    if (mismatches.length) {
+      failed++
+      for (const { field, expected, actual } of mismatches) {
+        console.log(`${token.symbol}: ${field} is ${actual}, registry has ${expected}`)
+      }
+    } else {
+      console.log(`${token.symbol}: ok`)
+    }
+  }
+
+  if (failed) {
+    throw Error(`${failed} of ${entries.length} registry entries do not match ${network.name}`)
+  }
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error)
+    process.exit(1)
+  })
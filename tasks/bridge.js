@@ -0,0 +1,176 @@
+const { task } = require('hardhat/config')
+const bridge = require('../scripts/lib/bridge')
+const SafeBatch = require('../scripts/lib/safe-batch')
+const { formatSolvencyTable } = require('../scripts/lib/solvency')
+
+const TOKEN = 'maToken, aToken or underlying symbol from scripts/registry.json'
+
+// every bridge task prints its result as JSON
+const printResult = (operation) => async (args, hre) => {
+  const result = await operation(hre, args)
+  console.log(JSON.stringify(result, null, 2))
+}
+
+// admin tasks can be recorded with --dry-run into a Gnosis Safe transaction builder
+// file instead of being sent, for when the manager is owned by the multisig
+const adminTask = (name, description) => task(name, description)
+  .addFlag('dryRun', 'Write the calldata to the batch file instead of sending')
+  .addOptionalParam('batchFile', 'Batch file the dry run appends to, defaults to safe-batch-<network>.json')
+
+const printAdminResult = (operation) => async (args, hre) => {
+  if (!args.dryRun) {
+    return printResult(operation)(args, hre)
+  }
+  const batchFile = args.batchFile || `safe-batch-${hre.network.name}.json`
+  const { chainId } = await hre.ethers.provider.getNetwork()
+  const batch = SafeBatch.load(batchFile, chainId)
+  const result = await operation(hre, Object.assign({}, args, { batch }))
+  batch.write(batchFile)
+  console.log(JSON.stringify(Object.assign(result, { batchFile }), null, 2))
+}
+
+adminTask('map', 'Maps an aToken on ATokenRootChainManager')
+  .addParam('token', TOKEN)
+  .setAction(printAdminResult(bridge.map))
+
+adminTask('remap', 'Remaps an already mapped aToken to its current child token address')
+  .addParam('token', TOKEN)
+  .setAction(printAdminResult(bridge.remap))
+
+task('deposit', 'Deposits aTokens to receive maTokens on Matic')
+  .addParam('token', TOKEN)
+  .addParam('amount', 'aToken amount in token units, or "all" for the whole balance')
+  .addOptionalParam('recipient', 'Receiver of the maTokens, defaults to the sender')
+  .addFlag('permit', 'Sign a permit sent with the deposit instead of approving, for aTokens implementing permit')
+  .setAction(printResult(bridge.deposit))
+
+task('deposit-underlying', 'Supplies the underlying asset to Aave and deposits the aTokens received in one transaction')
+  .addParam('token', TOKEN)
+  .addParam('amount', 'Underlying amount in token units, or "all" for the whole balance')
+  .addOptionalParam('recipient', 'Receiver of the maTokens, defaults to the sender')
+  .setAction(printResult(bridge.depositUnderlying))
+
+task('preview-deposit', 'Previews the allowance, maTokens and state sync of a deposit without sending it')
+  .addParam('token', TOKEN)
+  .addParam('amount', 'aToken amount in token units, or "all" for the whole balance')
+  .addOptionalParam('depositor', 'Account depositing, defaults to the sender')
+  .addOptionalParam('recipient', 'Receiver of the maTokens, defaults to the depositor')
+  .setAction(printResult(bridge.previewDeposit))
+
+task('exit', 'Exits a maToken burn, releasing aTokens on the root chain')
+  .addParam('burnTx', 'Hash of the maToken withdraw transaction on Matic')
+  .addFlag('underlying', 'Withdraw the aTokens from Aave and receive the underlying asset, the sender has to be the burner')
+  .setAction(printResult(bridge.exit))
+
+task('exit-status', 'Tells whether a maToken burn is waiting for a checkpoint, ready to exit or exited')
+  .addParam('burnTx', 'Hash of the maToken burn tx on Matic')
+  .setAction(printResult(bridge.exitStatus))
+
+task('exit-batch', 'Exits the maToken burns listed in a file and writes the results to a CSV')
+  .addParam('file', 'File with one burn tx hash per line, or a CSV with the hashes in its first column')
+  .addOptionalParam('out', 'Result CSV, defaults to exit-results-<network>.csv')
+  .addOptionalParam('concurrency', 'Burns processed at the same time', '4')
+  .addOptionalParam('retries', 'Retries of an exit failing on the network, a timeout or the nonce', '3')
+  .addOptionalParam('backoff', 'Seconds before the first retry, doubling on each retry', '5')
+  .setAction(async (args, hre) => {
+    const result = await bridge.exitBatch(hre, args)
+    console.log(JSON.stringify(result, null, 2))
+    if (result.counts.failed) {
+      process.exitCode = 1
+    }
+  })
+
+task('preview-withdraw', 'Previews the aTokens an exit pays out for a burn or an amount of maToken')
+  .addOptionalParam('burnTx', 'Hash of the maToken withdraw transaction on Matic')
+  .addOptionalParam('token', TOKEN)
+  .addOptionalParam('amount', 'maToken amount in token units, instead of a burn')
+  .setAction(printResult(bridge.previewWithdraw))
+
+task('convert', 'Converts between aToken and maToken values at the current liquidity index')
+  .addParam('token', TOKEN)
+  .addParam('amount', 'Value in token units')
+  .addOptionalParam('from', 'Unit of the amount, aToken or maToken', 'aToken')
+  .setAction(printResult(bridge.convert))
+
+task('status', 'Prints the manager configuration and token mappings of the network')
+  .addOptionalParam('token', TOKEN)
+  .addOptionalParam('account', 'Also print the token balance of this account')
+  .setAction(printResult(bridge.status))
+
+// exits non zero when a deficit exceeds the tolerance, so it can run as a monitoring check
+task('solvency', 'Reconciles locked aTokens against the maToken supply on Matic')
+  .addOptionalParam('token', TOKEN)
+  .addOptionalParam('tolerance', 'Deficit in token units still reported as solvent', '0')
+  .addFlag('json', 'Print the report as JSON instead of a table')
+  .setAction(async (args, hre) => {
+    const result = await bridge.solvency(hre, args)
+    console.log(args.json ? JSON.stringify(result, null, 2) : formatSolvencyTable(result))
+    if (!result.solvent) {
+      process.exitCode = 1
+    }
+  })
+
+task('audit-mapping', 'Compares the token mappings of the root and child managers')
+  .addOptionalParam('rootFromBlock', 'First root block to read TokenMapped events from', '0')
+  .addOptionalParam('childFromBlock', 'First child block to read TokenMapped events from', '0')
+  .setAction(async (args, hre) => {
+    const result = await bridge.auditMapping(hre, args)
+    console.log(JSON.stringify(result, null, 2))
+    if (result.issues.length) {
+      process.exitCode = 1
+    }
+  })
+
+task('track-deposit', 'Follows a deposit to its state sync and maToken mint on Matic')
+  .addParam('depositTx', 'Hash of the root deposit tx')
+  .addOptionalParam('childFromBlock', 'First child block to look for the StateCommitted log from', '0')
+  .setAction(async (args, hre) => {
+    const result = await bridge.trackDeposit(hre, args)
+    console.log(JSON.stringify(result, null, 2))
+    if (result.syncs.some(sync => sync.status === 'failed' || sync.expectedFailure)) {
+      process.exitCode = 1
+    }
+  })
+
+task('relayer', 'Serves an HTTP relayer for depositFor meta transactions of ATokenRootChainManager')
+  .addOptionalParam('port', 'Port to listen on', '8080')
+  .addOptionalParam('token', 'Comma separated tokens deposits are relayed for, defaults to all registered tokens')
+  .addOptionalParam('rateLimit', 'Meta transactions relayed per user within the rate window', '5')
+  .addOptionalParam('rateWindow', 'Seconds the rate limit applies to', '3600')
+  .addOptionalParam('failureLimit', 'Failed signature checks per client within the rate window', '10')
+  .setAction((args, hre) => bridge.relayer(hre, args))
+
+task('index', 'Indexes bridge events of both chains into a SQLite database')
+  .addOptionalParam('db', 'Database file, defaults to bridge-index-<network>.sqlite')
+  .addOptionalParam('rootFromBlock', 'First root block to index when the database is new', '0')
+  .addOptionalParam('childFromBlock', 'First child block to index when the database is new', '0')
+  .addFlag('follow', 'Keep indexing new blocks')
+  .addOptionalParam('interval', 'Seconds between polls with --follow', '15')
+  .setAction(printResult(bridge.index))
+
+adminTask('set-owner', 'Sets the owner of the manager of the network')
+  .addParam('owner', 'New owner')
+  .addFlag('proxy', 'Also transfer ownership of the manager proxy')
+  .setAction(printAdminResult(bridge.setOwner))
+
+adminTask('set-mapper', 'Sets the mapper of ATokenRootChainManager')
+  .addParam('mapper', 'New mapper')
+  .setAction(printAdminResult(bridge.setMapper))
+
+adminTask('set-guardian', 'Sets the guardian of ATokenRootChainManager, who can pause and unpause along with the owner')
+  .addParam('guardian', 'New guardian, the zero address to remove it')
+  .setAction(printAdminResult(bridge.setGuardian))
+
+adminTask('pause', 'Pauses deposits, exits or mappings of ATokenRootChainManager, or deposits and exits of a single token')
+  .addParam('target', 'What to pause: deposits, exits, mappings or token')
+  .addOptionalParam('token', 'Token to pause with the token target')
+  .addFlag('unpause', 'Unpause instead')
+  .setAction(printAdminResult(bridge.pause))
+
+adminTask('set-child-token-implementation', 'Sets the UChildERC20 implementation of ATokenChildChainManager')
+  .addParam('implementation', 'Deployed UChildERC20')
+  .setAction(printAdminResult(bridge.setChildTokenImplementation))
+
+adminTask('upgrade', 'Updates the implementation behind the manager proxy of the network')
+  .addOptionalParam('implementation', 'Deployed implementation, a new one is deployed when omitted')
+  .setAction(printAdminResult(bridge.upgrade))
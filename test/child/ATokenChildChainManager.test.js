@@ -0,0 +1,241 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+
+import * as deployer from '../helpers/deployer'
+import contracts from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+
+// Enable and inject BN dependency
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const should = chai.should()
+const { defaultAbiCoder: abi } = ethers.utils
+
+const DEPOSIT = ethers.utils.id('DEPOSIT')
+const MAP_TOKEN = ethers.utils.id('MAP_TOKEN')
+
+const mapTokenData = (rootToken, name = 'Matic Aave interest bearing DERC20', symbol = 'maDERC20', decimals = 18) =>
+  abi.encode(['bytes32', 'bytes'], [
+    MAP_TOKEN,
+    abi.encode(['address', 'string', 'string', 'uint8'], [rootToken, name, symbol, decimals])
+  ])
+
+const depositData = (user, rootToken, amount) =>
+  abi.encode(['bytes32', 'bytes'], [
+    DEPOSIT,
+    abi.encode(['address', 'address', 'bytes'], [user, rootToken, abi.encode(['uint256'], [amount.toString()])])
+  ])
+
+contract('ATokenChildChainManager', async(accounts) => {
+  describe('Set values', async() => {
+    let childChainManager
+    let childTokenImplementation
+
+    before(async() => {
+      ({ childChainManager, childTokenImplementation } = await deployer.deployFreshATokenChildContracts(accounts))
+    })
+
+    it('Should be initialized', async() => {
+      const owner = await childChainManager.owner()
+      owner.should.equal(accounts[0])
+      const stateReceiver = await childChainManager.stateReceiver()
+      stateReceiver.should.equal(accounts[0])
+      const implementation = await childChainManager.childTokenImplementation()
+      implementation.should.equal(childTokenImplementation.address)
+    })
+
+    it('Should revert while initializing again', async() => {
+      await expectRevert(
+        childChainManager.initialize(accounts[1], accounts[1], mockValues.addresses[0]),
+        'already inited'
+      )
+    })
+
+    it('Should revert while setting values from non owner account', async() => {
+      await expectRevert(
+        childChainManager.setChildTokenImplementation(mockValues.addresses[0], { from: accounts[4] }),
+        'Is not owner'
+      )
+      await expectRevert(
+        childChainManager.setStateReceiver(accounts[4], { from: accounts[4] }),
+        'Is not owner'
+      )
+    })
+
+    it('Can set childTokenImplementation', async() => {
+      await childChainManager.setChildTokenImplementation(mockValues.addresses[0])
+      const implementation = await childChainManager.childTokenImplementation()
+      implementation.should.equal(mockValues.addresses[0])
+    })
+
+    it('Can set stateReceiver', async() => {
+      const setTx = await childChainManager.setStateReceiver(accounts[1])
+      const setLog = setTx.logs.find(l => l.event === 'SetStateReceiver')
+      setLog.args._previousStateReceiver.should.equal(accounts[0])
+      setLog.args._newStateReceiver.should.equal(accounts[1])
+    })
+
+    it('Can set owner', async() => {
+      await childChainManager.setOwner(accounts[1])
+      const owner = await childChainManager.owner()
+      owner.should.equal(accounts[1])
+    })
+  })
+
+  describe('Map token', async() => {
+    const rootToken = mockValues.addresses[3]
+    let childChainManager
+    let childTokenImplementation
+    let mapTx
+    let childToken
+
+    before(async() => {
+      ({ childChainManager, childTokenImplementation } = await deployer.deployFreshATokenChildContracts(accounts))
+    })
+
+    it('Should revert when not called by state receiver', async() => {
+      await expectRevert(
+        childChainManager.onStateReceive(1, mapTokenData(rootToken), { from: accounts[4] }),
+        'Is not state receiver'
+      )
+    })
+
+    it('State receiver should be able to map token', async() => {
+      mapTx = await childChainManager.onStateReceive(1, mapTokenData(rootToken))
+      should.exist(mapTx)
+      childToken = await childChainManager.rootToChildToken(rootToken)
+      const mappedRootToken = await childChainManager.childToRootToken(childToken)
+      mappedRootToken.should.equal(rootToken)
+    })
+
+    it('Should emit TokenMapped log', () => {
+      const mappedLog = mapTx.logs.find(l => l.event === 'TokenMapped')
+      should.exist(mappedLog)
+      mappedLog.args.rootToken.should.equal(rootToken)
+      mappedLog.args.childToken.should.equal(childToken)
+    })
+
+    it('Should deploy child token at the address precomputed on root chain', async() => {
+      const bytecodeHash = await childChainManager.childTokenBytecodeHash()
+      bytecodeHash.should.equal(ethers.utils.keccak256(contracts.MATokenUChildERC20Proxy.bytecode))
+      // salt is bytes32(bytes20(rootToken))
+      const salt = rootToken + '0'.repeat(24)
+      childToken.should.equal(ethers.utils.getCreate2Address(childChainManager.address, salt, bytecodeHash))
+    })
+
+    it('Child token proxy should point to child token implementation', async() => {
+      const proxy = await contracts.MATokenUChildERC20Proxy.at(childToken)
+      const implementation = await proxy.implementation()
+      implementation.should.equal(childTokenImplementation.address)
+      const proxyOwner = await proxy.proxyOwner()
+      proxyOwner.should.equal(accounts[0])
+    })
+
+    it('Child token should be initialized with maToken details', async() => {
+      const maToken = await contracts.UChildERC20.at(childToken)
+      const name = await maToken.name()
+      name.should.equal('Matic Aave interest bearing DERC20')
+      const symbol = await maToken.symbol()
+      symbol.should.equal('maDERC20')
+      const decimals = await maToken.decimals()
+      decimals.toNumber().should.equal(18)
+    })
+
+    it('Should revert while mapping token again', async() => {
+      await expectRevert.unspecified(childChainManager.onStateReceive(1, mapTokenData(rootToken)))
+    })
+
+    it('Should revert with invalid sync type', async() => {
+      const data = abi.encode(['bytes32', 'bytes'], [mockValues.bytes32[0], '0x'])
+      await expectRevert(
+        childChainManager.onStateReceive(1, data),
+        'ChildChainManager: INVALID_SYNC_TYPE'
+      )
+    })
+  })
+
+  describe('Deposit maToken', async() => {
+    const rootToken = mockValues.addresses[3]
+    const depositReceiver = accounts[1]
+    const depositAmount = mockValues.amounts[2]
+    let childChainManager
+    let maToken
+
+    before(async() => {
+      ({ childChainManager } = await deployer.deployFreshATokenChildContracts(accounts))
+      await childChainManager.onStateReceive(1, mapTokenData(rootToken))
+      maToken = await contracts.UChildERC20.at(await childChainManager.rootToChildToken(rootToken))
+    })
+
+    it('State receiver should be able to deposit', async() => {
+      const depositTx = await childChainManager.onStateReceive(2, depositData(depositReceiver, rootToken, depositAmount))
+      should.exist(depositTx)
+      const balance = await maToken.balanceOf(depositReceiver)
+      balance.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should revert while depositing unmapped token', async() => {
+      await expectRevert(
+        childChainManager.onStateReceive(3, depositData(depositReceiver, mockValues.addresses[4], depositAmount)),
+        'ChildChainManager: TOKEN_NOT_MAPPED'
+      )
+    })
+
+    it('Should revert while depositing directly on child token', async() => {
+      await expectRevert(
+        maToken.deposit(depositReceiver, abi.encode(['uint256'], [depositAmount.toString()])),
+        'ChildmaDERC20: INSUFFICIENT_PERMISSIONS'
+      )
+    })
+
+    it('Depositor should be able to withdraw', async() => {
+      const withdrawTx = await maToken.withdraw(depositAmount, { from: depositReceiver })
+      const burnLog = withdrawTx.logs.find(l => l.event === 'Transfer')
+      burnLog.args.from.should.equal(depositReceiver)
+      burnLog.args.to.should.equal(mockValues.zeroAddress)
+      burnLog.args.value.should.be.a.bignumber.that.equals(depositAmount)
+    })
+  })
+
+  describe('Child token proxy', async() => {
+    const rootToken = mockValues.addresses[3]
+    let proxy
+
+    before(async() => {
+      const { childChainManager } = await deployer.deployFreshATokenChildContracts(accounts)
+      await childChainManager.onStateReceive(1, mapTokenData(rootToken))
+      proxy = await contracts.MATokenUChildERC20Proxy.at(await childChainManager.rootToChildToken(rootToken))
+    })
+
+    it('Should revert while upgrading from non proxy owner', async() => {
+      const implementation = await contracts.UChildERC20.new()
+      await expectRevert(
+        proxy.updateImplementation(implementation.address, { from: accounts[4] }),
+        'NOT_OWNER'
+      )
+    })
+
+    it('Proxy owner should be able to upgrade and keep balances', async() => {
+      const implementation = await contracts.UChildERC20.new()
+      await proxy.updateImplementation(implementation.address)
+      const newImplementation = await proxy.implementation()
+      newImplementation.should.equal(implementation.address)
+      const maToken = await contracts.UChildERC20.at(proxy.address)
+      const symbol = await maToken.symbol()
+      symbol.should.equal('maDERC20')
+    })
+
+    it('Proxy owner should be able to transfer proxy ownership', async() => {
+      await proxy.transferProxyOwnership(accounts[1])
+      const proxyOwner = await proxy.proxyOwner()
+      proxyOwner.should.equal(accounts[1])
+    })
+  })
+})
@@ -4,7 +4,7 @@ import { Buffer } from 'safe-buffer'
 const sha3 = keccak256
 
 export async function getHeaders(start, end, web3) {
-  if (start >= end) {
+  if (start > end) {
     return []
   }
 
@@ -24,6 +24,11 @@ const DummyERC1155 = artifacts.require('DummyERC1155')
 const TestRootTunnel = artifacts.require('TestRootTunnel')
 const RootPotatoMigrator = artifacts.require('RootPotatoMigrator')
 const RootPotatoToken = artifacts.require('RootPotatoToken')
+const ATokenRootChainManager = artifacts.require('ATokenRootChainManager')
+const MockLendingPool = artifacts.require('MockLendingPool')
+const DummyAToken = artifacts.require('DummyAToken')
+const DummyPermitAToken = artifacts.require('DummyPermitAToken')
+const AERC20Predicate = artifacts.require('AERC20Predicate')
 
 const ChildChainManager = artifacts.require('ChildChainManager')
 const ChildChainManagerProxy = artifacts.require('ChildChainManagerProxy')
@@ -41,6 +46,9 @@ const IStateReceiver = artifacts.require('IStateReceiver')
 const ChildPotatoFarm = artifacts.require('ChildPotatoFarm')
 const ChildPotatoMigrator = artifacts.require('ChildPotatoMigrator')
 const ChildPotatoToken = artifacts.require('ChildPotatoToken')
+const ATokenChildChainManager = artifacts.require('ATokenChildChainManager')
+const MATokenUChildERC20Proxy = artifacts.require('MATokenUChildERC20Proxy')
+const MockStateReceiver = artifacts.require('MockStateReceiver')
 
 const rootProvider = new Web3.providers.HttpProvider(rootRPC)
 const childProvider = new Web3.providers.HttpProvider(childRPC)
@@ -78,6 +86,11 @@ setWeb3(DummyERC1155, rootWeb3)
 setWeb3(TestRootTunnel, rootWeb3)
 setWeb3(RootPotatoMigrator, rootWeb3)
 setWeb3(RootPotatoToken, rootWeb3)
+setWeb3(ATokenRootChainManager, rootWeb3)
+setWeb3(MockLendingPool, rootWeb3)
+setWeb3(DummyAToken, rootWeb3)
+setWeb3(DummyPermitAToken, rootWeb3)
+setWeb3(AERC20Predicate, rootWeb3)
 
 // contracts on child chain
 setWeb3(ChildChainManager, childWeb3)
@@ -96,6 +109,9 @@ setWeb3(IStateReceiver, childWeb3)
 setWeb3(ChildPotatoFarm, childWeb3)
 setWeb3(ChildPotatoMigrator, childWeb3)
 setWeb3(ChildPotatoToken, childWeb3)
+setWeb3(ATokenChildChainManager, childWeb3)
+setWeb3(MATokenUChildERC20Proxy, childWeb3)
+setWeb3(MockStateReceiver, childWeb3)
 
 export default {
   MockCheckpointManager,
@@ -119,6 +135,11 @@ export default {
   TestRootTunnel,
   RootPotatoMigrator,
   RootPotatoToken,
+  ATokenRootChainManager,
+  MockLendingPool,
+  DummyAToken,
+  DummyPermitAToken,
+  AERC20Predicate,
 
   ChildChainManager,
   ChildChainManagerProxy,
@@ -135,5 +156,8 @@ export default {
   IStateReceiver,
   ChildPotatoFarm,
   ChildPotatoMigrator,
-  ChildPotatoToken
+  ChildPotatoToken,
+  ATokenChildChainManager,
+  MATokenUChildERC20Proxy,
+  MockStateReceiver
 }
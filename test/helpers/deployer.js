@@ -1,5 +1,8 @@
 import contracts from './contracts'
-import { etherAddress } from './constants'
+import { etherAddress, mockValues } from './constants'
+import { syncATokenState } from './state-sync'
+
+const { SYSTEM_ADDRESS } = require('../../scripts/lib/state-sync-relayer')
 
 export const deployFreshRootContracts = async(accounts) => {
   const [
@@ -151,6 +154,109 @@ export const deployInitializedContracts = async(accounts) => {
   return { root, child }
 }
 
+export const deployFreshATokenRootContracts = async(accounts, {
+  childChainManagerAddress = mockValues.addresses[0],
+  childTokenBytecodeHash = mockValues.bytes32[0]
+} = {}) => {
+  const [
+    checkpointManager,
+    rootChainManagerLogic,
+    dummyStateSender,
+    lendingPool,
+    dummyERC20,
+    aERC20PredicateLogic
+  ] = await Promise.all([
+    contracts.MockCheckpointManager.new(),
+    contracts.ATokenRootChainManager.new(),
+    contracts.DummyStateSender.new(),
+    contracts.MockLendingPool.new(),
+    contracts.DummyERC20.new('Dummy ERC20', 'DERC20'),
+    contracts.AERC20Predicate.new()
+  ])
+  const dummyAToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', lendingPool.address, dummyERC20.address)
+  await lendingPool.initReserve(dummyERC20.address, dummyAToken.address)
+
+  const rootChainManagerProxy = await contracts.RootChainManagerProxy.new('0x0000000000000000000000000000000000000000')
+  await rootChainManagerProxy.updateAndCall(
+    rootChainManagerLogic.address,
+    rootChainManagerLogic.contract.methods.initialize(
+      accounts[0],
+      dummyStateSender.address,
+      checkpointManager.address,
+      childChainManagerAddress,
+      childTokenBytecodeHash
+    ).encodeABI()
+  )
+  const rootChainManager = await contracts.ATokenRootChainManager.at(rootChainManagerProxy.address)
+
+  const aERC20PredicateProxy = await contracts.ERC20PredicateProxy.new('0x0000000000000000000000000000000000000000')
+  await aERC20PredicateProxy.updateAndCall(aERC20PredicateLogic.address, aERC20PredicateLogic.contract.methods.initialize(accounts[0]).encodeABI())
+  const aERC20Predicate = await contracts.AERC20Predicate.at(aERC20PredicateProxy.address)
+
+  return {
+    checkpointManager,
+    rootChainManager,
+    dummyStateSender,
+    lendingPool,
+    dummyERC20,
+    dummyAToken,
+    aERC20Predicate
+  }
+}
+
+export const deployFreshATokenChildContracts = async(accounts) => {
+  const [
+    childChainManagerLogic,
+    childTokenImplementation
+  ] = await Promise.all([
+    contracts.ATokenChildChainManager.new(),
+    contracts.UChildERC20.new()
+  ])
+
+  // accounts[0] stands in for the state receiver system contract and relays state syncs
+  const childChainManagerProxy = await contracts.ChildChainManagerProxy.new('0x0000000000000000000000000000000000000000')
+  await childChainManagerProxy.updateAndCall(
+    childChainManagerLogic.address,
+    childChainManagerLogic.contract.methods.initialize(accounts[0], accounts[0], childTokenImplementation.address).encodeABI()
+  )
+  const childChainManager = await contracts.ATokenChildChainManager.at(childChainManagerProxy.address)
+
+  return {
+    childChainManager,
+    childTokenImplementation
+  }
+}
+
+export const deployInitializedATokenContracts = async(accounts) => {
+  const child = await deployFreshATokenChildContracts(accounts)
+  const root = await deployFreshATokenRootContracts(accounts, {
+    childChainManagerAddress: child.childChainManager.address,
+    childTokenBytecodeHash: await child.childChainManager.childTokenBytecodeHash()
+  })
+
+  const mapTx = await root.rootChainManager.mapToken(root.dummyAToken.address)
+  await syncATokenState({ tx: mapTx, childChainManager: child.childChainManager })
+  child.dummyMAToken = await contracts.UChildERC20.at(await child.childChainManager.rootToChildToken(root.dummyAToken.address))
+
+  return { root, child }
+}
+
+// like deployInitializedATokenContracts, but the child manager receives state syncs from the system address
+// so the relayer of scripts/test-chains.js syncs them, only on those test chains
+export const deployRelayedATokenContracts = async(accounts) => {
+  const child = await deployFreshATokenChildContracts(accounts)
+  await child.childChainManager.setStateReceiver(SYSTEM_ADDRESS)
+  const root = await deployFreshATokenRootContracts(accounts, {
+    childChainManagerAddress: child.childChainManager.address,
+    childTokenBytecodeHash: await child.childChainManager.childTokenBytecodeHash()
+  })
+
+  await root.rootChainManager.mapToken(root.dummyAToken.address)
+  child.dummyMAToken = await contracts.UChildERC20.at(await child.childChainManager.rootToChildToken(root.dummyAToken.address))
+
+  return { root, child }
+}
+
 export const deployFreshRootTunnelContracts = async() => {
   const [
     testRootTunnel,
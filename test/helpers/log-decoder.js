@@ -1,5 +1,4 @@
 import { ethers } from 'ethers'
-import contracts from './contracts.js'
 
 export class LogDecoder {
   constructor(abis = []) {
@@ -9,7 +8,7 @@ export class LogDecoder {
       const methodInterface = new ethers.utils.Interface(abi)
       Object.keys(methodInterface.events).forEach(evtKey => {
         const evt = methodInterface.events[evtKey]
-        const signature = evt.topic
+        const signature = methodInterface.getEventTopic(evt)
         // Handles different indexed arguments with same signature from different contracts
         // Like ERC721/ERC20 Transfer
         this._methodIDs[signature] = this._methodIDs[signature] || []
@@ -29,7 +28,7 @@ export class LogDecoder {
               address: log.address.toLowerCase(),
               event: parsedLog.name,
               signature: parsedLog.signature,
-              args: parsedLog.values
+              args: parsedLog.args
             }
           }
         } catch (e) {
@@ -39,11 +38,16 @@ export class LogDecoder {
   }
 }
 
-const abis = []
+// Built on first use from the truffle artifacts of the test contracts,
+// so scripts can use LogDecoder outside of truffle
+let logDecoder
 
-Object.keys(contracts).forEach(c => {
-  abis.push(contracts[c]._json.abi)
-})
-
-const logDecoder = new LogDecoder(abis)
-export default logDecoder
+export default {
+  decodeLogs(logs) {
+    if (!logDecoder) {
+      const contracts = require('./contracts.js').default
+      logDecoder = new LogDecoder(Object.keys(contracts).map(c => contracts[c]._json.abi))
+    }
+    return logDecoder.decodeLogs(logs)
+  }
+}
@@ -0,0 +1,8 @@
+import BN from 'bn.js'
+
+export const P27 = new BN('1000000000000000000000000000')
+export const HALF_P27 = P27.divn(2)
+
+// half up rounding of ATokenRootChainManager.p27Div and p27Mul
+export const p27Div = (a, b) => a.mul(P27).add(b.divn(2)).div(b)
+export const p27Mul = (a, b) => a.mul(b).add(HALF_P27).div(P27)
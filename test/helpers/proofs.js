@@ -2,6 +2,9 @@ import Trie from 'merkle-patricia-tree'
 import { rlp, keccak256, toBuffer } from 'ethereumjs-util'
 import { Transaction } from 'ethereumjs-tx'
 import Common from 'ethereumjs-common'
+import { TransactionFactory } from '@ethereumjs/tx'
+import TypedCommon from '@ethereumjs/common'
+import BN from 'bn.js'
 import EthereumBlock from 'ethereumjs-block/from-rpc'
 
 // raw header
@@ -41,18 +44,67 @@ function nibblesToTraverse(encodedPartialPath, path, pathPtr) {
   }
 }
 
-export function getTxBytes(tx) {
-  const txObj = new Transaction(squanchTx(tx), { common: Common.forCustomChain('mainnet', { chainId: 15001, name: 'bor' }, 'byzantium') })
+// EIP-2718 type of a transaction or receipt, 0 for legacy ones
+export function getTxType(txOrReceipt) {
+  return txOrReceipt.type ? parseInt(txOrReceipt.type) : 0
+}
+
+// web3 formats quantities as numbers or decimal strings
+function toQuantity(value) {
+  return typeof value === 'string' && !value.startsWith('0x') ? new BN(value, 10) : value
+}
+
+// typed transactions are stored as their type followed by their RLP encoding
+function getTypedTxBytes(tx, chainId) {
+  const common = TypedCommon.forCustomChain('mainnet', { chainId, name: 'bor' }, 'london')
+  const txObj = TransactionFactory.fromTxData({
+    type: getTxType(tx),
+    chainId: tx.chainId === undefined ? chainId : toQuantity(tx.chainId),
+    nonce: toQuantity(tx.nonce),
+    gasPrice: getTxType(tx) === 1 ? toQuantity(tx.gasPrice) : undefined,
+    maxFeePerGas: toQuantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas),
+    gasLimit: toQuantity(tx.gas),
+    to: tx.to || undefined,
+    value: toQuantity(tx.value),
+    data: tx.input,
+    accessList: tx.accessList || [],
+    v: toQuantity(tx.v),
+    r: tx.r,
+    s: tx.s
+  }, { common })
   return txObj.serialize()
 }
 
+export function getTxBytes(tx, chainId = 15001) {
+  if (getTxType(tx) !== 0) {
+    return getTypedTxBytes(tx, chainId)
+  }
+  const txObj = new Transaction(squanchTx(tx), { common: Common.forCustomChain('mainnet', { chainId, name: 'bor' }, 'byzantium') })
+  return txObj.serialize()
+}
+
+// key in the tries of a block, JSON-RPC returns transaction indexes as hex strings
+function getTrieKey(transactionIndex) {
+  return rlp.encode(parseInt(transactionIndex))
+}
+
+// proofs keep legacy values decoded, typed ones are not a single RLP item
+function decodeValue(value) {
+  return value[0] >= 0xc0 ? rlp.decode(value) : value
+}
+
+function encodeValue(value) {
+  return Buffer.isBuffer(value) ? value : rlp.encode(value)
+}
+
 // build
-export async function getTxProof(tx, block) {
+export async function getTxProof(tx, block, chainId) {
   const txTrie = new Trie()
   for (let i = 0; i < block.transactions.length; i++) {
     const siblingTx = block.transactions[i]
-    const path = rlp.encode(siblingTx.transactionIndex)
-    const rawSignedSiblingTx = getTxBytes(siblingTx)
+    const path = getTrieKey(siblingTx.transactionIndex)
+    const rawSignedSiblingTx = getTxBytes(siblingTx, chainId)
     await new Promise((resolve, reject) => {
       txTrie.put(path, rawSignedSiblingTx, err => {
         if (err) {
@@ -67,7 +119,7 @@ export async function getTxProof(tx, block) {
   // promise
   return new Promise((resolve, reject) => {
     txTrie.findPath(
-      rlp.encode(tx.transactionIndex),
+      getTrieKey(tx.transactionIndex),
       (err, rawTxNode, reminder, stack) => {
         if (err) {
           return reject(err)
@@ -80,8 +132,8 @@ export async function getTxProof(tx, block) {
           blockHash: toBuffer(tx.blockHash),
           parentNodes: stack.map(s => s.raw),
           root: getRawHeader(block).transactionsTrie,
-          path: rlp.encode(tx.transactionIndex),
-          value: rlp.decode(rawTxNode.value)
+          path: getTrieKey(tx.transactionIndex),
+          value: decodeValue(rawTxNode.value)
         }
         resolve(prf)
       }
@@ -114,7 +166,7 @@ export function verifyTxProof(proof) {
       switch (currentNode.length) {
         case 17: // branch node
           if (pathPtr === path.length) {
-            if (currentNode[16] === rlp.encode(value)) {
+            if (currentNode[16] === encodeValue(value)) {
               return true
             } else {
               return false
@@ -132,7 +184,7 @@ export function verifyTxProof(proof) {
           )
           if ((traversed + pathPtr) === path.length) {
             // leaf node
-            if (currentNode[1].equals(rlp.encode(value))) {
+            if (currentNode[1].equals(encodeValue(value))) {
               return true
             } else {
               return false
@@ -157,11 +209,16 @@ export function verifyTxProof(proof) {
   return false
 }
 
+// web3 formats the status as a boolean, JSON-RPC as a hex string
+function isSuccessStatus(status) {
+  return typeof status === 'string' ? parseInt(status) === 1 : Boolean(status)
+}
+
 export function getReceiptBytes(receipt) {
-  return rlp.encode([
+  const encoded = rlp.encode([
     toBuffer(
       receipt.status !== undefined && receipt.status != null
-        ? receipt.status
+        ? isSuccessStatus(receipt.status)
           ? '0x1'
           : '0x'
         : receipt.root
@@ -179,6 +236,9 @@ export function getReceiptBytes(receipt) {
       ]
     })
   ])
+  // typed receipts are prefixed with the type of their transaction
+  const type = getTxType(receipt)
+  return type === 0 ? encoded : Buffer.concat([Buffer.from([type]), encoded])
 }
 
 export function getDiffEncodedReceipt(receipt) {
@@ -257,7 +317,7 @@ export async function getReceiptProof(receipt, block, web3, receipts) {
 
   for (let i = 0; i < receipts.length; i++) {
     const siblingReceipt = receipts[i]
-    const path = rlp.encode(siblingReceipt.transactionIndex)
+    const path = getTrieKey(siblingReceipt.transactionIndex)
     const rawReceipt = getReceiptBytes(siblingReceipt)
     await new Promise((resolve, reject) => {
       receiptsTrie.put(path, rawReceipt, err => {
@@ -273,7 +333,7 @@ export async function getReceiptProof(receipt, block, web3, receipts) {
   // promise
   return new Promise((resolve, reject) => {
     receiptsTrie.findPath(
-      rlp.encode(receipt.transactionIndex),
+      getTrieKey(receipt.transactionIndex),
       (err, rawReceiptNode, reminder, stack) => {
         if (err) {
           return reject(err)
@@ -287,8 +347,8 @@ export async function getReceiptProof(receipt, block, web3, receipts) {
           blockHash: toBuffer(receipt.blockHash),
           parentNodes: stack.map(s => s.raw),
           root: getRawHeader(block).receiptTrie,
-          path: rlp.encode(receipt.transactionIndex),
-          value: rlp.decode(rawReceiptNode.value)
+          path: getTrieKey(receipt.transactionIndex),
+          value: decodeValue(rawReceiptNode.value)
         }
         resolve(prf)
       }
@@ -0,0 +1,35 @@
+import { ethers } from 'ethers'
+import { bufferToHex, rlp } from 'ethereumjs-util'
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+const STATE_SYNCED_EVENT_SIG = ethers.utils.id('StateSynced(uint256,address,bytes)')
+
+// relays the StateSynced logs of a root tx to ATokenChildChainManager
+// the manager has to be deployed with the sending account as its state receiver
+export const syncATokenState = async({ tx, childChainManager }) => {
+  const evtList = tx.receipt.rawLogs.filter(l => l.topics[0] === STATE_SYNCED_EVENT_SIG)
+  const stateReceiveTxList = []
+  for (const evt of evtList) {
+    const [syncData] = abi.decode(['bytes'], evt.data)
+    const syncId = evt.topics[1]
+    const stateReceiveTx = await childChainManager.onStateReceive(syncId, syncData)
+    stateReceiveTxList.push(stateReceiveTx)
+  }
+  return stateReceiveTxList
+}
+
+// commits the StateSynced logs of a root tx through MockStateReceiver, like bor does,
+// a reverting receiver leaves a failed StateCommitted log instead of reverting the commit
+export const commitATokenState = async({ tx, stateReceiver }) => {
+  const evtList = tx.receipt.rawLogs.filter(l => l.topics[0] === STATE_SYNCED_EVENT_SIG)
+  const commitTxList = []
+  for (const evt of evtList) {
+    const [syncData] = abi.decode(['bytes'], evt.data)
+    const [receiver] = abi.decode(['address'], evt.topics[2])
+    const record = bufferToHex(rlp.encode([evt.topics[1], receiver, syncData]))
+    const commitTx = await stateReceiver.commitState(0, record)
+    commitTxList.push(commitTx)
+  }
+  return commitTxList
+}
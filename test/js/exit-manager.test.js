@@ -0,0 +1,241 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { rlp } from 'ethereumjs-util'
+
+import * as deployer from '../helpers/deployer'
+import { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues, rootRPC, childRPC } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+
+const { rootChainManagerAbi, buildPayloadForExitHermione } = require('../../scripts/exit-manager')
+const { mockCheckpointManagerAbi, CheckpointService } = require('../../scripts/lib/checkpoint-service')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+// built by npm run build:js
+const EXIT_MANAGER_PATH = path.join(__dirname, '../../js/matic/dist/ExitManager.js')
+
+contract('ExitManager', async(accounts) => {
+  const withdrawer = accounts[1]
+  const depositAmount = mockValues.amounts[2]
+  const burnAmount = depositAmount.divn(2)
+  const blocksPerCheckpoint = 4
+  const rootProvider = new ethers.providers.JsonRpcProvider(rootRPC)
+  const childProvider = new ethers.providers.JsonRpcProvider(childRPC)
+  let ExitManager
+
+  const mineChildBlocks = async(count) => {
+    for (let i = 0; i < count; i++) {
+      await childWeb3.eth.sendTransaction({ from: accounts[0], to: accounts[0], value: 0 })
+    }
+  }
+
+  // checkpoints the child blocks from the next one on
+  const startCheckpointService = async(checkpointManager) => new CheckpointService({
+    childWeb3,
+    checkpointManager: new rootWeb3.eth.Contract(mockCheckpointManagerAbi, checkpointManager.address),
+    from: accounts[0],
+    blocksPerCheckpoint,
+    startBlock: await childWeb3.eth.getBlockNumber() + 1
+  })
+
+  const checkpoint = async(service) => {
+    await mineChildBlocks(blocksPerCheckpoint)
+    await service.poll()
+  }
+
+  const createExitManager = (options) => new ExitManager(Object.assign({
+    rootProvider,
+    childProvider,
+    signer: rootProvider.getSigner(accounts[0]),
+    checkpointInterval: 1
+  }, options))
+
+  before(() => {
+    if (!fs.existsSync(EXIT_MANAGER_PATH)) {
+      throw new Error(`${EXIT_MANAGER_PATH} not found, build it with npm run build:js`)
+    }
+    ;({ ExitManager } = require(EXIT_MANAGER_PATH))
+  })
+
+  describe('RootChainManager', () => {
+    let root
+    let child
+    let service
+    let exitManager
+    let burnTx
+
+    before(async() => {
+      ;({ root, child } = await deployer.deployInitializedContracts(accounts))
+      await root.dummyERC20.approve(root.erc20Predicate.address, depositAmount)
+      const depositTx = await root.rootChainManager.depositFor(withdrawer, root.dummyERC20.address, abi.encode(['uint256'], [depositAmount.toString()]))
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+
+      service = await startCheckpointService(root.checkpointManager)
+      exitManager = createExitManager({
+        checkpointManager: root.checkpointManager.address,
+        exitContract: root.rootChainManager.address
+      })
+      burnTx = await child.dummyERC20.withdraw(burnAmount, { from: withdrawer })
+    })
+
+    it('Should not be checkpointed before a checkpoint', async() => {
+      const checkpointed = await exitManager.isCheckpointed(burnTx.tx)
+      checkpointed.should.equal(false)
+    })
+
+    it('Should reject payload of a burn not checkpointed', async() => {
+      await exitManager.buildPayload(burnTx.tx).should.be.rejectedWith(`Block ${burnTx.receipt.blockNumber} has not been checkpointed yet`)
+    })
+
+    it('Should be checkpointed after a checkpoint', async() => {
+      await checkpoint(service)
+      const checkpointed = await exitManager.isCheckpointed(burnTx.tx)
+      checkpointed.should.equal(true)
+    })
+
+    it('Should build payload matching the one of exit-manager script', async() => {
+      const payload = await exitManager.buildPayload(burnTx.tx)
+      const checkpointManager = new rootWeb3.eth.Contract(mockCheckpointManagerAbi, root.checkpointManager.address)
+      const rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+      const scriptPayload = await buildPayloadForExitHermione(burnTx.tx, { childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 })
+      payload.should.equal(scriptPayload)
+    })
+
+    it('Should reject redeeming the underlying asset', async() => {
+      await exitManager.buildPayload(burnTx.tx, { redeemUnderlying: true }).should.be.rejectedWith('RootChainManager cannot redeem the underlying asset')
+    })
+
+    it('Should not have processed exit', async() => {
+      const processed = await exitManager.isExitProcessed(burnTx.tx)
+      processed.should.equal(false)
+    })
+
+    it('Should exit burn', async() => {
+      const balance = await root.dummyERC20.balanceOf(withdrawer)
+      const exitTx = await exitManager.exit(burnTx.tx)
+      await exitTx.wait()
+      const newBalance = await root.dummyERC20.balanceOf(withdrawer)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(burnAmount)
+    })
+
+    it('Should have processed exit', async() => {
+      const processed = await exitManager.isExitProcessed(burnTx.tx)
+      processed.should.equal(true)
+    })
+
+    it('Should reject exit processed already', async() => {
+      await exitManager.exit(burnTx.tx).should.be.rejectedWith(`Exit of ${burnTx.tx} has already been processed`)
+    })
+
+    it('Should reject transaction without burn', async() => {
+      const transferTx = await child.dummyERC20.transfer(accounts[2], 1, { from: withdrawer })
+      await exitManager.buildPayload(transferTx.tx).should.be.rejectedWith(`No burn log found in transaction ${transferTx.tx}`)
+    })
+  })
+
+  describe('ATokenRootChainManager', () => {
+    let root
+    let child
+    let service
+    let exitManager
+    let burnTx
+
+    before(async() => {
+      ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+      // supplying the underlying asset leaves it in the pool to be redeemed
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount)
+      const depositTx = await root.rootChainManager.depositUnderlyingFor(withdrawer, root.dummyAToken.address, depositAmount)
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+
+      service = await startCheckpointService(root.checkpointManager)
+      exitManager = createExitManager({
+        checkpointManager: root.checkpointManager.address,
+        exitContract: root.rootChainManager.address,
+        target: 'ATokenRootChainManager',
+        // only the withdrawer may redeem the underlying asset
+        signer: rootProvider.getSigner(withdrawer)
+      })
+      burnTx = await child.dummyMAToken.withdraw(burnAmount, { from: withdrawer })
+      await checkpoint(service)
+    })
+
+    it('Should build payload redeeming the underlying asset', async() => {
+      const payload = await exitManager.buildPayload(burnTx.tx, { redeemUnderlying: true })
+      const fields = rlp.decode(payload)
+      fields.length.should.equal(11)
+      fields[10].toString('hex').should.equal('01')
+    })
+
+    it('Should exit burn to the underlying asset', async() => {
+      const aTokenBalance = await root.dummyAToken.balanceOf(withdrawer)
+      const underlyingBalance = await root.dummyERC20.balanceOf(withdrawer)
+      const exitTx = await exitManager.exit(burnTx.tx, { redeemUnderlying: true })
+      await exitTx.wait()
+      const newUnderlyingBalance = await root.dummyERC20.balanceOf(withdrawer)
+      newUnderlyingBalance.sub(underlyingBalance).should.be.a.bignumber.that.equals(burnAmount)
+      const newATokenBalance = await root.dummyAToken.balanceOf(withdrawer)
+      newATokenBalance.should.be.a.bignumber.that.equals(aTokenBalance)
+    })
+
+    it('Should have processed exit', async() => {
+      const processed = await exitManager.isExitProcessed(burnTx.tx)
+      processed.should.equal(true)
+    })
+  })
+
+  describe('RootTunnel', () => {
+    const number = 42
+    let root
+    let child
+    let service
+    let exitManager
+    let messageTx
+
+    before(async() => {
+      ;({ root, child } = await deployer.deployInitializedTunnelContracts())
+      service = await startCheckpointService(root.checkpointManager)
+      exitManager = createExitManager({
+        checkpointManager: root.checkpointManager.address,
+        exitContract: root.testRootTunnel.address,
+        target: 'RootTunnel'
+      })
+      messageTx = await child.testChildTunnel.sendMessage(abi.encode(['uint256'], [number]))
+      await checkpoint(service)
+    })
+
+    it('Should find message of child tunnel', async() => {
+      const receipt = await exitManager.getReceipt(messageTx.tx)
+      const logIndex = await exitManager.getLogIndex(receipt)
+      receipt.logs[logIndex].address.toLowerCase().should.equal(child.testChildTunnel.address.toLowerCase())
+    })
+
+    it('Should receive message', async() => {
+      const processed = await exitManager.isExitProcessed(messageTx.tx)
+      processed.should.equal(false)
+      const exitTx = await exitManager.exit(messageTx.tx)
+      await exitTx.wait()
+      const receivedNumber = await root.testRootTunnel.receivedNumber()
+      receivedNumber.should.be.a.bignumber.that.equals(new BN(number))
+    })
+
+    it('Should have processed message', async() => {
+      const processed = await exitManager.isExitProcessed(messageTx.tx)
+      processed.should.equal(true)
+    })
+
+    it('Should reject missing log', async() => {
+      await exitManager.buildPayload(messageTx.receipt.transactionHash, { logIndex: 1 }).should.be.rejectedWith(`No log 1 in transaction ${messageTx.tx}`)
+    })
+  })
+})
@@ -5,7 +5,9 @@ import BN from 'bn.js'
 import { rlp } from 'ethereumjs-util'
 import block from '../mockResponses/347-block.json'
 import receiptList from '../mockResponses/347-receipt-list.json'
-import { getReceiptProof, verifyReceiptProof, getReceiptBytes } from '../helpers/proofs'
+import mixedTypeBlock from '../mockResponses/mixed-type-block.json'
+import mixedTypeReceiptList from '../mockResponses/mixed-type-receipt-list.json'
+import { getReceiptProof, verifyReceiptProof, getReceiptBytes, getTxProof, verifyTxProof, getTxBytes, getTxType } from '../helpers/proofs'
 
 const MerklePatriciaTest = artifacts.require('MerklePatriciaTest')
 
@@ -45,4 +47,63 @@ contract('MerklePatriciaTest', (accounts) => {
     )
     console.log()
   })
+
+  describe('Block with legacy, access list and dynamic fee transactions', () => {
+    const chainId = 15001
+
+    it('Block should contain every transaction type', () => {
+      mixedTypeBlock.transactions.map(getTxType).should.include.members([0, 1, 2])
+    })
+
+    it('Proof verification should succeed for all transactions in block', async() => {
+      for (const tx of mixedTypeBlock.transactions) {
+        const txProof = await getTxProof(tx, mixedTypeBlock, chainId)
+        verifyTxProof(txProof).should.equal(true, `Proof verification in js failed for transaction ${tx.transactionIndex}`)
+
+        const contractVerified = await merklePatriciaTest.verify(
+          mixedTypeBlock.transactionsRoot,
+          getTxBytes(tx, chainId),
+          rlp.encode(txProof.parentNodes),
+          Buffer.concat([
+            Buffer.from('00', 'hex'),
+            txProof.path
+          ])
+        )
+        contractVerified.should.equal(true, `Proof verification on contract failed for transaction ${tx.transactionIndex}`)
+      }
+    })
+
+    it('Proof verification should succeed for all receipts in block', async() => {
+      for (const receipt of mixedTypeReceiptList) {
+        const receiptProof = await getReceiptProof(receipt, mixedTypeBlock, null /* web3 */, mixedTypeReceiptList)
+        verifyReceiptProof(receiptProof).should.equal(true, `Proof verification in js failed for receipt ${receipt.transactionIndex}`)
+
+        const contractVerified = await merklePatriciaTest.verify(
+          mixedTypeBlock.receiptsRoot,
+          getReceiptBytes(receipt),
+          rlp.encode(receiptProof.parentNodes),
+          Buffer.concat([
+            Buffer.from('00', 'hex'),
+            receiptProof.path
+          ])
+        )
+        contractVerified.should.equal(true, `Proof verification on contract failed for receipt ${receipt.transactionIndex}`)
+      }
+    })
+
+    it('Proof verification should fail for a typed receipt encoded as legacy', async() => {
+      const receipt = mixedTypeReceiptList.find(r => getTxType(r) === 2)
+      const receiptProof = await getReceiptProof(receipt, mixedTypeBlock, null /* web3 */, mixedTypeReceiptList)
+      const contractVerified = await merklePatriciaTest.verify(
+        mixedTypeBlock.receiptsRoot,
+        getReceiptBytes(Object.assign({}, receipt, { type: undefined })),
+        rlp.encode(receiptProof.parentNodes),
+        Buffer.concat([
+          Buffer.from('00', 'hex'),
+          receiptProof.path
+        ])
+      )
+      contractVerified.should.equal(false)
+    })
+  })
 })
@@ -0,0 +1,136 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+import { bufferToHex, rlp } from 'ethereumjs-util'
+
+import * as deployer from '../helpers/deployer'
+import { mockValues, erc20TransferEventSig } from '../helpers/constants'
+import { p27Mul } from '../helpers/p27'
+
+// Enable and inject BN dependency
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const should = chai.should()
+const { defaultAbiCoder: abi } = ethers.utils
+
+const burnLog = ({ from, to = mockValues.zeroAddress, amount, eventSig = erc20TransferEventSig }) => bufferToHex(
+  rlp.encode([
+    mockValues.addresses[9], // child token, not checked by predicate
+    [
+      eventSig,
+      abi.encode(['address'], [from]),
+      abi.encode(['address'], [to])
+    ],
+    abi.encode(['uint256'], [amount.toString()])
+  ])
+)
+
+contract('AERC20Predicate', (accounts) => {
+  describe('lockTokens', () => {
+    const depositAmount = mockValues.amounts[4]
+    const depositReceiver = mockValues.addresses[7]
+    const depositor = accounts[1]
+    let dummyAToken
+    let aERC20Predicate
+    let oldAccountBalance
+    let lockTokensTx
+
+    before(async() => {
+      const contracts = await deployer.deployFreshATokenRootContracts(accounts)
+      dummyAToken = contracts.dummyAToken
+      aERC20Predicate = contracts.aERC20Predicate
+      await dummyAToken.transfer(depositor, depositAmount)
+      oldAccountBalance = await dummyAToken.balanceOf(depositor)
+      await dummyAToken.approve(aERC20Predicate.address, depositAmount, { from: depositor })
+    })
+
+    it('Should revert when not called by manager', async() => {
+      const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+      await expectRevert(
+        aERC20Predicate.lockTokens(depositor, depositReceiver, dummyAToken.address, depositData, { from: accounts[4] }),
+        'ERC20Predicate: INSUFFICIENT_PERMISSIONS'
+      )
+    })
+
+    it('Manager should be able to lock tokens', async() => {
+      const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+      lockTokensTx = await aERC20Predicate.lockTokens(depositor, depositReceiver, dummyAToken.address, depositData)
+      should.exist(lockTokensTx)
+    })
+
+    it('Should emit LockedERC20 log', () => {
+      const lockedLog = lockTokensTx.logs.find(l => l.event === 'LockedERC20')
+      should.exist(lockedLog)
+      lockedLog.args.depositor.should.equal(depositor)
+      lockedLog.args.depositReceiver.should.equal(depositReceiver)
+      lockedLog.args.rootToken.should.equal(dummyAToken.address)
+      lockedLog.args.amount.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Deposit amount should be transferred to predicate', async() => {
+      const accountBalance = await dummyAToken.balanceOf(depositor)
+      accountBalance.should.be.a.bignumber.that.equals(oldAccountBalance.sub(depositAmount))
+      const contractBalance = await dummyAToken.balanceOf(aERC20Predicate.address)
+      contractBalance.should.be.a.bignumber.that.equals(depositAmount)
+    })
+  })
+
+  describe('exitTokens', () => {
+    // liquidity index of 1.1
+    const liquidityIndex = new BN('1100000000000000000000000000')
+    const maTokenValue = mockValues.amounts[2]
+    const withdrawer = mockValues.addresses[8]
+    let dummyAToken
+    let aERC20Predicate
+    let oldContractBalance
+
+    before(async() => {
+      const contracts = await deployer.deployFreshATokenRootContracts(accounts)
+      dummyAToken = contracts.dummyAToken
+      aERC20Predicate = contracts.aERC20Predicate
+      await contracts.lendingPool.setReserveNormalizedIncome(contracts.dummyERC20.address, liquidityIndex)
+      await dummyAToken.transfer(aERC20Predicate.address, p27Mul(maTokenValue, liquidityIndex).muln(2))
+      oldContractBalance = await dummyAToken.balanceOf(aERC20Predicate.address)
+    })
+
+    it('Should revert when not called by manager', async() => {
+      await expectRevert(
+        aERC20Predicate.exitTokens(withdrawer, dummyAToken.address, burnLog({ from: withdrawer, amount: maTokenValue }), { from: accounts[4] }),
+        'ERC20Predicate: INSUFFICIENT_PERMISSIONS'
+      )
+    })
+
+    it('Should revert with invalid event signature', async() => {
+      await expectRevert(
+        aERC20Predicate.exitTokens(withdrawer, dummyAToken.address, burnLog({ from: withdrawer, amount: maTokenValue, eventSig: mockValues.bytes32[2] })),
+        'ERC20Predicate: INVALID_SIGNATURE'
+      )
+    })
+
+    it('Should revert when tokens are transferred instead of burnt', async() => {
+      await expectRevert(
+        aERC20Predicate.exitTokens(withdrawer, dummyAToken.address, burnLog({ from: withdrawer, to: mockValues.addresses[5], amount: maTokenValue })),
+        'ERC20Predicate: INVALID_RECEIVER'
+      )
+    })
+
+    it('Manager should be able to exit tokens', async() => {
+      const exitTokensTx = await aERC20Predicate.exitTokens(withdrawer, dummyAToken.address, burnLog({ from: withdrawer, amount: maTokenValue }))
+      should.exist(exitTokensTx)
+    })
+
+    it('Withdrawer should be paid aToken value at liquidity index', async() => {
+      const aTokenValue = p27Mul(maTokenValue, liquidityIndex)
+      const accountBalance = await dummyAToken.balanceOf(withdrawer)
+      accountBalance.should.be.a.bignumber.that.equals(aTokenValue)
+      const contractBalance = await dummyAToken.balanceOf(aERC20Predicate.address)
+      contractBalance.should.be.a.bignumber.that.equals(oldContractBalance.sub(aTokenValue))
+    })
+  })
+})
@@ -0,0 +1,155 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+
+import * as deployer from '../helpers/deployer'
+import { P27, p27Div, p27Mul } from '../helpers/p27'
+
+// Enable and inject BN dependency
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+// P27_SEED samples another set, P27_RUNS sets samples per token, P27_REPORT prints the worst rounding errors
+const seed = Number(process.env.P27_SEED || 27)
+const runs = Number(process.env.P27_RUNS || 1000)
+
+// amounts converted at each sampled index, setting an index takes a transaction
+const AMOUNTS_PER_INDEX = 10
+
+// mulberry32, seeded so failures can be replayed
+const random = (() => {
+  let state = seed
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000
+  }
+})()
+
+const randomInt = (max) => Math.floor(random() * max)
+
+const randomDigits = (digits) => {
+  let value = ''
+  for (let i = 0; i < digits; i++) {
+    value += randomInt(10)
+  }
+  return new BN(value)
+}
+
+// log uniform amount between 1 wei and 1e9 whole tokens, so dust is sampled as often as large deposits
+const randomAmount = (decimals) => randomDigits(1 + randomInt(decimals + 9)).addn(1)
+
+// liquidity index between 1.0 and 3.0 at full precision, Aave indices only grow from 1.0
+const randomIndex = () => P27.muln(1 + randomInt(2)).add(randomDigits(27))
+
+// p27Div then p27Mul rounds each step by at most half a unit, the first step scaled by index,
+// in either direction
+const roundTripBound = (index) => index.add(P27).div(P27.muln(2))
+
+const tokens = [
+  { symbol: 'USDC', decimals: 6 },
+  { symbol: 'USDT', decimals: 6 },
+  { symbol: 'DAI', decimals: 18 }
+]
+
+contract('aToken conversion', async(accounts) => {
+  const report = []
+  let contracts
+
+  const setIndex = (index) => contracts.lendingPool.setReserveNormalizedIncome(contracts.dummyERC20.address, index)
+  const getMATokenValues = (amounts) => Promise.all(amounts.map(amount => contracts.rootChainManager.getMATokenValue(contracts.dummyAToken.address, amount)))
+  const getATokenValues = (amounts) => Promise.all(amounts.map(amount => contracts.rootChainManager.getATokenValue(contracts.dummyAToken.address, amount)))
+
+  before(async() => {
+    contracts = await deployer.deployFreshATokenRootContracts(accounts)
+  })
+
+  after(() => {
+    if (!process.env.P27_REPORT) {
+      return
+    }
+    console.log(`\n      Rounding report, seed ${seed}, ${runs} samples per token`)
+    report.forEach(({ symbol, loss, overPayout }) => {
+      console.log(`      ${symbol}: worst round trip loss ${loss.error} wei (amount ${loss.amount}, index ${loss.index})`)
+      console.log(`      ${symbol}: worst round trip over payout ${overPayout.error} wei (amount ${overPayout.amount}, index ${overPayout.index})`)
+    })
+  })
+
+  tokens.forEach(({ symbol, decimals }) => {
+    describe(`${symbol} with ${decimals} decimals`, () => {
+      const result = {
+        symbol,
+        loss: { error: new BN(0) },
+        overPayout: { error: new BN(0) }
+      }
+
+      const record = (kind, error, amount, index) => {
+        if (error.gt(result[kind].error)) {
+          result[kind] = { error, amount, index }
+        }
+      }
+
+      before(() => {
+        report.push(result)
+      })
+
+      it('Deposit and exit at same index should match p27 model within rounding bound', async() => {
+        for (let i = 0; i < runs / AMOUNTS_PER_INDEX; i++) {
+          const index = randomIndex()
+          await setIndex(index)
+          const amounts = [...Array(AMOUNTS_PER_INDEX)].map(() => randomAmount(decimals))
+          const maTokenValues = await getMATokenValues(amounts)
+          const withdrawals = await getATokenValues(maTokenValues)
+
+          amounts.forEach((amount, j) => {
+            const message = `amount ${amount}, index ${index}`
+            maTokenValues[j].should.be.a.bignumber.that.equals(p27Div(amount, index), message)
+            withdrawals[j].should.be.a.bignumber.that.equals(p27Mul(maTokenValues[j], index), message)
+
+            if (withdrawals[j].gt(amount)) {
+              const overPayout = withdrawals[j].sub(amount)
+              overPayout.should.be.a.bignumber.at.most(roundTripBound(index), message)
+              // the extra wei are below a unit of scaled balance, the payout is worth exactly what the deposit added
+              p27Div(withdrawals[j], index).should.be.a.bignumber.that.equals(maTokenValues[j], message)
+              record('overPayout', overPayout, amount, index)
+            } else {
+              const loss = amount.sub(withdrawals[j])
+              loss.should.be.a.bignumber.at.most(roundTripBound(index), message)
+              record('loss', loss, amount, index)
+            }
+          })
+        }
+      })
+
+      it('Exits should never take more than the locked pool holds', async() => {
+        // Aave aTokens hold a scaled balance of p27Div(amount, index) and are worth p27Mul(scaled, index)
+        for (let i = 0; i < runs / (AMOUNTS_PER_INDEX * 10); i++) {
+          const depositIndex = randomIndex()
+          const exitIndex = depositIndex.add(randomDigits(26))
+          const deposits = [...Array(AMOUNTS_PER_INDEX)].map(() => randomAmount(decimals))
+
+          await setIndex(depositIndex)
+          const maTokenValues = await getMATokenValues(deposits)
+          await setIndex(exitIndex)
+          const payouts = await getATokenValues(maTokenValues)
+
+          let poolScaledBalance = new BN(0)
+          deposits.forEach(amount => {
+            poolScaledBalance = poolScaledBalance.add(p27Div(amount, depositIndex))
+          })
+          payouts.forEach(payout => {
+            poolScaledBalance = poolScaledBalance.sub(p27Div(payout, exitIndex))
+          })
+
+          // with an index of at least 1.0 p27Div undoes the half unit p27Mul rounds by,
+          // so the scaled balance each exit takes is exactly the scaled balance its deposit added
+          poolScaledBalance.should.be.a.bignumber.that.equals(new BN(0), `deposits ${deposits}, index ${depositIndex} to ${exitIndex}`)
+        }
+      })
+    })
+  })
+})
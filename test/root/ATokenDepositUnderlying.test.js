@@ -0,0 +1,156 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+import { p27Div } from '../helpers/p27'
+
+const { getUnderlying, depositUnderlying } = require('../../scripts/lib/underlying')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+contract('ATokenRootChainManager depositUnderlyingFor', async(accounts) => {
+  const depositor = accounts[0]
+  const depositReceiver = accounts[2]
+  const depositAmount = mockValues.amounts[2]
+  const index = new BN('1250000000000000000000000000')
+  const provider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  let root
+  let child
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, index)
+  })
+
+  describe('Deposit underlying', () => {
+    let depositTx
+    let underlyingBalance
+    let lockedBefore
+
+    before(async() => {
+      underlyingBalance = await root.dummyERC20.balanceOf(depositor)
+      lockedBefore = await root.dummyAToken.balanceOf(root.rootChainManager.address)
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount)
+      depositTx = await root.rootChainManager.depositUnderlyingFor(depositReceiver, root.dummyAToken.address, depositAmount)
+    })
+
+    it('Should take underlying asset from depositor', async() => {
+      const balance = await root.dummyERC20.balanceOf(depositor)
+      balance.should.be.a.bignumber.that.equals(underlyingBalance.sub(depositAmount))
+    })
+
+    it('Should supply underlying asset to Aave', async() => {
+      const reserve = await root.dummyERC20.balanceOf(root.dummyAToken.address)
+      reserve.should.be.a.bignumber.that.equals(depositAmount)
+      const allowance = await root.dummyERC20.allowance(root.rootChainManager.address, root.lendingPool.address)
+      allowance.should.be.a.bignumber.that.equals('0')
+    })
+
+    it('Should lock aTokens minted by the pool', async() => {
+      const locked = await root.dummyAToken.balanceOf(root.rootChainManager.address)
+      locked.should.be.a.bignumber.that.equals(lockedBefore.add(depositAmount))
+    })
+
+    it('Should emit LockedERC20 log with aToken amount', () => {
+      const [log] = depositTx.logs.filter(l => l.event === 'LockedERC20')
+      log.args.depositor.should.equal(depositor)
+      log.args.depositReceiver.should.equal(depositReceiver)
+      log.args.rootToken.should.equal(root.dummyAToken.address)
+      log.args.amount.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should mint maToken value on child chain', async() => {
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+      const balance = await child.dummyMAToken.balanceOf(depositReceiver)
+      balance.should.be.a.bignumber.that.equals(p27Div(depositAmount, index))
+    })
+  })
+
+  describe('Checks', () => {
+    beforeEach(async() => {
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount)
+    })
+
+    afterEach(async() => {
+      await root.dummyERC20.approve(root.rootChainManager.address, 0)
+    })
+
+    it('Should revert without approval of underlying asset', async() => {
+      await root.dummyERC20.approve(root.rootChainManager.address, 0)
+      await expectRevert(
+        root.rootChainManager.depositUnderlyingFor(depositReceiver, root.dummyAToken.address, depositAmount),
+        'ERC20: transfer amount exceeds allowance'
+      )
+    })
+
+    it('Should revert while depositing unmapped token', async() => {
+      const aToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+      await expectRevert(
+        root.rootChainManager.depositUnderlyingFor(depositReceiver, aToken.address, depositAmount),
+        'ATokenRootChainManager: TOKEN_NOT_MAPPED'
+      )
+    })
+
+    it('Should revert while depositing for zero address', async() => {
+      await expectRevert(
+        root.rootChainManager.depositUnderlyingFor(mockValues.zeroAddress, root.dummyAToken.address, depositAmount),
+        'ATokenRootChainManager: INVALID_USER'
+      )
+    })
+  })
+
+  describe('Helper', () => {
+    let rootChainManager
+    let result
+
+    before(async() => {
+      rootChainManager = new ethers.Contract(root.rootChainManager.address, contracts.ATokenRootChainManager.abi, provider.getSigner(depositor))
+      result = await depositUnderlying({
+        rootChainManager,
+        aToken: root.dummyAToken.address,
+        user: depositReceiver,
+        amount: depositAmount.toString()
+      })
+    })
+
+    it('Should resolve underlying asset of aToken', async() => {
+      const underlying = await getUnderlying(root.dummyAToken.address, provider)
+      underlying.address.should.equal(root.dummyERC20.address)
+      result.underlying.should.equal(root.dummyERC20.address)
+    })
+
+    it('Should approve and deposit', async() => {
+      chai.expect(result.approveTx).to.not.equal(null)
+      const receipt = await result.tx.wait()
+      receipt.status.should.equal(1)
+      const [locked] = receipt.logs
+        .filter(log => log.address === rootChainManager.address)
+        .map(log => rootChainManager.interface.parseLog(log))
+        .filter(log => log.name === 'LockedERC20')
+      locked.args.amount.toString().should.equal(depositAmount.toString())
+    })
+
+    it('Should not approve again within allowance', async() => {
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount.muln(2))
+      const { approveTx, tx } = await depositUnderlying({
+        rootChainManager,
+        aToken: root.dummyAToken.address,
+        user: depositReceiver,
+        amount: depositAmount.toString()
+      })
+      chai.expect(approveTx).to.equal(null)
+      const receipt = await tx.wait()
+      receipt.status.should.equal(1)
+    })
+  })
+})
@@ -0,0 +1,202 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+
+const { getPermitDomain, signPermit, depositWithPermit } = require('../../scripts/lib/permit')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('ATokenRootChainManager depositWithPermit', async(accounts) => {
+  const provider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  const wallet = ethers.Wallet.createRandom().connect(provider)
+  const otherWallet = ethers.Wallet.createRandom().connect(provider)
+  const depositReceiver = accounts[2]
+  const depositAmount = mockValues.amounts[2]
+  let root
+  let child
+  let permitAToken
+  let rootChainManager
+
+  const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    permitAToken = await contracts.DummyPermitAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+    const mapTx = await root.rootChainManager.mapToken(permitAToken.address)
+    await syncATokenState({ tx: mapTx, childChainManager: child.childChainManager })
+
+    await rootWeb3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: ethers.utils.parseEther('1').toString() })
+    await permitAToken.transfer(wallet.address, depositAmount.muln(10))
+    await root.dummyAToken.transfer(wallet.address, depositAmount.muln(10))
+    rootChainManager = new ethers.Contract(root.rootChainManager.address, contracts.ATokenRootChainManager.abi, wallet)
+  })
+
+  describe('Permit domain', () => {
+    it('Should match DOMAIN_SEPARATOR of aToken', async() => {
+      const domain = await getPermitDomain(permitAToken.address, provider)
+      domain.name.should.equal(await permitAToken.name())
+      ethers.utils._TypedDataEncoder.hashDomain(domain).should.equal(await permitAToken.DOMAIN_SEPARATOR())
+    })
+
+    it('Should reject other chain id', async() => {
+      await getPermitDomain(permitAToken.address, provider, 137).should.be.rejectedWith('does not match its DOMAIN_SEPARATOR')
+    })
+  })
+
+  describe('Deposit with permit', () => {
+    let receipt
+    let permit
+
+    before(async() => {
+      let tx
+      ;({ tx, permit } = await depositWithPermit({
+        rootChainManager,
+        aToken: permitAToken.address,
+        user: depositReceiver,
+        value: depositAmount.toString()
+      }))
+      receipt = await tx.wait()
+    })
+
+    it('Should deposit in a single transaction without approve', async() => {
+      receipt.status.should.equal(1)
+      permit.owner.should.equal(wallet.address)
+      permit.spender.should.equal(rootChainManager.address)
+    })
+
+    it('Should emit LockedERC20', () => {
+      const [locked] = receipt.logs
+        .filter(log => log.address === rootChainManager.address)
+        .map(log => rootChainManager.interface.parseLog(log))
+        .filter(log => log.name === 'LockedERC20')
+      locked.args.depositor.should.equal(wallet.address)
+      locked.args.depositReceiver.should.equal(depositReceiver)
+      locked.args.rootToken.should.equal(permitAToken.address)
+      locked.args.amount.toString().should.equal(depositAmount.toString())
+    })
+
+    it('Should lock aTokens and use the whole allowance', async() => {
+      const locked = await permitAToken.balanceOf(rootChainManager.address)
+      locked.should.be.a.bignumber.that.equals(depositAmount)
+      const allowance = await permitAToken.allowance(wallet.address, rootChainManager.address)
+      allowance.should.be.a.bignumber.that.equals('0')
+    })
+
+    it('Should increment permit nonce', async() => {
+      const nonce = await permitAToken._nonces(wallet.address)
+      nonce.should.be.a.bignumber.that.equals('1')
+    })
+
+    it('Should mint maTokens on child chain', async() => {
+      const syncTx = { receipt: { rawLogs: receipt.logs } }
+      await syncATokenState({ tx: syncTx, childChainManager: child.childChainManager })
+      const maToken = await contracts.UChildERC20.at(await child.childChainManager.rootToChildToken(permitAToken.address))
+      const balance = await maToken.balanceOf(depositReceiver)
+      balance.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should reject replayed permit', async() => {
+      await expectRevert(
+        root.rootChainManager.depositWithPermit(depositReceiver, permitAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s, { from: accounts[0] }),
+        'INVALID_SIGNATURE'
+      )
+    })
+  })
+
+  describe('Permit submitted before deposit', () => {
+    let permit
+    let receipt
+
+    before(async() => {
+      permit = await signPermit({
+        aToken: permitAToken.address,
+        signer: wallet,
+        spender: rootChainManager.address,
+        value: depositAmount.toString()
+      })
+      // anyone can submit a permit seen in the mempool ahead of the deposit
+      await permitAToken.permit(wallet.address, rootChainManager.address, depositAmount, permit.deadline, permit.v, permit.r, permit.s, { from: accounts[3] })
+      const tx = await rootChainManager.depositWithPermit(depositReceiver, permitAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s)
+      receipt = await tx.wait()
+    })
+
+    it('Should deposit with the allowance of the permit', async() => {
+      receipt.status.should.equal(1)
+      const locked = await permitAToken.balanceOf(rootChainManager.address)
+      locked.should.be.a.bignumber.that.equals(depositAmount.muln(2))
+      const allowance = await permitAToken.allowance(wallet.address, rootChainManager.address)
+      allowance.should.be.a.bignumber.that.equals('0')
+    })
+  })
+
+  describe('Checks', () => {
+    it('Should revert with expired deadline', async() => {
+      const { timestamp } = await provider.getBlock('latest')
+      const permit = await signPermit({
+        aToken: permitAToken.address,
+        signer: wallet,
+        spender: rootChainManager.address,
+        value: depositAmount.toString(),
+        deadline: timestamp - 1
+      })
+      await rootChainManager.callStatic.depositWithPermit(depositReceiver, permitAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s)
+        .should.be.rejectedWith('INVALID_EXPIRATION')
+    })
+
+    it('Should revert with permit of another signer', async() => {
+      const permit = await signPermit({
+        aToken: permitAToken.address,
+        signer: otherWallet,
+        spender: rootChainManager.address,
+        value: depositAmount.toString()
+      })
+      await rootChainManager.callStatic.depositWithPermit(depositReceiver, permitAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s)
+        .should.be.rejectedWith('INVALID_SIGNATURE')
+    })
+
+    it('Should revert with permit for another value', async() => {
+      const permit = await signPermit({
+        aToken: permitAToken.address,
+        signer: wallet,
+        spender: rootChainManager.address,
+        value: depositAmount.muln(2).toString()
+      })
+      await rootChainManager.callStatic.depositWithPermit(depositReceiver, permitAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s)
+        .should.be.rejectedWith('INVALID_SIGNATURE')
+    })
+
+    it('Should revert for aToken without permit', async() => {
+      const permit = await signPermit({
+        aToken: permitAToken.address,
+        signer: wallet,
+        spender: rootChainManager.address,
+        value: depositAmount.toString()
+      })
+      await expectRevert.unspecified(
+        root.rootChainManager.depositWithPermit(depositReceiver, root.dummyAToken.address, depositData, permit.deadline, permit.v, permit.r, permit.s, { from: accounts[0] })
+      )
+    })
+
+    it('Should not sign permit for aToken without permit', async() => {
+      await signPermit({
+        aToken: root.dummyAToken.address,
+        signer: wallet,
+        spender: rootChainManager.address,
+        value: depositAmount.toString()
+      }).should.be.rejected
+    })
+  })
+})
@@ -0,0 +1,137 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { expectRevert } from '@openzeppelin/test-helpers'
+import { rlp } from 'ethereumjs-util'
+
+import * as deployer from '../helpers/deployer'
+import { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { submitCheckpoint } from '../helpers/checkpoint'
+import { syncATokenState } from '../helpers/state-sync'
+import { p27Div, p27Mul } from '../helpers/p27'
+
+const { checkpointManagerAbi, rootChainManagerAbi, buildPayloadForExitHermione } = require('../../scripts/exit-manager')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+contract('ATokenRootChainManager exit to underlying asset', async(accounts) => {
+  const aTokenWithdrawer = accounts[1]
+  const underlyingWithdrawer = accounts[3]
+  const depositAmount = mockValues.amounts[3]
+  const index = new BN('1250000000000000000000000000')
+  const maTokenValue = p27Div(depositAmount, index)
+  const aTokenValue = p27Mul(maTokenValue, index)
+  let root
+  let child
+  let checkpointManager
+  let rootChainManager
+
+  const burn = async(withdrawer) => {
+    const withdrawTx = await child.dummyMAToken.withdraw(maTokenValue, { from: withdrawer })
+    await submitCheckpoint(root.checkpointManager, withdrawTx.receipt)
+    return withdrawTx
+  }
+
+  const buildPayload = (withdrawTx, options = {}) =>
+    buildPayloadForExitHermione(withdrawTx.tx, Object.assign({ childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 }, options))
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    checkpointManager = new rootWeb3.eth.Contract(checkpointManagerAbi, root.checkpointManager.address)
+    rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+    await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, index)
+
+    // both withdrawers supply the underlying asset, which the pool keeps at the aToken
+    for (const withdrawer of [aTokenWithdrawer, underlyingWithdrawer]) {
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount)
+      const depositTx = await root.rootChainManager.depositUnderlyingFor(withdrawer, root.dummyAToken.address, depositAmount)
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    }
+  })
+
+  describe('Exit to aTokens', () => {
+    let payload
+    let oldATokenBalance
+    let oldUnderlyingBalance
+
+    before(async() => {
+      payload = await buildPayload(await burn(aTokenWithdrawer))
+      oldATokenBalance = await root.dummyAToken.balanceOf(aTokenWithdrawer)
+      oldUnderlyingBalance = await root.dummyERC20.balanceOf(aTokenWithdrawer)
+    })
+
+    it('Should build payload without redeemUnderlying', () => {
+      rlp.decode(payload).length.should.equal(10)
+    })
+
+    it('Should pay out aTokens', async() => {
+      await root.rootChainManager.exit(payload)
+      const balance = await root.dummyAToken.balanceOf(aTokenWithdrawer)
+      balance.sub(oldATokenBalance).should.be.a.bignumber.that.equals(aTokenValue)
+      const underlyingBalance = await root.dummyERC20.balanceOf(aTokenWithdrawer)
+      underlyingBalance.should.be.a.bignumber.that.equals(oldUnderlyingBalance)
+    })
+  })
+
+  describe('Exit to underlying asset', () => {
+    let payload
+    let withdrawTx
+    let oldATokenBalance
+    let oldUnderlyingBalance
+    let oldLockedBalance
+    let oldReserve
+
+    before(async() => {
+      withdrawTx = await burn(underlyingWithdrawer)
+      payload = await buildPayload(withdrawTx, { redeemUnderlying: true })
+      oldATokenBalance = await root.dummyAToken.balanceOf(underlyingWithdrawer)
+      oldUnderlyingBalance = await root.dummyERC20.balanceOf(underlyingWithdrawer)
+      oldLockedBalance = await root.dummyAToken.balanceOf(root.rootChainManager.address)
+      oldReserve = await root.dummyERC20.balanceOf(root.dummyAToken.address)
+    })
+
+    it('Should build payload with redeemUnderlying', () => {
+      const inputData = rlp.decode(payload)
+      inputData.length.should.equal(11)
+      new BN(inputData[10]).should.be.a.bignumber.that.equals('1')
+    })
+
+    it('Should fail: redeem from another account than withdrawer', async() => {
+      await expectRevert(
+        root.rootChainManager.exit(payload, { from: accounts[0] }),
+        'ATokenRootChainManager: ONLY_WITHDRAWER_CAN_REDEEM'
+      )
+    })
+
+    it('Withdrawer should be able to exit', async() => {
+      await root.rootChainManager.exit(payload, { from: underlyingWithdrawer })
+    })
+
+    it('Should pay out underlying asset of aToken value', async() => {
+      const underlyingBalance = await root.dummyERC20.balanceOf(underlyingWithdrawer)
+      underlyingBalance.sub(oldUnderlyingBalance).should.be.a.bignumber.that.equals(aTokenValue)
+      const aTokenBalance = await root.dummyAToken.balanceOf(underlyingWithdrawer)
+      aTokenBalance.should.be.a.bignumber.that.equals(oldATokenBalance)
+    })
+
+    it('Should withdraw locked aTokens from Aave', async() => {
+      const lockedBalance = await root.dummyAToken.balanceOf(root.rootChainManager.address)
+      lockedBalance.should.be.a.bignumber.that.equals(oldLockedBalance.sub(aTokenValue))
+      const reserve = await root.dummyERC20.balanceOf(root.dummyAToken.address)
+      reserve.should.be.a.bignumber.that.equals(oldReserve.sub(aTokenValue))
+    })
+
+    it('Should fail: replay processed exit as aTokens', async() => {
+      const aTokenPayload = await buildPayload(withdrawTx)
+      await expectRevert(
+        root.rootChainManager.exit(aTokenPayload),
+        'ATokenRootChainManager: EXIT_ALREADY_PROCESSED'
+      )
+    })
+  })
+})
@@ -0,0 +1,231 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { submitCheckpoint } from '../helpers/checkpoint'
+import { syncATokenState } from '../helpers/state-sync'
+
+const { checkpointManagerAbi, rootChainManagerAbi, buildPayloadForExitHermione } = require('../../scripts/exit-manager')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('ATokenRootChainManager pause', async(accounts) => {
+  const owner = accounts[0]
+  const guardian = accounts[4]
+  const stranger = accounts[5]
+  const withdrawer = accounts[1]
+  const depositAmount = mockValues.amounts[2]
+  const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+  let root
+  let child
+  let otherAToken
+  let checkpointManager
+  let rootChainManager
+
+  const deposit = (rootToken = root.dummyAToken) => rootToken.approve(root.rootChainManager.address, depositAmount)
+    .then(() => root.rootChainManager.depositFor(withdrawer, rootToken.address, depositData))
+
+  // burns maTokens of the withdrawer and checkpoints the burn, resolves to the exit payload
+  const burn = async(maToken = child.dummyMAToken) => {
+    const withdrawTx = await maToken.withdraw(depositAmount, { from: withdrawer })
+    await submitCheckpoint(root.checkpointManager, withdrawTx.receipt)
+    return buildPayloadForExitHermione(withdrawTx.tx, { childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 })
+  }
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    checkpointManager = new rootWeb3.eth.Contract(checkpointManagerAbi, root.checkpointManager.address)
+    rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+    otherAToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+    const mapTx = await root.rootChainManager.mapToken(otherAToken.address)
+    await syncATokenState({ tx: mapTx, childChainManager: child.childChainManager })
+    child.otherMAToken = await contracts.UChildERC20.at(await child.childChainManager.rootToChildToken(otherAToken.address))
+
+    for (const rootToken of [root.dummyAToken, otherAToken, root.dummyAToken, otherAToken]) {
+      const depositTx = await deposit(rootToken)
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    }
+  })
+
+  describe('Guardian', () => {
+    it('Should not be set initially', async() => {
+      const current = await root.rootChainManager.guardian()
+      current.should.equal(mockValues.zeroAddress)
+    })
+
+    it('Should revert while setting guardian from non owner account', async() => {
+      await expectRevert(
+        root.rootChainManager.setGuardian(guardian, { from: stranger }),
+        'Is not owner'
+      )
+    })
+
+    it('Owner should be able to set guardian', async() => {
+      const tx = await root.rootChainManager.setGuardian(guardian, { from: owner })
+      const log = tx.logs.find(l => l.event === 'SetGuardian')
+      log.args._previousGuardian.should.equal(mockValues.zeroAddress)
+      log.args._newGuardian.should.equal(guardian)
+      const current = await root.rootChainManager.guardian()
+      current.should.equal(guardian)
+    })
+
+    it('Should revert while pausing from account other than owner or guardian', async() => {
+      await expectRevert(
+        root.rootChainManager.setDepositsPaused(true, { from: stranger }),
+        'Is not owner or guardian'
+      )
+      await expectRevert(
+        root.rootChainManager.setTokenPaused(root.dummyAToken.address, true, { from: withdrawer }),
+        'Is not owner or guardian'
+      )
+    })
+  })
+
+  describe('Deposits', () => {
+    it('Guardian should be able to pause deposits', async() => {
+      const tx = await root.rootChainManager.setDepositsPaused(true, { from: guardian })
+      const log = tx.logs.find(l => l.event === 'SetDepositsPaused')
+      log.args._paused.should.equal(true)
+      const paused = await root.rootChainManager.depositsPaused()
+      paused.should.equal(true)
+    })
+
+    it('Should revert while depositing', async() => {
+      await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+      await expectRevert(
+        root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, depositData),
+        'ATokenRootChainManager: DEPOSITS_PAUSED'
+      )
+    })
+
+    it('Should revert while depositing underlying asset', async() => {
+      await root.dummyERC20.approve(root.rootChainManager.address, depositAmount)
+      await expectRevert(
+        root.rootChainManager.depositUnderlyingFor(withdrawer, root.dummyAToken.address, depositAmount),
+        'ATokenRootChainManager: DEPOSITS_PAUSED'
+      )
+      await root.dummyERC20.approve(root.rootChainManager.address, 0)
+    })
+
+    it('Should deposit again once unpaused', async() => {
+      await root.rootChainManager.setDepositsPaused(false, { from: guardian })
+      const depositTx = await deposit()
+      depositTx.logs.find(l => l.event === 'LockedERC20').args.amount.should.be.a.bignumber.that.equals(depositAmount)
+    })
+  })
+
+  describe('Mappings', () => {
+    it('Owner should be able to pause mappings', async() => {
+      const tx = await root.rootChainManager.setMappingsPaused(true, { from: owner })
+      tx.logs.find(l => l.event === 'SetMappingsPaused').args._paused.should.equal(true)
+      const paused = await root.rootChainManager.mappingsPaused()
+      paused.should.equal(true)
+    })
+
+    it('Should revert while mapping', async() => {
+      await expectRevert(
+        root.rootChainManager.mapToken(root.dummyERC20.address),
+        'ATokenRootChainManager: MAPPINGS_PAUSED'
+      )
+    })
+
+    it('Should revert while remapping', async() => {
+      await expectRevert(
+        root.rootChainManager.remapToken(root.dummyAToken.address),
+        'ATokenRootChainManager: MAPPINGS_PAUSED'
+      )
+      await root.rootChainManager.setMappingsPaused(false, { from: owner })
+    })
+  })
+
+  describe('Exits', () => {
+    let payload
+
+    before(async() => {
+      await root.rootChainManager.setExitsPaused(true, { from: guardian })
+      payload = await burn()
+    })
+
+    it('Should report exits paused', async() => {
+      const paused = await root.rootChainManager.exitsPaused()
+      paused.should.equal(true)
+    })
+
+    it('Should revert while exiting', async() => {
+      await expectRevert(
+        root.rootChainManager.exit(payload),
+        'ATokenRootChainManager: EXITS_PAUSED'
+      )
+    })
+
+    it('Should exit burn made while paused once unpaused', async() => {
+      await root.rootChainManager.setExitsPaused(false, { from: owner })
+      const balance = await root.dummyAToken.balanceOf(withdrawer)
+      await root.rootChainManager.exit(payload)
+      const newBalance = await root.dummyAToken.balanceOf(withdrawer)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(depositAmount)
+    })
+  })
+
+  describe('Single token', () => {
+    let payload
+    let otherPayload
+
+    before(async() => {
+      payload = await burn()
+      otherPayload = await burn(child.otherMAToken)
+      const tx = await root.rootChainManager.setTokenPaused(root.dummyAToken.address, true, { from: guardian })
+      const log = tx.logs.find(l => l.event === 'SetTokenPaused')
+      log.args._rootToken.should.equal(root.dummyAToken.address)
+      log.args._paused.should.equal(true)
+    })
+
+    it('Should report paused token only', async() => {
+      const paused = await root.rootChainManager.tokenPaused(root.dummyAToken.address)
+      paused.should.equal(true)
+      const otherPaused = await root.rootChainManager.tokenPaused(otherAToken.address)
+      otherPaused.should.equal(false)
+      const depositsPaused = await root.rootChainManager.depositsPaused()
+      depositsPaused.should.equal(false)
+    })
+
+    it('Should revert while depositing paused token', async() => {
+      await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+      await expectRevert(
+        root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, depositData),
+        'ATokenRootChainManager: TOKEN_PAUSED'
+      )
+    })
+
+    it('Should revert while exiting paused token', async() => {
+      await expectRevert(
+        root.rootChainManager.exit(payload),
+        'ATokenRootChainManager: TOKEN_PAUSED'
+      )
+    })
+
+    it('Should deposit and exit other tokens', async() => {
+      await deposit(otherAToken)
+      const balance = await otherAToken.balanceOf(withdrawer)
+      await root.rootChainManager.exit(otherPayload)
+      const newBalance = await otherAToken.balanceOf(withdrawer)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should exit paused token once unpaused', async() => {
+      await root.rootChainManager.setTokenPaused(root.dummyAToken.address, false, { from: owner })
+      await root.rootChainManager.exit(payload)
+    })
+  })
+})
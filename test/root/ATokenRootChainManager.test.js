@@ -0,0 +1,400 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { expectRevert } from '@openzeppelin/test-helpers'
+import { bufferToHex, rlp } from 'ethereumjs-util'
+
+import * as deployer from '../helpers/deployer'
+import { mockValues } from '../helpers/constants'
+import { childWeb3 } from '../helpers/contracts'
+import { submitCheckpoint } from '../helpers/checkpoint'
+import { getFakeReceiptBytes } from '../helpers/proofs'
+import { syncATokenState } from '../helpers/state-sync'
+import { P27, p27Div, p27Mul } from '../helpers/p27'
+
+const { getBranchMask, getExitHash } = require('../../scripts/lib/preview')
+
+// Enable and inject BN dependency
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const should = chai.should()
+const { defaultAbiCoder: abi } = ethers.utils
+
+const exitData = (headerNumber, checkpointData, receipt = checkpointData.receipt) => bufferToHex(
+  rlp.encode([
+    headerNumber,
+    bufferToHex(Buffer.concat(checkpointData.proof)),
+    checkpointData.number,
+    checkpointData.timestamp,
+    bufferToHex(checkpointData.transactionsRoot),
+    bufferToHex(checkpointData.receiptsRoot),
+    bufferToHex(receipt),
+    bufferToHex(rlp.encode(checkpointData.receiptParentNodes)),
+    bufferToHex(checkpointData.path), // branch mask
+    0 // receipt log index, the burn is the only log of withdraw
+  ])
+)
+
+contract('ATokenRootChainManager', async(accounts) => {
+  describe('Set values', async() => {
+    let contracts
+    before(async() => {
+      contracts = await deployer.deployFreshATokenRootContracts(accounts)
+    })
+
+    it('Should be initialized with owner as mapper', async() => {
+      const owner = await contracts.rootChainManager.owner()
+      owner.should.equal(accounts[0])
+      const mapper = await contracts.rootChainManager.mapper()
+      mapper.should.equal(accounts[0])
+    })
+
+    it('Should revert while initializing again', async() => {
+      await expectRevert(
+        contracts.rootChainManager.initialize(accounts[1], mockValues.addresses[0], mockValues.addresses[1], mockValues.addresses[2], mockValues.bytes32[0]),
+        'already inited'
+      )
+    })
+
+    it('Can set stateSender', async() => {
+      await contracts.rootChainManager.setStateSender(mockValues.addresses[0])
+      const stateSender = await contracts.rootChainManager.stateSender()
+      stateSender.should.equal(mockValues.addresses[0])
+    })
+
+    it('Can set checkpointManager', async() => {
+      await contracts.rootChainManager.setCheckpointManager(mockValues.addresses[1])
+      const checkpointManager = await contracts.rootChainManager.checkpointManagerAddress()
+      checkpointManager.should.equal(mockValues.addresses[1])
+    })
+
+    it('Should revert while setting zero childChainManagerAddress', async() => {
+      await expectRevert(
+        contracts.rootChainManager.setChildChainManagerAddress(mockValues.zeroAddress),
+        'ATokenRootChainManager: INVALID_CHILD_CHAIN_ADDRESS'
+      )
+    })
+
+    it('Should revert while setting values from non owner account', async() => {
+      await expectRevert(
+        contracts.rootChainManager.setStateSender(mockValues.addresses[3], { from: accounts[4] }),
+        'Is not owner'
+      )
+      await expectRevert(
+        contracts.rootChainManager.setMapper(accounts[4], { from: accounts[4] }),
+        'Is not owner'
+      )
+    })
+
+    it('Can set mapper', async() => {
+      await contracts.rootChainManager.setMapper(accounts[2])
+      const mapper = await contracts.rootChainManager.mapper()
+      mapper.should.equal(accounts[2])
+    })
+
+    it('Can set owner', async() => {
+      await contracts.rootChainManager.setOwner(accounts[1])
+      const owner = await contracts.rootChainManager.owner()
+      owner.should.equal(accounts[1])
+      await expectRevert(contracts.rootChainManager.setOwner(accounts[0]), 'Is not owner')
+    })
+
+    it('Should reject ether', async() => {
+      await expectRevert(
+        contracts.rootChainManager.send(1),
+        'Cannot send ETH over aToken bridge'
+      )
+    })
+  })
+
+  describe('Token mapping', async() => {
+    let contracts
+    let childToken
+    let mapTx
+
+    before(async() => {
+      contracts = await deployer.deployFreshATokenRootContracts(accounts)
+    })
+
+    it('Should revert while mapping from non mapper account', async() => {
+      await expectRevert(
+        contracts.rootChainManager.mapToken(contracts.dummyAToken.address, { from: accounts[4] }),
+        'Is not mapper'
+      )
+    })
+
+    it('Mapper should be able to map token', async() => {
+      mapTx = await contracts.rootChainManager.mapToken(contracts.dummyAToken.address)
+      should.exist(mapTx)
+    })
+
+    it('Should map to precomputed child token', async() => {
+      childToken = await contracts.rootChainManager.childTokenAddress(contracts.dummyAToken.address)
+      const mappedChildToken = await contracts.rootChainManager.rootToChildToken(contracts.dummyAToken.address)
+      mappedChildToken.should.equal(childToken)
+      const rootToken = await contracts.rootChainManager.childToRootToken(childToken)
+      rootToken.should.equal(contracts.dummyAToken.address)
+    })
+
+    it('Should emit TokenMapped log', () => {
+      const mappedLog = mapTx.logs.find(l => l.event === 'TokenMapped')
+      should.exist(mappedLog)
+      mappedLog.args.rootToken.should.equal(contracts.dummyAToken.address)
+      mappedLog.args.childToken.should.equal(childToken)
+    })
+
+    it('Should send MAP_TOKEN state sync with maToken name and symbol', async() => {
+      const [syncLog] = mapTx.receipt.rawLogs.filter(l => l.address === contracts.dummyStateSender.address)
+      const [data] = abi.decode(['bytes'], syncLog.data)
+      const [syncType, syncData] = abi.decode(['bytes32', 'bytes'], data)
+      syncType.should.equal(await contracts.rootChainManager.MAP_TOKEN())
+      const [rootToken, name, symbol, decimals] = abi.decode(['address', 'string', 'string', 'uint8'], syncData)
+      rootToken.should.equal(contracts.dummyAToken.address)
+      name.should.equal('Matic Aave interest bearing DERC20')
+      symbol.should.equal('maDERC20')
+      decimals.should.equal(18)
+    })
+
+    it('Should revert while mapping again', async() => {
+      await expectRevert(
+        contracts.rootChainManager.mapToken(contracts.dummyAToken.address),
+        'ATokenRootChainManager: ALREADY_MAPPED'
+      )
+    })
+
+    it('Should revert while remapping to the same child token', async() => {
+      await expectRevert(
+        contracts.rootChainManager.remapToken(contracts.dummyAToken.address),
+        'ATokenRootChainManager: Child token is the same'
+      )
+    })
+
+    it('Should remap to child token of new bytecode hash', async() => {
+      await contracts.rootChainManager.setChildTokenBytecodeHash(mockValues.bytes32[1])
+      await contracts.rootChainManager.remapToken(contracts.dummyAToken.address)
+      const newChildToken = await contracts.rootChainManager.rootToChildToken(contracts.dummyAToken.address)
+      newChildToken.should.not.equal(childToken)
+      newChildToken.should.equal(await contracts.rootChainManager.childTokenAddress(contracts.dummyAToken.address))
+      const oldRootToken = await contracts.rootChainManager.childToRootToken(childToken)
+      oldRootToken.should.equal(mockValues.zeroAddress)
+    })
+  })
+
+  describe('Deposit aToken', async() => {
+    // liquidity index of 1.05
+    const liquidityIndex = new BN('1050000000000000000000000000')
+    const depositAmount = mockValues.amounts[3]
+    const depositReceiver = accounts[1]
+    const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+    let contracts
+    let oldAccountBalance
+    let depositTx
+    let lockedLog
+
+    before(async() => {
+      contracts = await deployer.deployInitializedATokenContracts(accounts)
+      await contracts.root.lendingPool.setReserveNormalizedIncome(contracts.root.dummyERC20.address, liquidityIndex)
+      oldAccountBalance = await contracts.root.dummyAToken.balanceOf(accounts[0])
+    })
+
+    it('Should revert without approval', async() => {
+      await expectRevert(
+        contracts.root.rootChainManager.depositFor(depositReceiver, contracts.root.dummyAToken.address, depositData),
+        'ERC20: transfer amount exceeds allowance'
+      )
+    })
+
+    it('Depositor should be able to approve and deposit', async() => {
+      await contracts.root.dummyAToken.approve(contracts.root.rootChainManager.address, depositAmount)
+      depositTx = await contracts.root.rootChainManager.depositFor(depositReceiver, contracts.root.dummyAToken.address, depositData)
+      should.exist(depositTx)
+    })
+
+    it('Should emit LockedERC20 log with aToken amount', () => {
+      lockedLog = depositTx.logs.find(l => l.event === 'LockedERC20')
+      should.exist(lockedLog)
+      lockedLog.args.depositor.should.equal(accounts[0])
+      lockedLog.args.depositReceiver.should.equal(depositReceiver)
+      lockedLog.args.rootToken.should.equal(contracts.root.dummyAToken.address)
+      lockedLog.args.amount.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Deposit amount should be locked in root chain manager', async() => {
+      const accountBalance = await contracts.root.dummyAToken.balanceOf(accounts[0])
+      accountBalance.should.be.a.bignumber.that.equals(oldAccountBalance.sub(depositAmount))
+      const lockedBalance = await contracts.root.dummyAToken.balanceOf(contracts.root.rootChainManager.address)
+      lockedBalance.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should mint maToken value on child chain', async() => {
+      await syncATokenState({ tx: depositTx, childChainManager: contracts.child.childChainManager })
+      const balance = await contracts.child.dummyMAToken.balanceOf(depositReceiver)
+      balance.should.be.a.bignumber.that.equals(p27Div(depositAmount, liquidityIndex))
+      balance.should.be.a.bignumber.that.equals(await contracts.root.rootChainManager.getMATokenValue(contracts.root.dummyAToken.address, depositAmount))
+    })
+
+    it('Should revert while depositing unmapped token', async() => {
+      await expectRevert(
+        contracts.root.rootChainManager.depositFor(depositReceiver, contracts.root.dummyERC20.address, depositData),
+        'ATokenRootChainManager: TOKEN_NOT_MAPPED'
+      )
+    })
+
+    it('Should revert while depositing for zero address', async() => {
+      await expectRevert(
+        contracts.root.rootChainManager.depositFor(mockValues.zeroAddress, contracts.root.dummyAToken.address, depositData),
+        'ATokenRootChainManager: INVALID_USER'
+      )
+    })
+  })
+
+  describe('Exit maToken', async() => {
+    const depositIndex = new BN('1050000000000000000000000000')
+    // interest accrued between deposit and exit
+    const exitIndex = new BN('1100000000000000000000000000')
+    const depositAmount = mockValues.amounts[3]
+    const withdrawer = accounts[1]
+    let contracts
+    let maTokenValue
+    let withdrawTx
+    let checkpointData
+    let headerNumber
+    let oldWithdrawerBalance
+
+    before(async() => {
+      contracts = await deployer.deployInitializedATokenContracts(accounts)
+      const { root, child } = contracts
+      await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, depositIndex)
+      await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+      const depositTx = await root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+      maTokenValue = await child.dummyMAToken.balanceOf(withdrawer)
+
+      // aToken balances grow with the index, mint the interest to the locked balance
+      const interest = p27Mul(maTokenValue, exitIndex).sub(depositAmount)
+      await root.dummyAToken.mint(interest)
+      await root.dummyAToken.transfer(root.rootChainManager.address, interest)
+      await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, exitIndex)
+      oldWithdrawerBalance = await root.dummyAToken.balanceOf(withdrawer)
+    })
+
+    it('Withdrawer should be able to burn maTokens', async() => {
+      withdrawTx = await contracts.child.dummyMAToken.withdraw(maTokenValue, { from: withdrawer })
+      should.exist(withdrawTx)
+      const balance = await contracts.child.dummyMAToken.balanceOf(withdrawer)
+      balance.should.be.a.bignumber.that.equals('0')
+    })
+
+    it('Should submit checkpoint', async() => {
+      checkpointData = await submitCheckpoint(contracts.root.checkpointManager, withdrawTx.receipt)
+      headerNumber = await contracts.root.checkpointManager.currentCheckpointNumber()
+      const headerData = await contracts.root.checkpointManager.headerBlocks(headerNumber)
+      headerData.root.should.equal(bufferToHex(checkpointData.header.root))
+    })
+
+    it('Should fail: exit with a random data receipt', async() => {
+      const receipt = await childWeb3.eth.getTransactionReceipt(withdrawTx.receipt.transactionHash)
+      await expectRevert(
+        contracts.root.rootChainManager.exit(exitData(headerNumber, checkpointData, getFakeReceiptBytes(receipt, ''))),
+        'ATokenRootChainManager: INVALID_PROOF'
+      )
+    })
+
+    it('Should exit', async() => {
+      const exitTx = await contracts.root.rootChainManager.exit(exitData(headerNumber, checkpointData))
+      should.exist(exitTx)
+    })
+
+    it('Should pay out aToken value at exit liquidity index', async() => {
+      const balance = await contracts.root.dummyAToken.balanceOf(withdrawer)
+      const aTokenValue = balance.sub(oldWithdrawerBalance)
+      aTokenValue.should.be.a.bignumber.that.equals(p27Mul(maTokenValue, exitIndex))
+      aTokenValue.should.be.a.bignumber.that.equals(await contracts.root.rootChainManager.getATokenValue(contracts.root.dummyAToken.address, maTokenValue))
+    })
+
+    it('Should mark exit hash as processed', async() => {
+      const exitHash = getExitHash(checkpointData.number, getBranchMask(withdrawTx.receipt.transactionIndex), 0)
+      const processed = await contracts.root.rootChainManager.processedExits(exitHash)
+      processed.should.equal(true)
+    })
+
+    it('Should fail: replay processed exit', async() => {
+      await expectRevert(
+        contracts.root.rootChainManager.exit(exitData(headerNumber, checkpointData)),
+        'ATokenRootChainManager: EXIT_ALREADY_PROCESSED'
+      )
+    })
+  })
+
+  describe('Rounding', async() => {
+    let contracts
+    let aToken
+
+    const setIndex = (index) => contracts.lendingPool.setReserveNormalizedIncome(contracts.dummyERC20.address, index)
+
+    before(async() => {
+      contracts = await deployer.deployFreshATokenRootContracts(accounts)
+      aToken = contracts.dummyAToken.address
+    })
+
+    it('Should convert 1:1 at index of one', async() => {
+      await setIndex(P27)
+      const maTokenValue = await contracts.rootChainManager.getMATokenValue(aToken, mockValues.amounts[5])
+      maTokenValue.should.be.a.bignumber.that.equals(mockValues.amounts[5])
+      const aTokenValue = await contracts.rootChainManager.getATokenValue(aToken, mockValues.amounts[5])
+      aTokenValue.should.be.a.bignumber.that.equals(mockValues.amounts[5])
+    })
+
+    it('Should round maToken value half up', async() => {
+      await setIndex(new BN('1500000000000000000000000000'))
+      // 1 / 1.5 = 0.67 and 2 / 1.5 = 1.33
+      const one = await contracts.rootChainManager.getMATokenValue(aToken, 1)
+      one.should.be.a.bignumber.that.equals('1')
+      const two = await contracts.rootChainManager.getMATokenValue(aToken, 2)
+      two.should.be.a.bignumber.that.equals('1')
+    })
+
+    it('Should round aToken value half up', async() => {
+      await setIndex(new BN('1500000000000000000000000000'))
+      // a round trip of 1 wei pays out 1.5, rounded to 2
+      const aTokenValue = await contracts.rootChainManager.getATokenValue(aToken, 1)
+      aTokenValue.should.be.a.bignumber.that.equals('2')
+    })
+
+    it('Should mint nothing for dust below half a maToken', async() => {
+      await setIndex(new BN('3000000000000000000000000000'))
+      const maTokenValue = await contracts.rootChainManager.getMATokenValue(aToken, 1)
+      maTokenValue.should.be.a.bignumber.that.equals('0')
+      const aTokenValue = await contracts.rootChainManager.getATokenValue(aToken, 0)
+      aTokenValue.should.be.a.bignumber.that.equals('0')
+    })
+
+    it('Should match half up conversion for large values', async() => {
+      const index = new BN('1234567890123456789012345678')
+      const value = new BN('987654321098765432109876543')
+      await setIndex(index)
+      const maTokenValue = await contracts.rootChainManager.getMATokenValue(aToken, value)
+      maTokenValue.should.be.a.bignumber.that.equals(p27Div(value, index))
+      const aTokenValue = await contracts.rootChainManager.getATokenValue(aToken, value)
+      aTokenValue.should.be.a.bignumber.that.equals(p27Mul(value, index))
+    })
+
+    it('Should revert on overflow', async() => {
+      await setIndex(new BN('1500000000000000000000000000'))
+      const max = new BN(2).pow(new BN(256)).subn(1)
+      await expectRevert(
+        contracts.rootChainManager.getMATokenValue(aToken, max),
+        'p27 multiplication overflow'
+      )
+      await expectRevert(
+        contracts.rootChainManager.getATokenValue(aToken, max),
+        'p27 multiplication overflow'
+      )
+    })
+  })
+})
@@ -0,0 +1,205 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { submitCheckpoint } from '../helpers/checkpoint'
+import { syncATokenState } from '../helpers/state-sync'
+
+const {
+  checkpointManagerAbi,
+  rootChainManagerAbi,
+  buildPayloadForExitHermione,
+  getExitStatus
+} = require('../../scripts/exit-manager')
+const { parseBurnTxs, isRetryable, createSender, exitBurns, formatResultsCsv } = require('../../scripts/lib/batch-exit')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+describe('Batch exit files', () => {
+  const [burnA, burnB] = [mockValues.bytes32[1], mockValues.bytes32[2]]
+
+  it('Should read one burn tx per line', () => {
+    parseBurnTxs(`${burnA}\n\n${burnB}\n`).should.deep.equal([burnA, burnB])
+  })
+
+  it('Should read first column of CSV with header', () => {
+    parseBurnTxs(`burn_tx,note\n${burnA},support ticket\r\n${burnB.toUpperCase().replace('0X', '0x')},\n`)
+      .should.deep.equal([burnA, burnB])
+  })
+
+  it('Should skip comments and duplicates', () => {
+    parseBurnTxs(`# stuck withdrawals\n${burnA} # first\n${burnA}\n`).should.deep.equal([burnA])
+  })
+
+  it('Should fail on invalid tx hash', () => {
+    chai.expect(() => parseBurnTxs(`${burnA}\n0x1234\n`)).to.throw('Line 2 is not a tx hash')
+  })
+
+  it('Should write results CSV', () => {
+    formatResultsCsv([
+      { burnTx: burnA, status: 'exited', exitHash: burnB, exitTx: burnA, attempts: 1, error: null },
+      { burnTx: burnB, status: 'failed', exitHash: null, exitTx: null, attempts: 4, error: 'revert "reason", again' }
+    ]).should.equal([
+      'burnTx,status,exitHash,exitTx,attempts,error',
+      `${burnA},exited,${burnB},${burnA},1,`,
+      `${burnB},failed,,,4,"revert ""reason"", again"`,
+      ''
+    ].join('\n'))
+  })
+})
+
+describe('Batch exit retries', () => {
+  it('Should retry network errors and timeouts', () => {
+    isRetryable(Object.assign(Error('missing response'), { code: 'SERVER_ERROR' })).should.equal(true)
+    isRetryable(Object.assign(Error('timeout'), { code: 'TIMEOUT' })).should.equal(true)
+    isRetryable(Object.assign(Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' })).should.equal(true)
+  })
+
+  it('Should retry nonce errors', () => {
+    isRetryable(Error('nonce too low')).should.equal(true)
+    isRetryable({ message: 'processing response error', error: { message: 'replacement transaction underpriced' } }).should.equal(true)
+  })
+
+  it('Should not retry reverts', () => {
+    isRetryable(Object.assign(Error('call revert exception'), { code: 'CALL_EXCEPTION' })).should.equal(false)
+    isRetryable(Object.assign(Error('transaction failed'), { code: 'CALL_EXCEPTION', receipt: { status: 0 } })).should.equal(false)
+    isRetryable(Object.assign(Error('VM Exception while processing transaction: revert ATokenRootChainManager: EXIT_ALREADY_PROCESSED'), { code: 'SERVER_ERROR' })).should.equal(false)
+  })
+
+  it('Should not retry other errors', () => {
+    isRetryable(Error('Burn transaction not checkpointed')).should.equal(false)
+  })
+
+  it('Should read nonce again after nonce error', async() => {
+    let pendingCount = 3
+    const send = createSender({ getTransactionCount: async() => pendingCount })
+    const nonces = []
+    await send(async({ nonce }) => { throw Error('nonce too low') }).should.be.rejectedWith('nonce too low')
+    pendingCount = 5
+    await send(async({ nonce }) => nonces.push(nonce))
+    await send(async({ nonce }) => nonces.push(nonce))
+    nonces.should.deep.equal([5, 6])
+  })
+})
+
+contract('Batch exit', async(accounts) => {
+  const withdrawer = accounts[1]
+  const depositAmount = mockValues.amounts[3]
+  const retries = 2
+  const burnTxs = []
+  let root
+  let checkpointManager
+  let rootChainManager
+  let oldWithdrawerBalance
+  let results
+  let payloadAttempts
+
+  const statusOptions = () => ({ childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 })
+  const buildPayload = (burnTx) => buildPayloadForExitHermione(burnTx, statusOptions())
+
+  before(async() => {
+    const deployed = await deployer.deployInitializedATokenContracts(accounts)
+    root = deployed.root
+    const { child } = deployed
+    checkpointManager = new rootWeb3.eth.Contract(checkpointManagerAbi, root.checkpointManager.address)
+    rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    const depositTx = await root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    const maTokenValue = await child.dummyMAToken.balanceOf(withdrawer)
+
+    // the last burn is left out of the checkpoints
+    const burnValue = maTokenValue.divn(6)
+    for (let i = 0; i < 6; i++) {
+      const withdrawTx = await child.dummyMAToken.withdraw(burnValue, { from: withdrawer })
+      burnTxs.push(withdrawTx.tx)
+      if (i < 5) {
+        await submitCheckpoint(root.checkpointManager, withdrawTx.receipt)
+      }
+    }
+    const exitedPayload = await buildPayload(burnTxs[0])
+    await root.rootChainManager.exit(exitedPayload)
+    oldWithdrawerBalance = await root.dummyAToken.balanceOf(withdrawer)
+
+    payloadAttempts = {}
+    const signer = new ethers.providers.Web3Provider(rootWeb3.currentProvider).getSigner(accounts[2])
+    results = await exitBurns({
+      burnTxs,
+      rootChainManager: new ethers.Contract(root.rootChainManager.address, contracts.ATokenRootChainManager.abi, signer),
+      getExitStatus: (burnTx) => getExitStatus(burnTx, statusOptions()),
+      buildPayload: async(burnTx) => {
+        payloadAttempts[burnTx] = (payloadAttempts[burnTx] || 0) + 1
+        if (burnTx === burnTxs[3] && payloadAttempts[burnTx] === 1) {
+          throw Object.assign(Error('timeout'), { code: 'TIMEOUT' })
+        }
+        // proof of an exited burn, reverts on every attempt
+        return buildPayload(burnTx === burnTxs[4] ? burnTxs[0] : burnTx)
+      },
+      concurrency: 2,
+      retries,
+      backoff: 10
+    })
+  })
+
+  it('Should return results in file order', () => {
+    results.map(result => result.burnTx).should.deep.equal(burnTxs)
+    results.map(result => result.status).should.deep.equal([
+      'already-exited',
+      'exited',
+      'exited',
+      'exited',
+      'failed',
+      'waiting-for-checkpoint'
+    ])
+  })
+
+  it('Should skip burn exited already without building payload', () => {
+    chai.expect(payloadAttempts[burnTxs[0]]).to.equal(undefined)
+    chai.expect(results[0].exitTx).to.equal(null)
+  })
+
+  it('Should mark exited burns as processed', async() => {
+    for (const result of results.slice(1, 4)) {
+      const processed = await root.rootChainManager.processedExits(result.exitHash)
+      processed.should.equal(true)
+    }
+  })
+
+  it('Should pay out exited burns to withdrawer', async() => {
+    const balance = await root.dummyAToken.balanceOf(withdrawer)
+    balance.should.be.a.bignumber.that.is.above(oldWithdrawerBalance)
+  })
+
+  it('Should send exits with consecutive nonces', async() => {
+    const nonces = []
+    for (const result of results.slice(1, 4)) {
+      nonces.push((await rootWeb3.eth.getTransaction(result.exitTx)).nonce)
+    }
+    nonces.sort((a, b) => a - b)
+    nonces.should.deep.equal([nonces[0], nonces[0] + 1, nonces[0] + 2])
+    const nextNonce = await rootWeb3.eth.getTransactionCount(accounts[2])
+    nextNonce.should.equal(nonces[0] + 3)
+  })
+
+  it('Should retry failed attempt', () => {
+    results[3].attempts.should.equal(2)
+    chai.expect(results[3].error).to.equal(null)
+  })
+
+  it('Should fail on revert without retrying', () => {
+    results[4].attempts.should.equal(1)
+    results[4].error.should.equal('ATokenRootChainManager: EXIT_ALREADY_PROCESSED')
+    chai.expect(results[4].exitTx).to.equal(null)
+  })
+})
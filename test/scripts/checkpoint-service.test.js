@@ -0,0 +1,162 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+import { toBuffer } from 'ethereumjs-util'
+
+import * as deployer from '../helpers/deployer'
+import { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+import { getBlockHeader } from '../helpers/blocks'
+import MerkleTree from '../helpers/merkle-tree'
+
+const { rootChainManagerAbi, buildPayloadForExitHermione } = require('../../scripts/exit-manager')
+const { mockCheckpointManagerAbi, CheckpointService } = require('../../scripts/lib/checkpoint-service')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('Checkpoint service', async(accounts) => {
+  const withdrawer = accounts[1]
+  const depositAmount = mockValues.amounts[2]
+  const burnAmount = depositAmount.divn(2)
+  const blocksPerCheckpoint = 4
+  let root
+  let child
+  let checkpointManager
+  let rootChainManager
+  let service
+  let startBlock
+  let firstBurnTx
+  let secondBurnTx
+
+  const mineChildBlocks = async(count) => {
+    for (let i = 0; i < count; i++) {
+      await childWeb3.eth.sendTransaction({ from: accounts[0], to: accounts[0], value: 0 })
+    }
+  }
+  const burn = () => child.dummyMAToken.withdraw(burnAmount, { from: withdrawer })
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    const depositTx = await root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+
+    checkpointManager = new rootWeb3.eth.Contract(mockCheckpointManagerAbi, root.checkpointManager.address)
+    rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+    startBlock = await childWeb3.eth.getBlockNumber() + 1
+    service = new CheckpointService({ childWeb3, checkpointManager, from: accounts[0], blocksPerCheckpoint, startBlock })
+  })
+
+  describe('Submit checkpoints', () => {
+    it('Should wait for a full range of blocks', async() => {
+      firstBurnTx = await burn()
+      const submitted = await service.poll()
+      submitted.should.deep.equal([])
+    })
+
+    it('Should submit a checkpoint per range of blocks', async() => {
+      await mineChildBlocks(4)
+      secondBurnTx = await burn()
+      await mineChildBlocks(2)
+      const submitted = await service.poll()
+      submitted.map(({ headerNumber, start, end }) => [headerNumber, start, end]).should.deep.equal([
+        [1, startBlock, startBlock + 3],
+        [2, startBlock + 4, startBlock + 7]
+      ])
+    })
+
+    it('Should set checkpoints on checkpoint manager', async() => {
+      const headerBlock = await checkpointManager.methods.headerBlocks(2).call()
+      headerBlock.start.should.equal((startBlock + 4).toString())
+      headerBlock.end.should.equal((startBlock + 7).toString())
+      headerBlock.root.should.equal(service.checkpoints[2].root)
+    })
+
+    it('Should revert checkpoint of no new blocks', async() => {
+      await service.submitCheckpoint(startBlock + 7).should.be.rejectedWith(`Checkpoint has to end at or after block ${startBlock + 8}`)
+    })
+  })
+
+  describe('Find checkpoint', () => {
+    it('Should find checkpoint containing block', async() => {
+      const checkpoint = await service.findCheckpoint(secondBurnTx.receipt.blockNumber)
+      checkpoint.headerNumber.should.equal(2)
+      checkpoint.start.should.equal(startBlock + 4)
+      checkpoint.end.should.equal(startBlock + 7)
+    })
+
+    it('Should prove block header within checkpoint', async() => {
+      const blockNumber = secondBurnTx.receipt.blockNumber
+      const { root: checkpointRoot, start, proof } = await service.getBlockProof(blockNumber)
+      const proofBuffer = toBuffer(proof)
+      proofBuffer.length.should.equal(2 * 32)
+      const proofNodes = [proofBuffer.slice(0, 32), proofBuffer.slice(32)]
+      const header = getBlockHeader(await childWeb3.eth.getBlock(blockNumber))
+      new MerkleTree([header]).verify(header, blockNumber - start, toBuffer(checkpointRoot), proofNodes).should.equal(true)
+    })
+
+    it('Should read checkpoints submitted by others from checkpoint manager', async() => {
+      const other = new CheckpointService({ childWeb3, checkpointManager })
+      const blockNumber = firstBurnTx.receipt.blockNumber
+      const checkpoint = await other.findCheckpoint(blockNumber)
+      checkpoint.should.deep.equal(await service.findCheckpoint(blockNumber))
+      const { proof } = await other.getBlockProof(blockNumber)
+      proof.should.equal((await service.getBlockProof(blockNumber)).proof)
+    })
+
+    it('Should reject block not checkpointed', async() => {
+      await mineChildBlocks(1)
+      const blockNumber = await childWeb3.eth.getBlockNumber()
+      await service.findCheckpoint(blockNumber).should.be.rejectedWith(`Block ${blockNumber} has not been checkpointed yet`)
+    })
+  })
+
+  describe('Exit', () => {
+    it('Should build payload matching the one of checkpoint manager', async() => {
+      const payload = await buildPayloadForExitHermione(secondBurnTx.tx, { childWeb3, rootChainManager, checkpointService: service })
+      const onChainPayload = await buildPayloadForExitHermione(secondBurnTx.tx, { childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 })
+      payload.should.equal(onChainPayload)
+    })
+
+    it('Should exit burns proven within checkpoints of several blocks', async() => {
+      const balance = await root.dummyAToken.balanceOf(withdrawer)
+      for (const burnTx of [firstBurnTx, secondBurnTx]) {
+        const payload = await buildPayloadForExitHermione(burnTx.tx, { childWeb3, rootChainManager, checkpointService: service })
+        await root.rootChainManager.exit(payload)
+      }
+      const newBalance = await root.dummyAToken.balanceOf(withdrawer)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(burnAmount.muln(2))
+    })
+  })
+
+  describe('Watch', () => {
+    it('Should submit checkpoints while watching', async() => {
+      const watcher = new CheckpointService({
+        childWeb3,
+        checkpointManager,
+        from: accounts[0],
+        blocksPerCheckpoint,
+        startBlock: service.nextStart,
+        pollInterval: 50
+      })
+      const submitted = new Promise((resolve, reject) => watcher.watch(resolve, reject))
+      await mineChildBlocks(blocksPerCheckpoint)
+      const checkpoint = await submitted
+      watcher.stop()
+      checkpoint.headerNumber.should.equal(3)
+      checkpoint.start.should.equal(service.nextStart)
+    })
+
+    it('Should reject blocksPerCheckpoint below 1', () => {
+      chai.expect(() => new CheckpointService({ childWeb3, checkpointManager, blocksPerCheckpoint: 0 })).to.throw('blocksPerCheckpoint has to be at least 1')
+    })
+  })
+})
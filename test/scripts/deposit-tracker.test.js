@@ -0,0 +1,119 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { commitATokenState } from '../helpers/state-sync'
+
+const { trackDeposit } = require('../../scripts/lib/deposit-tracker')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('Deposit tracker', async(accounts) => {
+  const user = accounts[1]
+  const depositAmount = mockValues.amounts[3]
+  const rootProvider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  const childProvider = new ethers.providers.Web3Provider(childWeb3.currentProvider)
+  let root
+  let child
+  let stateReceiver
+  let mapTx
+
+  const track = (depositTx) => trackDeposit({
+    rootProvider,
+    childProvider,
+    depositTx,
+    rootChainManager: root.rootChainManager.address,
+    childChainManager: child.childChainManager.address
+  })
+
+  const deposit = async(aToken) => {
+    await aToken.approve(root.rootChainManager.address, depositAmount)
+    return root.rootChainManager.depositFor(user, aToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+  }
+
+  before(async() => {
+    child = await deployer.deployFreshATokenChildContracts(accounts)
+    stateReceiver = await contracts.MockStateReceiver.new()
+    await child.childChainManager.setStateReceiver(stateReceiver.address)
+    root = await deployer.deployFreshATokenRootContracts(accounts, {
+      childChainManagerAddress: child.childChainManager.address,
+      childTokenBytecodeHash: await child.childChainManager.childTokenBytecodeHash()
+    })
+    mapTx = await root.rootChainManager.mapToken(root.dummyAToken.address)
+    await commitATokenState({ tx: mapTx, stateReceiver })
+  })
+
+  describe('Deposit of mapped token', () => {
+    let depositTx
+
+    before(async() => {
+      depositTx = await deposit(root.dummyAToken)
+    })
+
+    it('Should be pending until its state is committed', async() => {
+      const { syncs: [sync] } = await track(depositTx.tx)
+      sync.status.should.equal('pending')
+      sync.stateId.should.equal('2')
+      sync.lastStateId.should.equal('1')
+      sync.user.should.equal(user)
+      sync.rootToken.should.equal(root.dummyAToken.address)
+      sync.aTokenValue.should.equal(depositAmount.toString())
+      chai.expect(sync.expectedFailure).to.equal(null)
+    })
+
+    it('Should report maToken mint once committed', async() => {
+      const [commitTx] = await commitATokenState({ tx: depositTx, stateReceiver })
+      const { syncs: [sync] } = await track(depositTx.tx)
+      sync.status.should.equal('minted')
+      sync.commitTx.should.equal(commitTx.tx)
+      sync.childToken.should.equal(await child.childChainManager.rootToChildToken(root.dummyAToken.address))
+      sync.mintedValue.should.equal(sync.maTokenValue)
+      sync.mintedValue.should.equal((await root.rootChainManager.getMATokenValue(root.dummyAToken.address, depositAmount)).toString())
+    })
+  })
+
+  describe('Deposit of token whose mapping failed on child chain', () => {
+    let unmappedAToken
+    let depositTx
+
+    before(async() => {
+      unmappedAToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+      // child tokens can not be deployed behind a proxy to a non contract implementation
+      await child.childChainManager.setChildTokenImplementation(mockValues.addresses[0])
+      const mapTx = await root.rootChainManager.mapToken(unmappedAToken.address)
+      await commitATokenState({ tx: mapTx, stateReceiver })
+      depositTx = await deposit(unmappedAToken)
+    })
+
+    it('Should be pending with expected failure', async() => {
+      const { syncs: [sync] } = await track(depositTx.tx)
+      sync.status.should.equal('pending')
+      sync.expectedFailure.should.equal('ChildChainManager: TOKEN_NOT_MAPPED')
+    })
+
+    it('Should report failed mint with revert reason once committed', async() => {
+      const [commitTx] = await commitATokenState({ tx: depositTx, stateReceiver })
+      const { syncs: [sync] } = await track(depositTx.tx)
+      sync.status.should.equal('failed')
+      sync.commitTx.should.equal(commitTx.tx)
+      sync.reason.should.equal('ChildChainManager: TOKEN_NOT_MAPPED')
+    })
+  })
+
+  describe('Not a deposit', () => {
+    it('Should fail for tx without DEPOSIT state sync', async() => {
+      await track(mapTx.tx).should.be.rejectedWith('No DEPOSIT state sync')
+    })
+
+    it('Should fail for unknown tx', async() => {
+      await track(mockValues.bytes32[1]).should.be.rejectedWith('not found')
+    })
+  })
+})
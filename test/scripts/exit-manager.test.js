@@ -0,0 +1,187 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { bufferToHex, rlp, zeros } from 'ethereumjs-util'
+
+import block from '../mockResponses/347-block.json'
+import receiptList from '../mockResponses/347-receipt-list.json'
+import MerkleTree from '../helpers/merkle-tree'
+import { getBlockHeader } from '../helpers/blocks'
+import { verifyReceiptProof } from '../helpers/proofs'
+
+const {
+  getBurnLogIndex,
+  findHeaderBlock,
+  buildPayloadForExitHermione
+} = require('../../scripts/exit-manager')
+const { getBranchMask } = require('../../scripts/lib/preview')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const burnTxHash = '0xef819c0a8043b688843c64fba3bfbbc0391328dac2b434e6d4289263c1bd1b67'
+const burnReceipt = receiptList.find(r => r.transactionHash === burnTxHash)
+const interval = 10000
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+// recorded block 10692962 surrounded by blocks that only carry
+// the fields needed for their header hash
+const getBlock = (number) => {
+  if (number === block.number) {
+    return block
+  }
+  return {
+    number,
+    timestamp: block.timestamp,
+    transactionsRoot: bufferToHex(zeros(32)),
+    receiptsRoot: bufferToHex(zeros(32))
+  }
+}
+
+const childWeb3 = {
+  eth: {
+    getTransactionReceipt: async(hash) => receiptList.find(r => r.transactionHash === hash),
+    getBlock: async(number) => getBlock(number)
+  }
+}
+
+// root chain manager mapping the burnt maToken, or the given child tokens
+const mockRootChainManager = (childTokens = [burnReceipt.logs[6].address]) => ({
+  methods: {
+    childToRootToken: (childToken) => ({
+      call: async() => childTokens.includes(childToken) ? '0x000000000000000000000000000000000000dEaD' : zeroAddress
+    })
+  }
+})
+
+const checkpointTree = (start, end) => {
+  const headers = []
+  for (let n = start; n <= end; n++) {
+    headers.push(getBlockHeader(getBlock(n)))
+  }
+  return new MerkleTree(headers)
+}
+
+// checkpoint manager holding consecutive checkpoints of `size` blocks,
+// the last one ending at `lastBlock`
+const mockCheckpointManager = ({ count, size, lastBlock }) => {
+  const headerBlocks = {}
+  for (let i = 0; i < count; i++) {
+    const end = lastBlock - (count - 1 - i) * size
+    const start = end - size + 1
+    headerBlocks[(i + 1) * interval] = {
+      root: bufferToHex(checkpointTree(start, end).getRoot()),
+      start: start.toString(),
+      end: end.toString()
+    }
+  }
+  return {
+    methods: {
+      headerBlocks: (headerNumber) => ({
+        call: async() => headerBlocks[headerNumber] || { root: bufferToHex(zeros(32)), start: '0', end: '0' }
+      })
+    }
+  }
+}
+
+describe('Exit manager', () => {
+  describe('Find burn log', () => {
+    it('Should find Transfer to zero address log', async() => {
+      const logIndex = await getBurnLogIndex(burnReceipt, mockRootChainManager())
+      logIndex.should.equal(6)
+    })
+
+    it('Should skip burn of token not mapped', async() => {
+      const otherBurn = Object.assign({}, burnReceipt.logs[6], { address: '0x000000000000000000000000000000000000bEEF' })
+      const receipt = Object.assign({}, burnReceipt, { logs: [otherBurn].concat(burnReceipt.logs) })
+      const logIndex = await getBurnLogIndex(receipt, mockRootChainManager())
+      logIndex.should.equal(7)
+    })
+
+    it('Should fail when receipt has no burn log of a mapped token', async() => {
+      await getBurnLogIndex(burnReceipt, mockRootChainManager([])).should.be.rejectedWith('No burn log of a mapped token found')
+    })
+
+    it('Should fail when receipt has no burn log', async() => {
+      const receipt = receiptList.find(r => r.logs.length === 0)
+      await getBurnLogIndex(receipt, mockRootChainManager()).should.be.rejectedWith('No burn log of a mapped token found')
+    })
+  })
+
+  describe('Find checkpoint', () => {
+    it('Should find checkpoint containing block', async() => {
+      const checkpointManager = mockCheckpointManager({ count: 13, size: 4, lastBlock: block.number + 21 })
+      const { headerNumber, headerBlock } = await findHeaderBlock(checkpointManager, block.number, interval)
+      headerNumber.should.equal(8 * interval)
+      parseInt(headerBlock.start).should.be.at.most(block.number)
+      parseInt(headerBlock.end).should.be.at.least(block.number)
+    })
+
+    it('Should find last checkpoint', async() => {
+      const checkpointManager = mockCheckpointManager({ count: 5, size: 3, lastBlock: block.number })
+      const { headerNumber } = await findHeaderBlock(checkpointManager, block.number, interval)
+      headerNumber.should.equal(5 * interval)
+    })
+
+    it('Should fail when block is not checkpointed yet', async() => {
+      const checkpointManager = mockCheckpointManager({ count: 5, size: 3, lastBlock: block.number - 1 })
+      await findHeaderBlock(checkpointManager, block.number, interval)
+        .should.be.rejectedWith('has not been checkpointed yet')
+    })
+  })
+
+  describe('Build exit payload', () => {
+    let inputData
+
+    before(async() => {
+      const checkpointManager = mockCheckpointManager({ count: 6, size: 5, lastBlock: block.number + 2 })
+      const payload = await buildPayloadForExitHermione(burnTxHash, {
+        childWeb3,
+        checkpointManager,
+        rootChainManager: mockRootChainManager(),
+        checkpointInterval: interval
+      })
+      inputData = rlp.decode(payload)
+    })
+
+    it('Should have all 10 fields', () => {
+      inputData.length.should.equal(10)
+    })
+
+    it('Should have correct block details', () => {
+      bufferToHex(inputData[0]).should.equal('0x' + (6 * interval).toString(16))
+      bufferToHex(inputData[2]).should.equal('0x' + block.number.toString(16))
+      bufferToHex(inputData[3]).should.equal('0x' + block.timestamp.toString(16))
+      bufferToHex(inputData[4]).should.equal(block.transactionsRoot)
+      bufferToHex(inputData[5]).should.equal(block.receiptsRoot)
+      bufferToHex(inputData[9]).should.equal('0x06')
+    })
+
+    it('Should have valid block proof', () => {
+      const blockProof = []
+      for (let i = 0; i < inputData[1].length; i += 32) {
+        blockProof.push(inputData[1].slice(i, i + 32))
+      }
+      blockProof.length.should.equal(3)
+      const start = block.number + 2 - 4
+      const tree = checkpointTree(start, start + 4)
+      tree.verify(getBlockHeader(block), block.number - start, tree.getRoot(), blockProof).should.equal(true)
+    })
+
+    it('Should have valid receipt proof', () => {
+      const receipt = receiptList.find(r => r.transactionHash === burnTxHash)
+      verifyReceiptProof({
+        path: inputData[8].slice(1),
+        value: rlp.decode(inputData[6]),
+        parentNodes: rlp.decode(inputData[7]),
+        root: inputData[5]
+      }).should.equal(true)
+      rlp.decode(inputData[8].slice(1)).readUInt8().should.equal(receipt.transactionIndex)
+    })
+
+    it('Should have branch mask used for the exit hash preview', () => {
+      const receipt = receiptList.find(r => r.transactionHash === burnTxHash)
+      bufferToHex(inputData[8]).should.equal(getBranchMask(receipt.transactionIndex))
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { submitCheckpoint } from '../helpers/checkpoint'
+import { syncATokenState } from '../helpers/state-sync'
+
+const {
+  checkpointManagerAbi,
+  rootChainManagerAbi,
+  buildPayloadForExitHermione,
+  getExitStatus
+} = require('../../scripts/exit-manager')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('Exit status', async(accounts) => {
+  const withdrawer = accounts[1]
+  const depositAmount = mockValues.amounts[3]
+  let root
+  let checkpointManager
+  let rootChainManager
+  let withdrawTx
+  let burnBlock
+
+  const exitStatus = (burnTxHash) => getExitStatus(burnTxHash, {
+    childWeb3,
+    checkpointManager,
+    rootChainManager,
+    checkpointInterval: 1
+  })
+
+  before(async() => {
+    const contracts = await deployer.deployInitializedATokenContracts(accounts)
+    root = contracts.root
+    const { child } = contracts
+    checkpointManager = new rootWeb3.eth.Contract(checkpointManagerAbi, root.checkpointManager.address)
+    rootChainManager = new rootWeb3.eth.Contract(rootChainManagerAbi, root.rootChainManager.address)
+
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    const depositTx = await root.rootChainManager.depositFor(withdrawer, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    const maTokenValue = await child.dummyMAToken.balanceOf(withdrawer)
+    withdrawTx = await child.dummyMAToken.withdraw(maTokenValue, { from: withdrawer })
+    burnBlock = withdrawTx.receipt.blockNumber
+  })
+
+  it('Should wait for first checkpoint', async() => {
+    const status = await exitStatus(withdrawTx.tx)
+    status.status.should.equal('waiting-for-checkpoint')
+    status.lastCheckpointedBlock.should.equal(0)
+    status.blockNumber.should.equal(burnBlock)
+    status.logIndex.should.equal(0)
+  })
+
+  it('Should wait for checkpoint including burn block', async() => {
+    await root.checkpointManager.setCheckpoint(mockValues.bytes32[0], 0, burnBlock - 1)
+    const status = await exitStatus(withdrawTx.tx)
+    status.status.should.equal('waiting-for-checkpoint')
+    status.lastCheckpointedBlock.should.equal(burnBlock - 1)
+  })
+
+  it('Should be ready to exit once checkpointed', async() => {
+    await submitCheckpoint(root.checkpointManager, withdrawTx.receipt)
+    const status = await exitStatus(withdrawTx.tx)
+    status.status.should.equal('ready-to-exit')
+    status.headerNumber.should.equal(2)
+  })
+
+  it('Should report exited after exit', async() => {
+    const payload = await buildPayloadForExitHermione(withdrawTx.tx, { childWeb3, checkpointManager, rootChainManager, checkpointInterval: 1 })
+    await root.rootChainManager.exit(payload)
+    const status = await exitStatus(withdrawTx.tx)
+    status.status.should.equal('exited')
+    const processed = await root.rootChainManager.processedExits(status.exitHash)
+    processed.should.equal(true)
+  })
+
+  it('Should fail for unknown tx', async() => {
+    await exitStatus(mockValues.bytes32[1]).should.be.rejectedWith('not found')
+  })
+})
@@ -0,0 +1,157 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+import { LogDecoder } from '../helpers/log-decoder'
+
+const BridgeIndexer = require('../../scripts/lib/indexer')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('Bridge indexer', async(accounts) => {
+  const depositor = accounts[0]
+  const user = accounts[1]
+  const depositAmount = mockValues.amounts[3]
+  const decoder = new LogDecoder([
+    contracts.ATokenRootChainManager.abi,
+    contracts.ATokenChildChainManager.abi,
+    contracts.UChildERC20.abi
+  ])
+  const rootProvider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  const childProvider = new ethers.providers.Web3Provider(childWeb3.currentProvider)
+  let root
+  let child
+  let dbFile
+  let depositTx
+  let withdrawTx
+  let startBlocks
+
+  const createIndexer = () => new BridgeIndexer({
+    db: BridgeIndexer.openDatabase(dbFile),
+    decoder,
+    root: { provider: rootProvider, manager: root.rootChainManager.address, startBlock: startBlocks.root },
+    child: { provider: childProvider, manager: child.childChainManager.address, startBlock: startBlocks.child },
+    blockRange: 5
+  })
+
+  before(async() => {
+    dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-index-')), 'index.sqlite')
+    startBlocks = {
+      root: await rootProvider.getBlockNumber(),
+      child: await childProvider.getBlockNumber()
+    }
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    depositTx = await root.rootChainManager.depositFor(user, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    const maTokenValue = await child.dummyMAToken.balanceOf(user)
+    withdrawTx = await child.dummyMAToken.withdraw(maTokenValue, { from: user })
+  })
+
+  describe('First sync', () => {
+    let indexer
+    let result
+
+    before(async() => {
+      indexer = createIndexer()
+      result = await indexer.sync()
+    })
+
+    it('Should index up to the chain heads', async() => {
+      result.root.fromBlock.should.equal(startBlocks.root)
+      result.root.toBlock.should.equal(await rootProvider.getBlockNumber())
+      result.child.toBlock.should.equal(await childProvider.getBlockNumber())
+      indexer.lastIndexedBlock('root').should.equal(result.root.toBlock)
+    })
+
+    it('Should store root manager events', () => {
+      const events = indexer.getEvents({ chain: 'root' }).map(e => e.event)
+      events.should.deep.equal(['TokenMapped', 'LockedERC20'])
+    })
+
+    it('Should store deposit with block and tx metadata', async() => {
+      const [deposit] = indexer.getEvents({ event: 'LockedERC20' })
+      deposit.txHash.should.equal(depositTx.tx)
+      deposit.blockNumber.should.equal(depositTx.receipt.blockNumber)
+      deposit.blockHash.should.equal(depositTx.receipt.blockHash)
+      deposit.timestamp.should.equal((await rootProvider.getBlock(deposit.blockNumber)).timestamp)
+      deposit.address.should.equal(root.rootChainManager.address)
+      deposit.args.should.deep.equal({
+        depositor,
+        depositReceiver: user,
+        rootToken: root.dummyAToken.address,
+        amount: depositAmount.toString()
+      })
+    })
+
+    it('Should store child mapping and maToken burn', () => {
+      const [mapped] = indexer.getEvents({ chain: 'child', event: 'TokenMapped' })
+      mapped.args.childToken.should.equal(child.dummyMAToken.address)
+      const [burn] = indexer.getEvents({ chain: 'child', event: 'Transfer' })
+      burn.txHash.should.equal(withdrawTx.tx)
+      burn.address.should.equal(child.dummyMAToken.address)
+      burn.args.from.should.equal(user)
+      burn.args.to.should.equal(mockValues.zeroAddress)
+    })
+
+    it('Should not store maToken mints', () => {
+      indexer.getEvents({ event: 'Transfer' }).length.should.equal(1)
+    })
+
+    it('Should find events of an account', () => {
+      indexer.getEvents({ account: user.toLowerCase() }).map(e => e.event)
+        .should.deep.equal(['LockedERC20', 'Transfer'])
+    })
+
+    it('Should find events of a transaction', () => {
+      indexer.getEvents({ txHash: withdrawTx.tx.toUpperCase().replace('0X', '0x') }).length.should.equal(1)
+    })
+  })
+
+  describe('Resume', () => {
+    let lastRootBlock
+
+    before(async() => {
+      lastRootBlock = createIndexer().lastIndexedBlock('root')
+      await root.rootChainManager.setMapper(accounts[2])
+      await root.rootChainManager.setTokenPaused(root.dummyAToken.address, true)
+      await root.rootChainManager.setOwner(accounts[3])
+    })
+
+    it('Should continue after the last indexed block', async() => {
+      const indexer = createIndexer()
+      const result = await indexer.sync()
+      result.root.fromBlock.should.equal(lastRootBlock + 1)
+      result.root.events.should.equal(3)
+      result.child.events.should.equal(0)
+    })
+
+    it('Should store admin changes', () => {
+      const indexer = createIndexer()
+      const [setMapper] = indexer.getEvents({ event: 'SetMapper' })
+      setMapper.args.should.deep.equal({ _previousMapper: accounts[0], _newMapper: accounts[2] })
+      const [setOwner] = indexer.getEvents({ event: 'SetOwner' })
+      setOwner.args.should.deep.equal({ _previousOwner: accounts[0], _newOwner: accounts[3] })
+      const [setTokenPaused] = indexer.getEvents({ event: 'SetTokenPaused' })
+      setTokenPaused.args.should.deep.equal({ _rootToken: root.dummyAToken.address, _paused: true })
+    })
+
+    it('Should not duplicate events', () => {
+      const indexer = createIndexer()
+      indexer.getEvents({ chain: 'root' }).length.should.equal(5)
+      indexer.getEvents({ chain: 'child' }).length.should.equal(2)
+    })
+  })
+})
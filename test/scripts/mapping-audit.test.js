@@ -0,0 +1,153 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+
+const { replayTokenMapped, findMappingIssues, auditMappings } = require('../../scripts/lib/mapping-audit')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+const mapTokenSync = (rootToken) => abi.encode(['bytes32', 'bytes'], [
+  ethers.utils.id('MAP_TOKEN'),
+  abi.encode(['address', 'string', 'string', 'uint8'], [rootToken, 'Matic Aave interest bearing DERC20', 'maDERC20', 18])
+])
+
+const tokenMapped = (rootToken, childToken) => ({ args: { rootToken, childToken } })
+
+contract('Mapping audit', async(accounts) => {
+  let root
+  let child
+  let rootChainManager
+  let childChainManager
+
+  const audit = (options = {}) => auditMappings(Object.assign({ rootChainManager, childChainManager }, options))
+  const issuesOf = (result, type) => result.issues.filter(issue => issue.type === type)
+
+  before(async() => {
+    ({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    rootChainManager = new ethers.Contract(
+      root.rootChainManager.address,
+      contracts.ATokenRootChainManager.abi,
+      new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+    )
+    childChainManager = new ethers.Contract(
+      child.childChainManager.address,
+      contracts.ATokenChildChainManager.abi,
+      new ethers.providers.Web3Provider(childWeb3.currentProvider)
+    )
+  })
+
+  describe('Synced mappings', () => {
+    it('Should report no issues', async() => {
+      const result = await audit()
+      result.rootEvents.should.equal(1)
+      result.childEvents.should.equal(1)
+      result.root.rootToChildToken[root.dummyAToken.address].should.equal(child.dummyMAToken.address)
+      result.child.childToRootToken[child.dummyMAToken.address].should.equal(root.dummyAToken.address)
+      result.issues.should.deep.equal([])
+    })
+
+    it('Should report events missed before fromBlock', async() => {
+      // hardhat reads from the latest block when fromBlock is past it, so the block after the mapping is mined first
+      await rootChainManager.provider.send('evm_mine', [])
+      const fromBlock = await rootChainManager.provider.getBlockNumber()
+      const result = await audit({ rootFromBlock: fromBlock })
+      const [issue] = issuesOf(result, 'EVENTS_MISMATCH')
+      issue.chain.should.equal('root')
+      issue.fromEvents.should.equal(mockValues.zeroAddress)
+    })
+  })
+
+  describe('Mapping missing on one side', () => {
+    let rootOnlyToken
+    const childOnlyToken = mockValues.addresses[5]
+
+    before(async() => {
+      rootOnlyToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+      // state sync of the mapping is never relayed
+      await root.rootChainManager.mapToken(rootOnlyToken.address)
+      await child.childChainManager.onStateReceive(10, mapTokenSync(childOnlyToken))
+    })
+
+    it('Should report root token not mapped on child', async() => {
+      const [issue] = issuesOf(await audit(), 'NOT_MAPPED_ON_CHILD')
+      issue.rootToken.should.equal(rootOnlyToken.address)
+      issue.childToken.should.equal(await root.rootChainManager.childTokenAddress(rootOnlyToken.address))
+    })
+
+    it('Should report root token not mapped on root', async() => {
+      const [issue] = issuesOf(await audit(), 'NOT_MAPPED_ON_ROOT')
+      issue.rootToken.should.equal(childOnlyToken)
+      issue.childToken.should.equal(await child.childChainManager.rootToChildToken(childOnlyToken))
+    })
+  })
+
+  describe('Child token bytecode changed', () => {
+    before(async() => {
+      await root.rootChainManager.setChildTokenBytecodeHash(mockValues.bytes32[3])
+    })
+
+    it('Should report child addresses that differ from childTokenAddress', async() => {
+      const issues = issuesOf(await audit(), 'CHILD_ADDRESS_MISMATCH')
+        .filter(issue => issue.rootToken === root.dummyAToken.address)
+      issues.map(issue => issue.chain).should.have.members(['root', 'child'])
+      issues.forEach(issue => {
+        issue.childToken.should.equal(child.dummyMAToken.address)
+      })
+    })
+
+    it('Should report child token mismatch after remap on root only', async() => {
+      await root.rootChainManager.remapToken(root.dummyAToken.address)
+      const result = await audit()
+      const [issue] = issuesOf(result, 'CHILD_TOKEN_MISMATCH')
+      issue.rootToken.should.equal(root.dummyAToken.address)
+      issue.rootChildToken.should.equal(await root.rootChainManager.childTokenAddress(root.dummyAToken.address))
+      issue.childChildToken.should.equal(child.dummyMAToken.address)
+      issuesOf(result, 'EVENTS_MISMATCH').should.deep.equal([])
+    })
+  })
+
+  describe('Replay', () => {
+    const [rootA, rootB, childX, childY] = mockValues.addresses
+
+    it('Should clean up previous mappings on remap', () => {
+      const { rootToChildToken, childToRootToken } = replayTokenMapped([
+        tokenMapped(rootA, childX),
+        tokenMapped(rootA, childY)
+      ])
+      rootToChildToken.should.deep.equal({ [rootA]: childY })
+      childToRootToken.should.deep.equal({ [childY]: rootA })
+    })
+
+    it('Should drop root token whose child token is mapped to another root token', () => {
+      const { rootToChildToken, childToRootToken } = replayTokenMapped([
+        tokenMapped(rootA, childX),
+        tokenMapped(rootB, childX)
+      ])
+      rootToChildToken.should.deep.equal({ [rootB]: childX })
+      childToRootToken.should.deep.equal({ [childX]: rootB })
+    })
+
+    it('Should report stale reverse mapping', () => {
+      const onChain = {
+        rootToChildToken: { [rootA]: childY },
+        childToRootToken: { [childX]: rootA, [childY]: rootA }
+      }
+      const side = { rebuilt: onChain, onChain }
+      const issues = findMappingIssues({ root: side, child: side, computedChildTokens: {} })
+      issues.length.should.equal(2)
+      issues.forEach(issue => {
+        issue.type.should.equal('STALE_REVERSE_MAPPING')
+        issue.childToken.should.equal(childX)
+        issue.mappedChildToken.should.equal(childY)
+      })
+    })
+  })
+})
@@ -0,0 +1,155 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import { childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+
+const {
+  readDomain,
+  encodeMaTokenCall,
+  signMetaTransaction,
+  signMaTokenCall,
+  recoverMetaTransactionSigner,
+  verifyMetaTransaction,
+  encodeExecuteMetaTransaction
+} = require('../../scripts/lib/meta-tx')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('Meta transaction signing', async(accounts) => {
+  const relayer = accounts[0]
+  const recipient = accounts[2]
+  const spender = accounts[3]
+  const transferAmount = mockValues.amounts[1]
+  const provider = new ethers.providers.Web3Provider(childWeb3.currentProvider)
+  const wallet = ethers.Wallet.createRandom()
+  let maToken
+  let domain
+
+  const execute = ({ userAddress, functionSignature, sigR, sigS, sigV }) =>
+    maToken.executeMetaTransaction(userAddress, functionSignature, sigR, sigS, sigV, { from: relayer })
+
+  before(async() => {
+    const { root, child } = await deployer.deployInitializedATokenContracts(accounts)
+    maToken = child.dummyMAToken
+    const depositAmount = mockValues.amounts[3]
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    const depositTx = await root.rootChainManager.depositFor(wallet.address, root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    domain = await readDomain(maToken.address, provider)
+  })
+
+  describe('Domain', () => {
+    it('Should use maToken name and salt as chain id', async() => {
+      domain.name.should.equal(await maToken.name())
+      domain.version.should.equal('1')
+      domain.verifyingContract.should.equal(maToken.address)
+      ethers.BigNumber.from(domain.salt).toString().should.equal((await maToken.getChainId()).toString())
+    })
+
+    it('Should match domain separator of maToken', async() => {
+      ethers.utils._TypedDataEncoder.hashDomain(domain).should.equal(await maToken.getDomainSeperator())
+    })
+  })
+
+  describe('Transfer signed with private key', () => {
+    let metaTx
+
+    before(async() => {
+      metaTx = await signMaTokenCall({
+        maToken: maToken.address,
+        provider,
+        method: 'transfer',
+        args: [recipient, transferAmount.toString()],
+        privateKey: wallet.privateKey
+      })
+    })
+
+    it('Should be signed by key owner', () => {
+      metaTx.userAddress.should.equal(wallet.address)
+      recoverMetaTransactionSigner(domain, 0, metaTx).should.equal(wallet.address)
+    })
+
+    it('Should verify at current nonce only', () => {
+      verifyMetaTransaction(domain, 0, metaTx).should.equal(true)
+      verifyMetaTransaction(domain, 1, metaTx).should.equal(false)
+    })
+
+    it('Should not verify changed call', () => {
+      const changed = Object.assign({}, metaTx, { functionSignature: encodeMaTokenCall('transfer', [spender, transferAmount.toString()]) })
+      verifyMetaTransaction(domain, 0, changed).should.equal(false)
+    })
+
+    it('Should not verify zero user address', () => {
+      const changed = Object.assign({}, metaTx, { userAddress: mockValues.zeroAddress })
+      chai.expect(() => verifyMetaTransaction(domain, 0, changed)).to.throw('INVALID_SIGNER')
+    })
+
+    it('Should be executed by relayer', async() => {
+      await execute(metaTx)
+      const balance = await maToken.balanceOf(recipient)
+      balance.should.be.a.bignumber.that.equals(transferAmount)
+    })
+  })
+
+  describe('Approve signed with ethers signer', () => {
+    let metaTx
+
+    before(async() => {
+      metaTx = await signMaTokenCall({
+        maToken: maToken.address,
+        provider,
+        method: 'approve',
+        args: [spender, transferAmount.toString()],
+        signer: wallet
+      })
+    })
+
+    it('Should sign at next nonce', () => {
+      verifyMetaTransaction(domain, 1, metaTx).should.equal(true)
+    })
+
+    it('Should be sent as executeMetaTransaction calldata', async() => {
+      await childWeb3.eth.sendTransaction({ from: relayer, to: maToken.address, data: encodeExecuteMetaTransaction(metaTx), gas: 500000 })
+      const allowance = await maToken.allowance(wallet.address, spender)
+      allowance.should.be.a.bignumber.that.equals(transferAmount)
+    })
+  })
+
+  describe('Withdraw', () => {
+    it('Should burn maTokens of signer', async() => {
+      const balance = await maToken.balanceOf(wallet.address)
+      const metaTx = await signMetaTransaction({
+        domain,
+        nonce: (await maToken.getNonce(wallet.address)).toString(),
+        functionSignature: encodeMaTokenCall('withdraw', [balance.toString()]),
+        signer: wallet
+      })
+      const tx = await execute(metaTx)
+      const burn = tx.receipt.rawLogs.find(log => log.address === maToken.address && log.topics[2] === ethers.utils.hexZeroPad('0x', 32))
+      ethers.utils.hexDataSlice(burn.topics[1], 12).should.equal(wallet.address.toLowerCase())
+      const newBalance = await maToken.balanceOf(wallet.address)
+      newBalance.should.be.a.bignumber.that.equals('0')
+    })
+  })
+
+  describe('Checks', () => {
+    it('Should only build maToken calls', () => {
+      chai.expect(() => encodeMaTokenCall('mint', [])).to.throw('transfer, approve and withdraw')
+    })
+
+    it('Should require signer or private key', async() => {
+      await signMetaTransaction({ domain, nonce: 0, functionSignature: '0x' }).should.be.rejectedWith('Pass a signer or a privateKey')
+    })
+  })
+})
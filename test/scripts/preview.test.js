@@ -0,0 +1,241 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3 } from '../helpers/contracts'
+import { mockValues, erc20TransferEventSig } from '../helpers/constants'
+
+const {
+  encodeDepositSync,
+  previewDeposit,
+  getBranchMask,
+  getExitHash,
+  previewWithdraw
+} = require('../../scripts/lib/preview')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const should = chai.should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+// liquidity index of 1.05, maTokens are worth 5% more than aTokens
+const liquidityIndex = '1050000000000000000000000000'
+
+contract('Bridge previews', async(accounts) => {
+  const depositor = accounts[0]
+  const user = accounts[1]
+  const childChainManager = mockValues.addresses[2]
+  const aTokenValue = mockValues.amounts[3].toString()
+  let root
+  let rootChainManager
+
+  before(async() => {
+    root = await deployer.deployFreshATokenRootContracts(accounts, { childChainManagerAddress: childChainManager })
+    await root.rootChainManager.mapToken(root.dummyAToken.address)
+    await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, liquidityIndex)
+    const provider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+    rootChainManager = new ethers.Contract(root.rootChainManager.address, contracts.ATokenRootChainManager.abi, provider)
+  })
+
+  describe('Before approval', () => {
+    let preview
+
+    before(async() => {
+      preview = await previewDeposit(rootChainManager, {
+        depositor,
+        user,
+        rootToken: root.dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+    })
+
+    it('Should report allowance shortfall', () => {
+      preview.allowance.should.equal('0')
+      preview.allowanceShortfall.should.equal(aTokenValue)
+      preview.errors.should.include('Deposit exceeds allowance, approve the root chain manager first')
+    })
+
+    it('Should convert aToken value at liquidity index', async() => {
+      const maTokenValue = await root.rootChainManager.getMATokenValue(root.dummyAToken.address, aTokenValue)
+      preview.maTokenValue.should.equal(maTokenValue.toString())
+      preview.maTokenValue.should.equal('952380952380952381')
+    })
+
+    it('Should report mapped child token', async() => {
+      preview.childToken.should.equal(await root.rootChainManager.rootToChildToken(root.dummyAToken.address))
+    })
+  })
+
+  describe('Deposit matches preview', () => {
+    let preview
+    let rawLogs
+
+    before(async() => {
+      await root.dummyAToken.approve(root.rootChainManager.address, aTokenValue)
+      preview = await previewDeposit(rootChainManager, {
+        depositor,
+        user,
+        rootToken: root.dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+      const depositData = abi.encode(['uint256'], [aTokenValue])
+      const depositTx = await root.rootChainManager.depositFor(user, root.dummyAToken.address, depositData)
+      rawLogs = depositTx.receipt.rawLogs
+    })
+
+    it('Should have no errors once approved', () => {
+      preview.allowanceShortfall.should.equal('0')
+      preview.errors.should.deep.equal([])
+    })
+
+    it('Should emit previewed LockedERC20 log', () => {
+      const log = rawLogs.find(l => l.address === root.rootChainManager.address)
+      log.topics.should.deep.equal(preview.lockedERC20.topics)
+      log.data.should.equal(preview.lockedERC20.data)
+    })
+
+    it('Should send previewed state sync', () => {
+      const log = rawLogs.find(l => l.address === root.dummyStateSender.address)
+      abi.decode(['address'], log.topics[2])[0].should.equal(preview.stateSync.receiver)
+      abi.decode(['bytes'], log.data)[0].should.equal(preview.stateSync.data)
+    })
+  })
+
+  describe('Failing deposits', () => {
+    it('Should report unmapped token', async() => {
+      const dummyAToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+      const preview = await previewDeposit(rootChainManager, {
+        depositor,
+        user,
+        rootToken: dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+      preview.errors.should.include('ATokenRootChainManager: TOKEN_NOT_MAPPED')
+    })
+
+    it('Should report insufficient balance', async() => {
+      const preview = await previewDeposit(rootChainManager, {
+        depositor: accounts[2],
+        user,
+        rootToken: root.dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+      preview.balance.should.equal('0')
+      preview.errors.should.include('Deposit exceeds aToken balance')
+    })
+
+    it('Should report paused deposits', async() => {
+      await root.rootChainManager.setDepositsPaused(true)
+      const preview = await previewDeposit(rootChainManager, {
+        depositor,
+        user,
+        rootToken: root.dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+      await root.rootChainManager.setDepositsPaused(false)
+      preview.errors.should.include('ATokenRootChainManager: DEPOSITS_PAUSED')
+      preview.errors.should.not.include('ATokenRootChainManager: TOKEN_PAUSED')
+    })
+
+    it('Should report paused token', async() => {
+      await root.rootChainManager.setTokenPaused(root.dummyAToken.address, true)
+      const preview = await previewDeposit(rootChainManager, {
+        depositor,
+        user,
+        rootToken: root.dummyAToken.address,
+        aTokenValue,
+        childChainManager
+      })
+      await root.rootChainManager.setTokenPaused(root.dummyAToken.address, false)
+      preview.errors.should.include('ATokenRootChainManager: TOKEN_PAUSED')
+      preview.errors.should.not.include('ATokenRootChainManager: DEPOSITS_PAUSED')
+    })
+  })
+
+  describe('Encode deposit sync', () => {
+    it('Should encode DEPOSIT with maToken value', () => {
+      const [syncType, syncData] = abi.decode(['bytes32', 'bytes'], encodeDepositSync(user, mockValues.addresses[3], 5))
+      syncType.should.equal(ethers.utils.id('DEPOSIT'))
+      const [syncUser, rootToken, depositData] = abi.decode(['address', 'address', 'bytes'], syncData)
+      syncUser.should.equal(user)
+      rootToken.should.equal(mockValues.addresses[3])
+      abi.decode(['uint256'], depositData)[0].toNumber().should.equal(5)
+    })
+  })
+
+  describe('Withdraw preview', () => {
+    const maTokenValue = '952380952380952381'
+
+    it('Should convert maToken value back at liquidity index', async() => {
+      const preview = await previewWithdraw(rootChainManager, { rootToken: root.dummyAToken.address, maTokenValue })
+      const aTokenValue = await root.rootChainManager.getATokenValue(root.dummyAToken.address, maTokenValue)
+      preview.aTokenValue.should.equal(aTokenValue.toString())
+      preview.aTokenValue.should.equal(mockValues.amounts[3].toString())
+      should.not.exist(preview.exitHash)
+    })
+
+    it('Should preview burn receipt', async() => {
+      const childToken = await root.rootChainManager.rootToChildToken(root.dummyAToken.address)
+      const receipt = {
+        transactionHash: mockValues.bytes32[1],
+        blockNumber: 1234,
+        transactionIndex: 3,
+        logs: [{
+          address: childToken,
+          topics: [
+            erc20TransferEventSig,
+            abi.encode(['address'], [user]),
+            abi.encode(['address'], [mockValues.zeroAddress])
+          ],
+          data: abi.encode(['uint256'], [maTokenValue])
+        }]
+      }
+      const preview = await previewWithdraw(rootChainManager, { receipt, logIndex: 0 })
+      preview.rootToken.should.equal(root.dummyAToken.address)
+      preview.withdrawer.should.equal(user)
+      preview.maTokenValue.should.equal(maTokenValue)
+      preview.aTokenValue.should.equal(mockValues.amounts[3].toString())
+      preview.exitHash.should.equal(getExitHash(1234, getBranchMask(3), 0))
+      preview.exited.should.equal(false)
+    })
+
+    it('Should fail for burn of unmapped child token', async() => {
+      const receipt = {
+        blockNumber: 1234,
+        transactionIndex: 3,
+        logs: [{ address: mockValues.addresses[4], topics: [erc20TransferEventSig, abi.encode(['address'], [user])], data: '0x01' }]
+      }
+      await previewWithdraw(rootChainManager, { receipt, logIndex: 0 })
+        .should.be.rejectedWith('is not mapped')
+    })
+  })
+
+  describe('Exit hash', () => {
+    it('Should prefix rlp encoded transaction index', () => {
+      getBranchMask(0).should.equal('0x0080')
+      getBranchMask(18).should.equal('0x0012')
+      getBranchMask(200).should.equal('0x0081c8')
+    })
+
+    it('Should hash block number, branch mask nibbles and log index', () => {
+      getExitHash(1234, '0x0081c8', 6).should.equal(
+        ethers.utils.keccak256(abi.encode(['uint256'], [1234]) + '08010c08' + abi.encode(['uint256'], [6]).slice(2))
+      )
+    })
+
+    it('Should keep odd nibble of hex prefix', () => {
+      getExitHash(1234, '0x1a', 0).should.equal(
+        ethers.utils.keccak256(abi.encode(['uint256'], [1234]) + '0a' + abi.encode(['uint256'], [0]).slice(2))
+      )
+    })
+  })
+})
@@ -0,0 +1,122 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+
+const {
+  registry,
+  getDeployment,
+  getToken,
+  getTokenArgs,
+  getTokenFromArgs,
+  verifyToken
+} = require('../../scripts/lib/registry')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const should = chai.should()
+
+describe('Token registry', () => {
+  describe('Deployments', () => {
+    it('Should resolve root network', () => {
+      const deployment = getDeployment('mainnet')
+      deployment.rootNetwork.should.equal('mainnet')
+      deployment.childNetwork.should.equal('matic')
+      deployment.isChild.should.equal(false)
+    })
+
+    it('Should resolve child network to its root deployment', () => {
+      const deployment = getDeployment('mumbai')
+      deployment.rootNetwork.should.equal('kovan')
+      deployment.isChild.should.equal(true)
+    })
+
+    it('Should fail for unknown network', () => {
+      chai.expect(() => getDeployment('ropsten')).to.throw('No aToken bridge deployment registered')
+    })
+
+    it('Should have unique symbols and addresses', () => {
+      Object.keys(registry).forEach(network => {
+        const { tokens } = registry[network]
+        for (const field of ['symbol', 'aToken', 'maToken']) {
+          const values = tokens.map(t => t[field].toLowerCase())
+          new Set(values).size.should.equal(values.length, `duplicate ${field} on ${network}`)
+        }
+      })
+    })
+  })
+
+  describe('Tokens', () => {
+    it('Should find token by maToken, aToken and underlying symbol', () => {
+      for (const symbol of ['maUSDC', 'aUSDC', 'usdc']) {
+        const token = getToken('mainnet', symbol)
+        token.symbol.should.equal('maUSDC')
+        token.decimals.should.equal(6)
+      }
+    })
+
+    it('Should find same token from child network', () => {
+      getToken('matic', 'maDAI').maToken.should.equal(getToken('mainnet', 'maDAI').maToken)
+    })
+
+    it('Should fail for unregistered token', () => {
+      chai.expect(() => getToken('mainnet', 'maBAT')).to.throw('Token maBAT is not registered for mainnet')
+    })
+  })
+
+  describe('Arguments', () => {
+    it('Should read --token argument', () => {
+      getTokenArgs(['node', 'script.js', '--token', 'maUSDC']).should.deep.equal(['maUSDC'])
+    })
+
+    it('Should read --token= argument with several tokens', () => {
+      getTokenArgs(['node', 'script.js', '--token=maUSDC, maDAI']).should.deep.equal(['maUSDC', 'maDAI'])
+    })
+
+    it('Should return no tokens when argument is missing', () => {
+      getTokenArgs(['node', 'script.js']).should.deep.equal([])
+    })
+
+    it('Should require exactly one token', () => {
+      chai.expect(() => getTokenFromArgs('mainnet', ['node', 'script.js', '--token', 'maUSDC,maDAI'])).to.throw('Pass exactly one token')
+      getTokenFromArgs('mainnet', ['node', 'script.js', '--token', 'aYFI']).symbol.should.equal('maYFI')
+    })
+  })
+
+  describe('Verification', () => {
+    const token = getToken('mainnet', 'maUSDC')
+    const rootChainManager = (mapped, computed) => ({
+      rootToChildToken: async() => mapped,
+      childTokenAddress: async() => computed
+    })
+    const aToken = (underlying) => ({
+      UNDERLYING_ASSET_ADDRESS: async() => underlying
+    })
+
+    it('Should pass when chain matches registry', async() => {
+      const mismatches = await verifyToken(
+        rootChainManager(token.maToken.toLowerCase(), token.maToken),
+        aToken(token.underlying),
+        token
+      )
+      mismatches.should.deep.equal([])
+    })
+
+    it('Should report unmapped token', async() => {
+      const zeroAddress = '0x0000000000000000000000000000000000000000'
+      const mismatches = await verifyToken(rootChainManager(zeroAddress, token.maToken), aToken(token.underlying), token)
+      mismatches.length.should.equal(1)
+      mismatches[0].field.should.equal('rootToChildToken')
+      mismatches[0].actual.should.equal(zeroAddress)
+    })
+
+    it('Should report wrong underlying asset', async() => {
+      const mismatches = await verifyToken(
+        rootChainManager(token.maToken, token.maToken),
+        aToken(getToken('mainnet', 'maDAI').underlying),
+        token
+      )
+      should.exist(mismatches.find(m => m.field === 'underlying'))
+    })
+  })
+})
@@ -0,0 +1,321 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import http from 'http'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+
+const { MetaTxRelayer, createRelayerServer } = require('../../scripts/lib/relayer')
+const { META_TRANSACTION_TYPES } = require('../../scripts/lib/meta-tx')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+// POSTs a JSON body, resolves to the status and parsed JSON answer
+const request = (port, { method = 'POST', path = '/relay', body }) => new Promise((resolve, reject) => {
+  const req = http.request({ port, method, path, headers: { 'Content-Type': 'application/json' } }, (res) => {
+    let data = ''
+    res.on('data', chunk => { data += chunk })
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }))
+  })
+  req.on('error', reject)
+  req.end(body === undefined ? undefined : JSON.stringify(body))
+})
+
+contract('Meta transaction relayer', async(accounts) => {
+  const provider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  const user = ethers.Wallet.createRandom().connect(provider)
+  const otherUser = ethers.Wallet.createRandom()
+  const depositAmount = mockValues.amounts[2]
+  const rateWindow = 60 * 1000
+  const failureLimit = 4
+  let root
+  let rootChainManager
+  let relayer
+  let server
+  let port
+  let clock
+
+  const relay = (body) => request(port, { body })
+
+  // signs depositFor as a meta transaction the way a wallet would
+  const signDeposit = async({ rootToken = root.dummyAToken.address, amount = depositAmount, signer = user, from = user.address, nonce } = {}) => {
+    const functionSignature = rootChainManager.interface.encodeFunctionData('depositFor', [
+      from,
+      rootToken,
+      abi.encode(['uint256'], [amount.toString()])
+    ])
+    const chainId = await rootChainManager.getChainId()
+    const domain = {
+      name: 'ATokenRootChainManager',
+      version: '1',
+      verifyingContract: rootChainManager.address,
+      salt: ethers.utils.hexZeroPad(chainId.toHexString(), 32)
+    }
+    if (nonce === undefined) {
+      nonce = await rootChainManager.getNonce(from)
+    }
+    const signature = await signer._signTypedData(domain, META_TRANSACTION_TYPES, { nonce, from, functionSignature })
+    const { r, s, v } = ethers.utils.splitSignature(signature)
+    return { userAddress: from, functionSignature, sigR: r, sigS: s, sigV: v }
+  }
+
+  before(async() => {
+    ;({ root } = await deployer.deployInitializedATokenContracts(accounts))
+    rootChainManager = new ethers.Contract(
+      root.rootChainManager.address,
+      contracts.ATokenRootChainManager.abi,
+      provider.getSigner(accounts[2])
+    )
+
+    await rootWeb3.eth.sendTransaction({ from: accounts[0], to: user.address, value: ethers.utils.parseEther('1').toString() })
+    await root.dummyAToken.transfer(user.address, depositAmount.muln(10))
+    const aToken = new ethers.Contract(root.dummyAToken.address, contracts.DummyAToken.abi, user)
+    await (await aToken.approve(rootChainManager.address, depositAmount.muln(6).toString())).wait()
+
+    clock = Date.now()
+    relayer = new MetaTxRelayer({
+      rootChainManager,
+      allowedTokens: [root.dummyAToken.address],
+      rateLimit: 2,
+      rateWindow,
+      failureLimit,
+      now: () => clock
+    })
+    server = createRelayerServer(relayer)
+    await new Promise(resolve => server.listen(0, resolve))
+    port = server.address().port
+  })
+
+  after(async() => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  describe('Relay deposit', () => {
+    let signed
+    let response
+    let receipt
+
+    before(async() => {
+      signed = await signDeposit()
+      response = await relay(signed)
+      receipt = await provider.getTransactionReceipt(response.body.txHash)
+    })
+
+    it('Should answer tx hash', () => {
+      response.status.should.equal(200)
+      receipt.status.should.equal(1)
+    })
+
+    it('Should send from relayer', async() => {
+      const tx = await provider.getTransaction(response.body.txHash)
+      tx.from.should.equal(accounts[2])
+    })
+
+    it('Should deposit for user', async() => {
+      const [locked] = receipt.logs
+        .filter(log => log.address === rootChainManager.address)
+        .map(log => { try { return rootChainManager.interface.parseLog(log) } catch (e) { return null } })
+        .filter(log => log && log.name === 'LockedERC20')
+      locked.args.depositor.should.equal(user.address)
+      locked.args.depositReceiver.should.equal(user.address)
+      locked.args.amount.toString().should.equal(depositAmount.toString())
+    })
+
+    it('Should increment user nonce', async() => {
+      const nonce = await rootChainManager.getNonce(user.address)
+      nonce.toNumber().should.equal(1)
+    })
+
+    it('Should reject replay', async() => {
+      const replay = await relay(signed)
+      replay.status.should.equal(401)
+      replay.body.error.should.include('at nonce 1')
+    })
+  })
+
+  describe('Checks', () => {
+    it('Should reject token not in allowlist', async() => {
+      const response = await relay(await signDeposit({ rootToken: root.dummyERC20.address }))
+      response.status.should.equal(403)
+      response.body.error.should.include('is not allowed')
+    })
+
+    it('Should reject other functions', async() => {
+      const signed = await signDeposit()
+      signed.functionSignature = rootChainManager.interface.encodeFunctionData('mapToken', [root.dummyAToken.address])
+      const response = await relay(signed)
+      response.status.should.equal(400)
+      response.body.error.should.equal('Only depositFor is relayed')
+    })
+
+    it('Should reject signature of another account', async() => {
+      const response = await relay(await signDeposit({ signer: otherUser }))
+      response.status.should.equal(401)
+    })
+
+    it('Should reject signature for future nonce', async() => {
+      const response = await relay(await signDeposit({ nonce: 5 }))
+      response.status.should.equal(401)
+    })
+
+    it('Should reject deposit that would revert', async() => {
+      const response = await relay(await signDeposit({ amount: depositAmount.muln(100) }))
+      response.status.should.equal(422)
+      response.body.error.should.equal('Function call not successful')
+    })
+
+    it('Should reject zero userAddress', async() => {
+      const response = await relay(Object.assign(await signDeposit(), { userAddress: ethers.constants.AddressZero }))
+      response.status.should.equal(400)
+      response.body.error.should.equal('userAddress can not be the zero address')
+    })
+
+    it('Should reject invalid body', async() => {
+      const response = await relay({ userAddress: 'user', functionSignature: '0x' })
+      response.status.should.equal(400)
+    })
+
+    it('Should only serve POST /relay', async() => {
+      (await request(port, { method: 'GET' })).status.should.equal(405)
+      ;(await request(port, { path: '/', body: {} })).status.should.equal(404)
+    })
+  })
+
+  describe('Rate limit', () => {
+    it('Should relay up to rate limit', async() => {
+      const response = await relay(await signDeposit())
+      response.status.should.equal(200)
+    })
+
+    it('Should reject over rate limit', async() => {
+      const response = await relay(await signDeposit())
+      response.status.should.equal(429)
+    })
+
+    it('Should relay again after rate window', async() => {
+      clock += rateWindow
+      const response = await relay(await signDeposit())
+      response.status.should.equal(200)
+      const nonce = await rootChainManager.getNonce(user.address)
+      nonce.toNumber().should.equal(3)
+    })
+  })
+
+  describe('Concurrent requests', () => {
+    // relayer answers of requests made at the same time, by status
+    const relayConcurrently = async(requests) => {
+      const results = await Promise.all(requests.map(body => relayer.relay(body).then(
+        txHash => ({ status: 200, txHash }),
+        error => ({ status: error.status, error: error.message })
+      )))
+      return results.sort((a, b) => a.status - b.status)
+    }
+
+    beforeEach(() => {
+      clock += rateWindow
+    })
+
+    it('Should send same meta transaction once', async() => {
+      const signed = await signDeposit()
+      const results = await relayConcurrently([signed, signed])
+      results.map(result => result.status).should.deep.equal([200, 409])
+      results[1].error.should.include('is being relayed already')
+      const receipt = await provider.waitForTransaction(results[0].txHash)
+      receipt.status.should.equal(1)
+    })
+
+    it('Should not overrun rate limit', async() => {
+      const signed = await signDeposit()
+      const results = await relayConcurrently([signed, signed, signed])
+      results.map(result => result.status).should.deep.equal([200, 409, 429])
+      await provider.waitForTransaction(results[0].txHash)
+      const nonce = await rootChainManager.getNonce(user.address)
+      nonce.toNumber().should.equal(5)
+    })
+  })
+
+  describe('Failed signatures', () => {
+    before(() => {
+      clock += rateWindow
+    })
+
+    it('Should count failed signature checks of client', async() => {
+      for (let i = 0; i < failureLimit; i++) {
+        (await relay(await signDeposit({ signer: otherUser }))).status.should.equal(401)
+      }
+    })
+
+    it('Should reject client over failure limit', async() => {
+      const response = await relay(await signDeposit())
+      response.status.should.equal(429)
+      response.body.error.should.include('Too many failed signature checks')
+    })
+
+    it('Should check signatures again after rate window', async() => {
+      clock += rateWindow
+      const response = await relay(await signDeposit({ signer: otherUser }))
+      response.status.should.equal(401)
+    })
+  })
+
+  describe('Task', () => {
+    const registry = require('../../scripts/registry.json')
+    const log = console.log
+    let started
+    let running
+
+    before(async() => {
+      // the task runs against the deployment of this test, registered for the root chain network
+      registry.testRoot = {
+        childNetwork: 'testChild',
+        rootChainManager: rootChainManager.address,
+        tokens: [{ symbol: 'maDUMMY', decimals: 18, aToken: root.dummyAToken.address }]
+      }
+      process.env.HARDHAT_NETWORK = 'testRoot'
+      const hre = require('hardhat')
+      const listening = new Promise(resolve => {
+        console.log = (output) => {
+          console.log = log
+          resolve(JSON.parse(output))
+        }
+      })
+      running = hre.run('relayer', { port: '0', rateLimit: '1' })
+      started = Promise.race([listening, running.then(() => { throw Error('relayer task stopped') })])
+      await started
+    })
+
+    after(async() => {
+      console.log = log
+      process.emit('SIGTERM')
+      await running
+      delete registry.testRoot
+    })
+
+    it('Should listen with task arguments', async() => {
+      const { network, relayer, tokens } = await started
+      network.should.equal('testRoot')
+      relayer.should.equal(accounts[0])
+      tokens.should.deep.equal(['maDUMMY'])
+    })
+
+    it('Should relay deposit', async() => {
+      const { port } = await started
+      const response = await request(port, { body: await signDeposit() })
+      response.status.should.equal(200)
+      const receipt = await provider.waitForTransaction(response.body.txHash)
+      receipt.status.should.equal(1)
+    })
+
+    it('Should apply rate limit of task', async() => {
+      const { port } = await started
+      const response = await request(port, { body: await signDeposit() })
+      response.status.should.equal(429)
+    })
+  })
+})
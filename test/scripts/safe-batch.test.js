@@ -0,0 +1,64 @@
+import chai from 'chai'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { ethers } from 'ethers'
+
+const SafeBatch = require('../../scripts/lib/safe-batch')
+
+chai.should()
+
+const managerAddress = '0x0D29aDA4c818A9f089107201eaCc6300e56E0d5c'
+const aToken = '0xBcca60bB61934080951369a648Fb03DF4F96263C'
+const manager = {
+  address: managerAddress,
+  interface: new ethers.utils.Interface([
+    'function mapToken(address rootToken)',
+    'function setMapper(address newMapper)'
+  ])
+}
+
+describe('Safe batch', () => {
+  let batchFile
+
+  beforeEach(() => {
+    batchFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'safe-batch-')), 'batch.json')
+  })
+
+  it('Should record target, value and calldata', () => {
+    const batch = new SafeBatch({ chainId: 1 })
+    batch.add(manager, 'mapToken', [aToken])
+    const { transactions } = batch.toJSON()
+    transactions.length.should.equal(1)
+    transactions[0].to.should.equal(managerAddress)
+    transactions[0].value.should.equal('0')
+    manager.interface.decodeFunctionData('mapToken', transactions[0].data).rootToken.should.equal(aToken)
+  })
+
+  it('Should write transaction builder format', () => {
+    const batch = new SafeBatch({ chainId: 1, description: 'map aUSDC' })
+    batch.add(manager, 'mapToken', [aToken])
+    batch.write(batchFile)
+    const json = JSON.parse(fs.readFileSync(batchFile, 'utf8'))
+    json.version.should.equal('1.0')
+    json.chainId.should.equal('1')
+    json.meta.description.should.equal('map aUSDC')
+    json.transactions.length.should.equal(1)
+  })
+
+  it('Should append to existing batch file', () => {
+    const batch = SafeBatch.load(batchFile, 1)
+    batch.add(manager, 'mapToken', [aToken])
+    batch.write(batchFile)
+
+    const loaded = SafeBatch.load(batchFile, 1)
+    loaded.add(manager, 'setMapper', [managerAddress])
+    loaded.write(batchFile)
+    JSON.parse(fs.readFileSync(batchFile, 'utf8')).transactions.length.should.equal(2)
+  })
+
+  it('Should fail to append to batch of another chain', () => {
+    new SafeBatch({ chainId: 1 }).write(batchFile)
+    chai.expect(() => SafeBatch.load(batchFile, 137)).to.throw('is for chain 1, not 137')
+  })
+})
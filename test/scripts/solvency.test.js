@@ -0,0 +1,129 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+import { p27Mul } from '../helpers/p27'
+
+const { checkSolvency, formatSolvencyTable } = require('../../scripts/lib/solvency')
+
+chai
+  .use(chaiAsPromised)
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+// liquidity index of 1.05 at deposit, 1.1 once interest accrued
+const depositIndex = '1050000000000000000000000000'
+const accruedIndex = '1100000000000000000000000000'
+
+contract('Solvency check', async(accounts) => {
+  const depositAmount = mockValues.amounts[3]
+  const unmappedToken = { symbol: 'maUSDC', decimals: 6, aToken: mockValues.addresses[3] }
+  let root
+  let child
+  let tokens
+  let rootChainManager
+  let childProvider
+
+  const check = (tolerance) => checkSolvency({ rootChainManager, childProvider, tokens, tolerance })
+
+  before(async() => {
+    ({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    tokens = [{ symbol: 'maDERC20', decimals: 18, aToken: root.dummyAToken.address }, unmappedToken]
+    rootChainManager = new ethers.Contract(
+      root.rootChainManager.address,
+      contracts.ATokenRootChainManager.abi,
+      new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+    )
+    childProvider = new ethers.providers.Web3Provider(childWeb3.currentProvider)
+
+    await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, depositIndex)
+    await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    const depositTx = await root.rootChainManager.depositFor(accounts[1], root.dummyAToken.address, abi.encode(['uint256'], [depositAmount.toString()]))
+    await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+  })
+
+  describe('After deposit', () => {
+    let result
+
+    before(async() => {
+      result = await check()
+    })
+
+    it('Should be solvent', () => {
+      result.solvent.should.equal(true)
+    })
+
+    it('Should cover maToken supply exactly', async() => {
+      const [token] = result.tokens
+      token.childToken.should.equal(child.dummyMAToken.address)
+      token.locked.should.equal(depositAmount.toString())
+      token.maTokenSupply.should.equal((await child.dummyMAToken.totalSupply()).toString())
+      token.lockedMATokenValue.should.equal(token.maTokenSupply)
+      token.surplus.should.equal('0')
+    })
+
+    it('Should list unmapped tokens separately', () => {
+      result.tokens.length.should.equal(1)
+      result.unmapped.should.deep.equal([unmappedToken.symbol])
+    })
+  })
+
+  describe('After interest accrued', () => {
+    let result
+
+    before(async() => {
+      // aToken balances grow with the index, mint the interest to the locked balance
+      const maTokenSupply = await child.dummyMAToken.totalSupply()
+      const interest = p27Mul(maTokenSupply, new BN(accruedIndex)).sub(depositAmount)
+      await root.lendingPool.setReserveNormalizedIncome(root.dummyERC20.address, accruedIndex)
+      await root.dummyAToken.mint(interest)
+      await root.dummyAToken.transfer(root.rootChainManager.address, interest)
+      result = await check()
+    })
+
+    it('Should still cover maToken supply', () => {
+      result.solvent.should.equal(true)
+      result.tokens[0].surplus.should.equal('0')
+    })
+  })
+
+  describe('With maTokens minted without a lock', () => {
+    const unbacked = '1000'
+
+    before(async() => {
+      const syncData = abi.encode(['address', 'address', 'bytes'], [accounts[2], root.dummyAToken.address, abi.encode(['uint256'], [unbacked])])
+      await child.childChainManager.onStateReceive(100, abi.encode(['bytes32', 'bytes'], [ethers.utils.id('DEPOSIT'), syncData]))
+    })
+
+    it('Should report deficit', async() => {
+      const result = await check()
+      result.solvent.should.equal(false)
+      result.tokens[0].solvent.should.equal(false)
+      result.tokens[0].surplus.should.equal(`-${unbacked}`)
+    })
+
+    it('Should be solvent when deficit is within tolerance', async() => {
+      const result = await check('0.000000000000001')
+      result.solvent.should.equal(true)
+    })
+
+    it('Should not be solvent when deficit exceeds tolerance', async() => {
+      const result = await check('0.000000000000000999')
+      result.solvent.should.equal(false)
+    })
+
+    it('Should format deficit in token units', async() => {
+      const table = formatSolvencyTable(await check())
+      const row = table.split('\n').find(line => line.startsWith('maDERC20'))
+      row.should.include('-0.000000000000001')
+      row.should.include('DEFICIT')
+      table.should.include('not mapped: maUSDC')
+    })
+  })
+})
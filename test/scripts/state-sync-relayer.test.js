@@ -0,0 +1,141 @@
+import chai from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import chaiBN from 'chai-bn'
+import BN from 'bn.js'
+import { ethers } from 'ethers'
+
+import * as deployer from '../helpers/deployer'
+import contracts, { rootWeb3, childWeb3 } from '../helpers/contracts'
+import { mockValues } from '../helpers/constants'
+import { syncATokenState } from '../helpers/state-sync'
+
+const { StateSyncRelayer } = require('../../scripts/lib/state-sync-relayer')
+
+chai
+  .use(chaiAsPromised)
+  .use(chaiBN(BN))
+  .should()
+
+const { defaultAbiCoder: abi } = ethers.utils
+
+contract('State sync relayer', async(accounts) => {
+  const user = accounts[1]
+  const depositAmount = mockValues.amounts[2]
+  const depositData = abi.encode(['uint256'], [depositAmount.toString()])
+  const rootProvider = new ethers.providers.Web3Provider(rootWeb3.currentProvider)
+  const childProvider = new ethers.providers.Web3Provider(childWeb3.currentProvider)
+  let root
+  let child
+  let relayer
+
+  const deposit = () => root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+    .then(() => root.rootChainManager.depositFor(user, root.dummyAToken.address, depositData))
+
+  before(async() => {
+    ;({ root, child } = await deployer.deployInitializedATokenContracts(accounts))
+    // accounts[0] is the state receiver of the child manager
+    relayer = new StateSyncRelayer({ rootProvider, childProvider, from: accounts[0] })
+  })
+
+  describe('Relay transaction', () => {
+    let aToken
+    let relays
+
+    before(async() => {
+      aToken = await contracts.DummyAToken.new('Aave interest bearing DERC20', 'aDERC20', root.lendingPool.address, root.dummyERC20.address)
+      const mapTx = await root.rootChainManager.mapToken(aToken.address)
+      relays = await relayer.relayTransaction(mapTx.tx)
+    })
+
+    it('Should send onStateReceive to the receiver', () => {
+      relays.length.should.equal(1)
+      relays[0].success.should.equal(true)
+      relays[0].receiver.should.equal(child.childChainManager.address)
+      relays[0].transactionHash.should.match(/^0x[0-9a-f]{64}$/)
+    })
+
+    it('Should map token on child chain', async() => {
+      const childToken = await child.childChainManager.rootToChildToken(aToken.address)
+      childToken.should.not.equal(mockValues.zeroAddress)
+    })
+
+    it('Should reject transaction not mined', async() => {
+      await relayer.relayTransaction(ethers.utils.id('missing')).should.be.rejectedWith('is not mined on root chain')
+    })
+  })
+
+  describe('Relay receipt', () => {
+    it('Should mint maTokens of deposit', async() => {
+      const balance = await child.dummyMAToken.balanceOf(user)
+      const depositTx = await deposit()
+      const relays = await relayer.relayReceipt(await rootProvider.getTransactionReceipt(depositTx.tx))
+      relays.map(relay => relay.success).should.deep.equal([true])
+      const newBalance = await child.dummyMAToken.balanceOf(user)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should skip state sync rejected by the receiver', async() => {
+      const otherRelayer = new StateSyncRelayer({ rootProvider, childProvider, from: accounts[2] })
+      const balance = await child.dummyMAToken.balanceOf(user)
+      const depositTx = await deposit()
+      const [relay] = await otherRelayer.relayTransaction(depositTx.tx)
+      relay.success.should.equal(false)
+      chai.expect(relay.transactionHash).to.equal(null)
+      relay.reason.should.include('Is not state receiver')
+      otherRelayer.relays.should.deep.equal([relay])
+
+      const newBalance = await child.dummyMAToken.balanceOf(user)
+      newBalance.should.be.a.bignumber.that.equals(balance)
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    })
+  })
+
+  describe('Wrapped provider', () => {
+    it('Should relay state syncs before answering the sent transaction', async() => {
+      const wrapped = relayer.wrap({
+        request: ({ method, params }) => rootProvider.send(method, params)
+      })
+      const signer = new ethers.providers.Web3Provider(wrapped).getSigner(accounts[0])
+      const rootChainManager = new ethers.Contract(root.rootChainManager.address, contracts.ATokenRootChainManager.abi, signer)
+      await root.dummyAToken.approve(root.rootChainManager.address, depositAmount)
+      const balance = await child.dummyMAToken.balanceOf(user)
+
+      await rootChainManager.depositFor(user, root.dummyAToken.address, depositData)
+      const newBalance = await child.dummyMAToken.balanceOf(user)
+      newBalance.sub(balance).should.be.a.bignumber.that.equals(depositAmount)
+    })
+  })
+
+  describe('Test chains', () => {
+    let relayed
+
+    before(async function() {
+      // the relayer of scripts/test-chains.js only runs on its hardhat networks
+      const nodeInfo = await rootWeb3.eth.getNodeInfo()
+      if (!nodeInfo.startsWith('HardhatNetwork')) {
+        this.skip()
+      }
+      relayed = await deployer.deployRelayedATokenContracts(accounts)
+    })
+
+    it('Should map token without syncing by hand', async() => {
+      const rootToken = await relayed.child.childChainManager.childToRootToken(relayed.child.dummyMAToken.address)
+      rootToken.should.equal(relayed.root.dummyAToken.address)
+    })
+
+    it('Should mint maTokens once deposited', async() => {
+      await relayed.root.dummyAToken.approve(relayed.root.rootChainManager.address, depositAmount)
+      await relayed.root.rootChainManager.depositFor(user, relayed.root.dummyAToken.address, depositData)
+      const balance = await relayed.child.dummyMAToken.balanceOf(user)
+      balance.should.be.a.bignumber.that.equals(depositAmount)
+    })
+
+    it('Should leave receivers trusting another account to be synced by hand', async() => {
+      const balance = await child.dummyMAToken.balanceOf(user)
+      const depositTx = await deposit()
+      const newBalance = await child.dummyMAToken.balanceOf(user)
+      newBalance.should.be.a.bignumber.that.equals(balance)
+      await syncATokenState({ tx: depositTx, childChainManager: child.childChainManager })
+    })
+  })
+})